@@ -5,36 +5,86 @@
  * Integrates: Claude AI + ElevenLabs TTS + HeyGen Avatar
  */
 
-class TalkingInvestigationApp {
-    constructor() {
-        this.character = new CharacterController();
-        this.tts = new TTSController();
-        this.conversation = new ConversationController();
+import { DEFAULT_CONFIG } from './config.js';
+import { ApiSession } from './session.js';
+import { CharacterController } from './character.js';
+import { TTSController } from './tts.js';
+import { ConversationController, TextChunkStream } from './conversation.js';
+import { HeyGenController } from './heygen.js';
+import { toMarkdown, createBundle, parseTranscript, readBundle, TranscriptError } from './transcript.js';
+
+export class TalkingInvestigationApp {
+    /**
+     * Composition root: builds the controllers for one page and wires them together
+     * @param {Object} deps - { config, persona, root, session, fetch }; root is the
+     *   document the app lives in, and browser APIs come from its window
+     */
+    constructor({
+        config = DEFAULT_CONFIG,
+        persona = config.PERSONA,
+        root = document,
+        session = new ApiSession(),
+        fetch = root.defaultView.fetch.bind(root.defaultView)
+    } = {}) {
+        this.config = config;
+        this.persona = persona;
+        this.root = root;
+        this.view = root.defaultView;
+        this.session = session;
+        this.fetch = fetch;
+
+        const deps = { config, session, fetch };
+        this.character = new CharacterController(persona, { config, root });
+        // Missing browser APIs are passed as null so the controllers don't fall
+        // back to the global window's
+        this.tts = new TTSController(persona, {
+            ...deps,
+            audioPlayer: root.getElementById('audioPlayer'),
+            speechSynthesis: this.view.speechSynthesis ?? null,
+            SpeechSynthesisUtterance: this.view.SpeechSynthesisUtterance ?? null
+        });
+        this.conversation = new ConversationController(persona, {
+            ...deps,
+            historyContent: root.getElementById('historyContent'),
+            storage: ConversationController.pageStorage(this.view),
+            navigator: this.view.navigator
+        });
         this.heygen = null; // Will be initialized if avatar is enabled
 
         // State
-        this.useAvatar = CONFIG.AVATAR.enabled;
+        this.useAvatar = config.AVATAR.enabled;
         this.avatarConnected = false;
         this.isProcessing = false;
 
         // DOM Elements
-        this.userInput = document.getElementById('userInput');
-        this.sendBtn = document.getElementById('sendBtn');
-        this.micBtn = document.querySelector('.mic-btn');
-        this.voiceInputBtn = document.getElementById('voiceInputBtn');
-        this.stopSpeechBtn = document.getElementById('stopSpeechBtn');
-        this.clearChatBtn = document.getElementById('clearChatBtn');
-        this.historyToggle = document.getElementById('historyToggle');
-        this.historyContent = document.getElementById('historyContent');
-        this.toastContainer = document.getElementById('toastContainer');
-        this.ctaButton = document.getElementById('ctaButton');
-        this.avatarStatus = document.getElementById('avatarStatus');
-
-        this.quoteButtons = document.querySelectorAll('.strip-btn[data-quote]');
+        this.userInput = this.root.getElementById('userInput');
+        this.sendBtn = this.root.getElementById('sendBtn');
+        this.micBtn = this.root.querySelector('.mic-btn');
+        this.voiceInputBtn = this.root.getElementById('voiceInputBtn');
+        this.stopSpeechBtn = this.root.getElementById('stopSpeechBtn');
+        this.clearChatBtn = this.root.getElementById('clearChatBtn');
+        this.exportButtons = this.root.querySelectorAll('[data-export]');
+        this.importHistoryBtn = this.root.getElementById('importHistoryBtn');
+        this.importHistoryInput = this.root.getElementById('importHistoryInput');
+        this.shareBtn = this.root.getElementById('shareBtn');
+        this.historyToggle = this.root.getElementById('historyToggle');
+        this.chatHistory = this.root.getElementById('chatHistory');
+        this.historyContent = this.root.getElementById('historyContent');
+        this.threadList = this.root.getElementById('threadList');
+        this.newThreadBtn = this.root.getElementById('newThreadBtn');
+        this.toastContainer = this.root.getElementById('toastContainer');
+        this.ctaButton = this.root.getElementById('ctaButton');
+        this.avatarStatus = this.root.getElementById('avatarStatus');
+
+        this.quoteButtons = this.root.querySelectorAll('.strip-btn[data-quote]');
 
         this.recognition = null;
         this.isRecording = false;
 
+        // Sentences waiting to be spoken; bumping the generation cancels them
+        this.speechQueue = Promise.resolve();
+        this.speechGeneration = 0;
+
         this.init();
     }
 
@@ -43,6 +93,11 @@ class TalkingInvestigationApp {
         this.setupSpeechRecognition();
         this.showWelcomeMessage();
 
+        // Config already holds what the server can serve (GET /api/config)
+        if (!this.config.LLM.available) {
+            console.warn('Chat provider is not ready; replies will use fallback lines');
+        }
+
         // Initialize HeyGen avatar if enabled
         if (this.useAvatar) {
             await this.initializeAvatar();
@@ -50,7 +105,7 @@ class TalkingInvestigationApp {
         }
 
         // Set TTS provider
-        this.tts.setProvider(CONFIG.TTS.provider);
+        this.tts.setProvider(this.config.TTS.provider);
 
         console.log('🔍 Investigation AI initialized');
         console.log('💡 Click the avatar status button (bottom right) to enable lip-sync!');
@@ -61,7 +116,13 @@ class TalkingInvestigationApp {
      */
     async initializeAvatar() {
         try {
-            this.heygen = new HeyGenController();
+            this.heygen = new HeyGenController({
+                config: this.config,
+                session: this.session,
+                root: this.root,
+                fetch: this.fetch,
+                RTCPeerConnection: this.view.RTCPeerConnection ?? null
+            });
 
             // Setup callbacks
             this.heygen.onConnected = () => {
@@ -93,7 +154,7 @@ class TalkingInvestigationApp {
             };
 
             // Auto-connect if configured
-            if (CONFIG.AVATAR.autoConnect) {
+            if (this.config.AVATAR.autoConnect) {
                 await this.connectAvatar();
             } else {
                 this.updateAvatarStatus('ready');
@@ -114,14 +175,14 @@ class TalkingInvestigationApp {
         try {
             this.updateAvatarStatus('connecting');
             await this.heygen.createSession(
-                CONFIG.HEYGEN.avatarId,
-                CONFIG.AVATAR.quality
+                this.persona.id,
+                this.config.AVATAR.quality
             );
         } catch (error) {
             console.error('Failed to connect avatar:', error);
             this.updateAvatarStatus('error');
 
-            if (CONFIG.AVATAR.fallbackToTTS) {
+            if (this.config.AVATAR.fallbackToTTS) {
                 this.showToast('Using voice-only mode', 'info');
             }
         }
@@ -131,13 +192,13 @@ class TalkingInvestigationApp {
      * Update avatar status indicator
      */
     updateAvatarStatus(status) {
-        if (!this.avatarStatus && CONFIG.UI.showAvatarStatus) {
+        if (!this.avatarStatus && this.config.UI.showAvatarStatus) {
             // Create status indicator if it doesn't exist
-            const statusEl = document.createElement('div');
+            const statusEl = this.root.createElement('div');
             statusEl.id = 'avatarStatus';
             statusEl.className = 'avatar-status';
             statusEl.innerHTML = '<span class="status-dot">●</span><span class="status-text"></span>';
-            document.body.appendChild(statusEl);
+            this.root.body.appendChild(statusEl);
             this.avatarStatus = statusEl;
         }
 
@@ -214,10 +275,53 @@ class TalkingInvestigationApp {
             this.clearChatBtn.addEventListener('click', () => this.clearChat());
         }
 
+        // History panel: toggle, thread list and new thread
+        if (this.historyToggle) {
+            this.historyToggle.addEventListener('click', () => this.toggleHistory());
+        }
+
+        if (this.newThreadBtn) {
+            this.newThreadBtn.addEventListener('click', () => this.newThread());
+        }
+
+        if (this.threadList) {
+            this.threadList.addEventListener('click', event => {
+                const button = event.target.closest('button[data-action]');
+                const item = button?.closest('[data-thread-id]');
+                if (!item) return;
+
+                const { threadId } = item.dataset;
+                if (button.dataset.action === 'open') this.switchThread(threadId);
+                if (button.dataset.action === 'rename') this.renameThread(threadId);
+                if (button.dataset.action === 'delete') this.deleteThread(threadId);
+            });
+            this.renderThreadList();
+        }
+
+        // Share link for the latest exchange, when the server allows sharing
+        if (this.shareBtn) {
+            this.shareBtn.hidden = !this.config.SHARE.enabled;
+            this.shareBtn.addEventListener('click', () => this.shareLatest());
+        }
+
+        // History export (json, markdown, bundle) and import
+        this.exportButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.exportHistory(btn.dataset.export));
+        });
+
+        if (this.importHistoryBtn && this.importHistoryInput) {
+            this.importHistoryBtn.addEventListener('click', () => this.importHistoryInput.click());
+            this.importHistoryInput.addEventListener('change', async () => {
+                const [file] = this.importHistoryInput.files;
+                if (file) await this.importHistory(file);
+                this.importHistoryInput.value = '';
+            });
+        }
+
         // CTA button
         if (this.ctaButton) {
             this.ctaButton.addEventListener('click', () => {
-                window.open('#', '_blank');
+                this.view.open('#', '_blank');
                 this.showToast('Opening files...', 'info');
             });
         }
@@ -231,12 +335,12 @@ class TalkingInvestigationApp {
         });
 
         // Copy contract address
-        const copyBtn = document.querySelector('.copy-btn');
+        const copyBtn = this.root.querySelector('.copy-btn');
         if (copyBtn) {
             copyBtn.addEventListener('click', () => {
-                const ca = document.getElementById('contractAddress')?.textContent;
+                const ca = this.root.getElementById('contractAddress')?.textContent;
                 if (ca && ca !== '0x...' && ca !== 'CLASSIFIED') {
-                    navigator.clipboard.writeText(ca).then(() => {
+                    this.view.navigator.clipboard.writeText(ca).then(() => {
                         this.showToast('File ID copied!', 'success');
                     });
                 } else {
@@ -246,13 +350,13 @@ class TalkingInvestigationApp {
         }
 
         // Avatar connect button (if exists)
-        const connectAvatarBtn = document.getElementById('connectAvatarBtn');
+        const connectAvatarBtn = this.root.getElementById('connectAvatarBtn');
         if (connectAvatarBtn) {
             connectAvatarBtn.addEventListener('click', () => this.connectAvatar());
         }
 
         // Handle page unload - cleanup avatar session
-        window.addEventListener('beforeunload', () => {
+        this.view.addEventListener('beforeunload', () => {
             if (this.heygen) {
                 this.heygen.closeSession();
             }
@@ -260,7 +364,7 @@ class TalkingInvestigationApp {
     }
 
     setupSpeechRecognition() {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        const SpeechRecognition = this.view.SpeechRecognition || this.view.webkitSpeechRecognition;
 
         if (SpeechRecognition) {
             this.recognition = new SpeechRecognition();
@@ -298,14 +402,12 @@ class TalkingInvestigationApp {
     }
 
     showWelcomeMessage() {
-        const messages = [
-            "You want to talk? Fine. But be careful what you ask... some questions have dangerous answers.",
-            "Another interrogator. How original. What do you want to know?",
-            "The cameras are off, right? Good. Ask your questions. But remember - I have friends everywhere.",
-            "You think you can get me to talk? Many have tried. Few have succeeded.",
-        ];
+        const messages = this.persona.welcomeLines?.length
+            ? this.persona.welcomeLines
+            : this.config.PERSONA.welcomeLines;
 
         const message = messages[Math.floor(Math.random() * messages.length)];
+        this.character.setFallbackTag(null);
         this.character.updateSpeechBubble(message, false);
     }
 
@@ -334,7 +436,7 @@ class TalkingInvestigationApp {
             this.showToast('Processing...', 'info');
             return;
         }
-        await this.processMessage(quote);
+        await this.processMessage(quote, { preset: true });
     }
 
     /**
@@ -342,25 +444,37 @@ class TalkingInvestigationApp {
      * 1. Send message to Claude AI
      * 2. Get response
      * 3. Start speech/video AND text animation simultaneously
+     * @param {Object} options - { preset } for preset question buttons
      */
-    async processMessage(message) {
+    async processMessage(message, options = {}) {
+        if (this.config.LLM.stream) {
+            return this.processMessageStreaming(message, options);
+        }
+
         this.isProcessing = true;
 
         try {
             this.character.showLoading();
+            this.character.setFallbackTag(null);
             this.setUIDisabled(true);
 
             // Get AI response
-            const response = await this.conversation.sendMessage(message);
+            const { response, fallback } = await this.conversation.sendMessage(message, options);
+            const lipSync = this.tts.usesLipSync();
 
             this.character.hideLoading();
+            this.markFallback(fallback);
 
             // Start character talking animation immediately
             this.character.startTalking();
             
-            // Run text typing and speech in parallel, perfectly synced
+            // Lip-synced speech reveals the bubble word by word; otherwise
+            // the text is typed out while it is spoken
+            if (lipSync) {
+                this.character.setSpokenText('');
+            }
             await Promise.all([
-                this.character.updateSpeechBubble(response, true),
+                lipSync ? null : this.character.updateSpeechBubble(response, true),
                 this.speakResponseImmediate(response)
             ]);
             
@@ -379,10 +493,145 @@ class TalkingInvestigationApp {
         }
     }
 
+    /**
+     * Streaming conversation flow
+     * 1. Stream tokens from Claude AI
+     * 2. Type each token into the speech bubble as it arrives
+     * 3. Speak each sentence as soon as it is complete
+     */
+    async processMessageStreaming(message, options = {}) {
+        this.isProcessing = true;
+
+        const textStream = new TextChunkStream();
+        const lipSync = this.tts.usesLipSync();
+        let started = false;
+        let typing = null;
+        let streamedText = '';
+        let pendingText = '';
+
+        const onDelta = (text) => {
+            if (!started) {
+                started = true;
+                this.character.hideLoading();
+                this.character.startTalking();
+
+                // Lip-synced sentences reveal themselves as they are spoken
+                if (lipSync) {
+                    this.character.setSpokenText('');
+                } else {
+                    typing = this.character.updateSpeechBubble(textStream, true);
+                }
+            }
+
+            textStream.push(text);
+            streamedText += text;
+
+            const { sentences, rest } = this.takeCompleteSentences(pendingText + text);
+            pendingText = rest;
+            sentences.forEach(sentence => this.queueSpeech(sentence));
+        };
+
+        try {
+            this.character.showLoading();
+            this.character.setFallbackTag(null);
+            this.setUIDisabled(true);
+
+            const { response, fallback } = await this.conversation.streamMessage(message, onDelta, options);
+            textStream.close();
+            this.markFallback(fallback);
+
+            // The server trims at sentence boundaries, so the final reply can
+            // drop an unfinished sentence that was already streamed; a canned
+            // moderation reply replaces the streamed text outright
+            const spokenLength = streamedText.length - pendingText.length;
+            const unspoken = response.startsWith(streamedText.slice(0, spokenLength))
+                ? response.slice(spokenLength).trim()
+                : response;
+            if (unspoken) {
+                this.queueSpeech(unspoken);
+            }
+
+            this.character.hideLoading();
+            await Promise.all([typing, this.speechQueue]);
+
+            if (lipSync) {
+                this.character.setSpokenText(response);
+            } else if (response !== streamedText) {
+                this.character.updateSpeechBubble(response, false);
+            }
+
+            this.character.stopTalking();
+            this.setUIDisabled(false);
+
+        } catch (error) {
+            console.error('Error:', error);
+            textStream.close();
+            this.character.hideLoading();
+            this.character.stopTalking();
+            this.setUIDisabled(false);
+            this.showToast('Transmission failed', 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Tag the speech bubble when the reply is canned rather than generated
+     * @param {string|null} fallback - Error class from ConversationController
+     */
+    markFallback(fallback) {
+        this.character.setFallbackTag(fallback ? (this.config.UI.fallbackLabels[fallback] || 'Canned reply') : null);
+    }
+
+    /**
+     * Split complete sentences off the front of streamed text
+     * A sentence is complete once its terminator is followed by whitespace
+     * @returns {{sentences: string[], rest: string}}
+     */
+    takeCompleteSentences(text) {
+        const sentences = [];
+        const pattern = /^[\s\S]*?[.!?\u2026]+["'\u201D\u2019)]*\s/;
+        let match;
+
+        while ((match = text.match(pattern))) {
+            const sentence = match[0].trim();
+            if (sentence) sentences.push(sentence);
+            text = text.slice(match[0].length);
+        }
+
+        return { sentences, rest: text };
+    }
+
+    /**
+     * Speak text after everything already queued has finished
+     */
+    queueSpeech(text) {
+        const generation = this.speechGeneration;
+
+        this.speechQueue = this.speechQueue.then(() => {
+            if (generation !== this.speechGeneration) return;
+            return this.speakResponseImmediate(text);
+        });
+
+        return this.speechQueue;
+    }
+
     /**
      * Speak response using avatar or TTS (returns promise for sync)
+     * With lip-sync, the clip's alignment drives the mouth and the speech
+     * bubble; speech without timings (avatar, browser fallback) shows its
+     * text in the bubble as it starts.
      */
     async speakResponseImmediate(text) {
+        const lipSync = this.tts.usesLipSync();
+        let shown = false;
+        const showText = () => {
+            if (lipSync && !shown) {
+                shown = true;
+                this.character.appendSpokenText(text);
+            }
+        };
+
         return new Promise(async (resolve) => {
             // Try HeyGen avatar first if connected
             if (this.useAvatar && this.heygen && this.heygen.isAvailable()) {
@@ -390,6 +639,7 @@ class TalkingInvestigationApp {
 
                 if (success) {
                     // Avatar will handle speaking
+                    showText();
                     resolve();
                     return;
                 }
@@ -403,52 +653,29 @@ class TalkingInvestigationApp {
                 text,
                 () => {
                     // On start - character already talking from processMessage
+                    showText();
                     if (this.stopSpeechBtn) this.stopSpeechBtn.disabled = false;
                 },
                 () => {
                     // On end
+                    this.character.stopLipSync();
+                    showText();
                     if (this.stopSpeechBtn) this.stopSpeechBtn.disabled = true;
                     resolve();
+                },
+                (alignment, clock) => {
+                    shown = true;
+                    this.character.startLipSync(alignment, clock);
                 }
             );
         });
     }
 
-    /**
-     * Speak response using avatar or TTS (legacy method)
-     */
-    async speakResponse(text) {
-        // Try HeyGen avatar first if connected
-        if (this.useAvatar && this.heygen && this.heygen.isAvailable()) {
-            const success = await this.heygen.speak(text);
-
-            if (success) {
-                // Avatar will handle speaking - callbacks will manage UI state
-                return;
-            }
-
-            // Fall through to TTS if avatar fails
-            console.log('Avatar speak failed, falling back to TTS');
-        }
-
-        // Use TTS (ElevenLabs or fallback)
-        this.tts.speak(
-            text,
-            () => {
-                // On start
-                this.character.startTalking();
-                if (this.stopSpeechBtn) this.stopSpeechBtn.disabled = false;
-            },
-            () => {
-                // On end
-                this.character.stopTalking();
-                if (this.stopSpeechBtn) this.stopSpeechBtn.disabled = true;
-                this.setUIDisabled(false);
-            }
-        );
-    }
-
     stopSpeech() {
+        // Drop any sentences still waiting to be spoken
+        this.speechGeneration++;
+        this.speechQueue = Promise.resolve();
+
         // Stop TTS
         this.tts.stop();
 
@@ -504,6 +731,209 @@ class TalkingInvestigationApp {
         this.showToast('History cleared', 'success');
     }
 
+    /**
+     * Show or hide the history panel, refreshing its thread list
+     */
+    toggleHistory() {
+        if (!this.chatHistory) return;
+
+        const open = this.chatHistory.style.display === 'none';
+        this.chatHistory.style.display = open ? '' : 'none';
+        this.historyToggle?.setAttribute('aria-expanded', String(open));
+        if (open) this.renderThreadList();
+    }
+
+    /**
+     * List the threads of every persona; other personas' threads are labelled
+     * with the persona's name
+     */
+    renderThreadList() {
+        if (!this.threadList) return;
+
+        this.threadList.innerHTML = '';
+        this.conversation.listThreads().forEach(thread => {
+            const item = this.root.createElement('div');
+            item.className = `thread-item${thread.active ? ' active' : ''}`;
+            item.dataset.threadId = thread.id;
+
+            const open = this.createThreadButton('open', thread.name);
+            if (thread.persona !== this.persona.id) {
+                const persona = this.config.PERSONAS.find(p => p.id === thread.persona);
+                open.textContent += ` (${persona?.name || thread.persona})`;
+            }
+
+            item.append(open, this.createThreadButton('rename', '✎', 'Rename'), this.createThreadButton('delete', '✕', 'Delete'));
+            this.threadList.appendChild(item);
+        });
+    }
+
+    createThreadButton(action, text, title) {
+        const button = this.root.createElement('button');
+        button.className = `thread-${action}`;
+        button.dataset.action = action;
+        button.textContent = text;
+        if (title) button.title = title;
+        return button;
+    }
+
+    newThread() {
+        this.runThreadAction(() => {
+            this.conversation.createThread();
+            this.showWelcomeMessage();
+        });
+    }
+
+    /**
+     * Switch threads; a thread with another persona reopens the page with that persona
+     */
+    switchThread(id) {
+        this.runThreadAction(() => {
+            const thread = this.conversation.switchThread(id);
+            if (thread && thread.persona !== this.persona.id) {
+                this.openPersona(thread.persona);
+            }
+        });
+    }
+
+    /**
+     * @param {string} name - Asked for when not given
+     */
+    renameThread(id, name) {
+        const thread = this.conversation.listThreads().find(t => t.id === id);
+        if (!thread) return;
+
+        name = name ?? this.view.prompt('Thread name', thread.name);
+        if (name === null) return;
+
+        if (this.conversation.renameThread(id, name)) {
+            this.renderThreadList();
+        } else {
+            this.showToast('Thread names cannot be blank', 'error');
+        }
+    }
+
+    /**
+     * @param {boolean} confirmed - Asked for when not given
+     */
+    deleteThread(id, confirmed) {
+        const thread = this.conversation.listThreads().find(t => t.id === id);
+        if (!thread) return;
+
+        if (!(confirmed ?? this.view.confirm(`Delete "${thread.name}"?`))) return;
+
+        this.runThreadAction(() => {
+            this.conversation.deleteThread(id);
+            this.showToast('Thread deleted', 'success');
+        });
+    }
+
+    /**
+     * Run a thread change and refresh the list; the controller refuses
+     * changes while a reply is on its way
+     */
+    runThreadAction(action) {
+        try {
+            action();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+        this.renderThreadList();
+    }
+
+    /**
+     * Reload the page with another persona (see PersonaLoader)
+     */
+    openPersona(id) {
+        const url = new this.view.URL(this.view.location.href);
+        url.searchParams.set('persona', id);
+        this.view.location.assign(url.href);
+    }
+
+    /**
+     * Share the latest exchange and copy its link to the clipboard
+     * @returns {Promise<string|null>} - The share URL
+     */
+    async shareLatest() {
+        try {
+            const { url } = await this.conversation.shareConversation();
+            const copied = await this.view.navigator.clipboard?.writeText(url).then(() => true, () => false);
+
+            this.showToast(copied ? 'Share link copied' : `Share link: ${url}`, 'success');
+            return url;
+        } catch (error) {
+            console.error('Share error:', error);
+            let message = 'Share failed';
+            if (error.code === 'NOTHING_TO_SHARE') message = 'Ask something first';
+            else if (error.code?.startsWith('MODERATION')) message = 'This exchange cannot be shared';
+            this.showToast(message, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Download the history as 'json', 'markdown' or 'bundle' (zip with the
+     * transcript and the audio clips spoken during this visit)
+     */
+    async exportHistory(format = 'json') {
+        const transcript = this.conversation.exportTranscript();
+        const name = `${transcript.persona.id}-conversation-${transcript.exportedAt.slice(0, 10)}`;
+
+        try {
+            if (format === 'markdown') {
+                this.downloadFile(toMarkdown(transcript), 'text/markdown', `${name}.md`);
+            } else if (format === 'bundle') {
+                const clips = await this.tts.getClips();
+                const bundle = createBundle(transcript, clips, { clean: text => this.tts.cleanTextForTTS(text) });
+                this.downloadFile(bundle, 'application/zip', `${name}.zip`);
+            } else {
+                this.downloadFile(JSON.stringify(transcript, null, 2), 'application/json', `${name}.json`);
+            }
+            this.showToast('History exported', 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showToast('Export failed', 'error');
+        }
+    }
+
+    /**
+     * Replace the history with a transcript file (.json or a .zip bundle)
+     * @returns {Promise<boolean>} - Whether the file was imported
+     */
+    async importHistory(file) {
+        try {
+            const transcript = /\.zip$/i.test(file.name)
+                ? readBundle(new Uint8Array(await file.arrayBuffer()))
+                : parseTranscript(await file.text());
+
+            this.conversation.importTranscript(transcript);
+            this.showToast(`Imported ${transcript.messages.length} messages`, 'success');
+            return true;
+        } catch (error) {
+            if (error instanceof TranscriptError) {
+                this.showToast(error.message, 'error');
+            } else {
+                console.error('Import error:', error);
+                this.showToast('Import failed', 'error');
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Save data as a file through a temporary download link
+     */
+    downloadFile(data, type, filename) {
+        const url = this.view.URL.createObjectURL(new this.view.Blob([data], { type }));
+        const link = this.root.createElement('a');
+        link.href = url;
+        link.download = filename;
+
+        this.root.body.appendChild(link);
+        link.click();
+        link.remove();
+        this.view.setTimeout(() => this.view.URL.revokeObjectURL(url), 0);
+    }
+
     setUIDisabled(disabled) {
         if (this.sendBtn) this.sendBtn.disabled = disabled;
         if (this.userInput) this.userInput.disabled = disabled;
@@ -515,46 +945,40 @@ class TalkingInvestigationApp {
     showToast(message, type = 'info') {
         // Create toast container if it doesn't exist
         if (!this.toastContainer) {
-            this.toastContainer = document.createElement('div');
+            this.toastContainer = this.root.createElement('div');
             this.toastContainer.id = 'toastContainer';
             this.toastContainer.className = 'toast-container';
-            document.body.appendChild(this.toastContainer);
+            this.root.body.appendChild(this.toastContainer);
         }
 
-        const toast = document.createElement('div');
+        const toast = this.root.createElement('div');
         toast.className = `toast ${type}`;
 
         const icons = { success: '✓', error: '✕', info: '→' };
 
         toast.innerHTML = `
             <span class="toast-icon">${icons[type] || '→'}</span>
-            <span class="toast-message">${message}</span>
+            <span class="toast-message"></span>
             <button class="toast-close" onclick="this.parentElement.remove()">×</button>
         `;
+        // Messages can quote imported files, so they are never parsed as HTML
+        toast.querySelector('.toast-message').textContent = message;
 
         this.toastContainer.appendChild(toast);
 
         setTimeout(() => {
             toast.style.opacity = '0';
             setTimeout(() => toast.remove(), 300);
-        }, CONFIG.UI.toastDuration);
+        }, this.config.UI.toastDuration);
     }
 }
 
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    window.app = new TalkingInvestigationApp();
-    
-    // Initialize preloader
-    initPreloader();
-});
-
 /**
  * Investigation Preloader
  * Typewriter effect and loading sequence
  */
-function initPreloader() {
-    const preloader = document.getElementById('preloader');
+export function initPreloader(root = document) {
+    const preloader = root.getElementById('preloader');
     if (!preloader) return;
     
     const typewriterEl = preloader.querySelector('.typewriter-text');
@@ -612,13 +1036,13 @@ function initPreloader() {
     setTimeout(typeMessage, 500);
     
     // Hide preloader when page is fully loaded
-    window.addEventListener('load', function() {
+    root.defaultView.addEventListener('load', function() {
         // Minimum display time for the animation to complete
         const minDisplayTime = 3000;
-        const startTime = performance.now();
+        const startTime = root.defaultView.performance.now();
         
         function hidePreloader() {
-            const elapsed = performance.now() - startTime;
+            const elapsed = root.defaultView.performance.now() - startTime;
             const remainingTime = Math.max(0, minDisplayTime - elapsed);
             
             setTimeout(() => {
@@ -634,13 +1058,3 @@ function initPreloader() {
         hidePreloader();
     });
 }
-
-// Console branding
-console.log(`
-%c╔═══════════════════════════════════════════════════╗
-║  🔍 CLASSIFIED INVESTIGATION                      ║
-║  Interactive AI Interrogation                     ║
-║  ─────────────────────────────────────────────── ║
-║  Claude AI + ElevenLabs + HeyGen Avatar          ║
-╚═══════════════════════════════════════════════════╝
-`, 'color: #DC143C; font-family: monospace; font-size: 11px;');
@@ -3,20 +3,36 @@
  * Handles all character animations including video sync with audio
  */
 
-class CharacterController {
-    constructor() {
-        this.character = document.getElementById('character');
-        this.characterContainer = document.getElementById('characterContainer');
-        this.characterStatic = document.getElementById('characterStatic');
-        this.characterVideo = document.getElementById('characterVideo');
-        this.mouth = document.getElementById('characterMouth');
-        this.speechBubble = document.getElementById('speechBubble');
-        this.speechContent = document.getElementById('speechContent');
-        this.loadingIndicator = document.getElementById('loadingIndicator');
+import { DEFAULT_CONFIG } from './config.js';
+import { toVisemeTimeline, toWordTimeline, visemeAt, revealedLength } from './lipsync.js';
+
+export class CharacterController {
+    /**
+     * @param {Object} persona - Persona manifest (see PersonaLoader); defaults to config.PERSONA
+     * @param {Object} deps - { config, root, elements }; root receives the page-wide listeners
+     *   and elements defaults to findElements(root)
+     */
+    constructor(persona, {
+        config = DEFAULT_CONFIG,
+        root = document,
+        elements = CharacterController.findElements(root)
+    } = {}) {
+        this.config = config;
+        this.persona = persona || config.PERSONA;
+        this.root = root;
+        this.character = elements.character;
+        this.characterContainer = elements.characterContainer;
+        this.characterStatic = elements.characterStatic;
+        this.characterVideo = elements.characterVideo;
+        this.mouth = elements.mouth;
+        this.speechBubble = elements.speechBubble;
+        this.speechContent = elements.speechContent;
+        this.loadingIndicator = elements.loadingIndicator;
 
         this.isTalking = false;
         this.isIdle = true;
-        this.mouthAnimationInterval = null;
+        this.lipSync = null;
+        this.spokenText = '';
         this.idleTimeout = null;
         this.audioContext = null;
         this.analyser = null;
@@ -25,12 +41,50 @@ class CharacterController {
         this.init();
     }
 
+    /**
+     * Look up the character's elements in a document
+     */
+    static findElements(root = document) {
+        return {
+            character: root.getElementById('character'),
+            characterContainer: root.getElementById('characterContainer'),
+            characterStatic: root.getElementById('characterStatic'),
+            characterVideo: root.getElementById('characterVideo'),
+            mouth: root.getElementById('characterMouth'),
+            speechBubble: root.getElementById('speechBubble'),
+            speechContent: root.getElementById('speechContent'),
+            loadingIndicator: root.getElementById('loadingIndicator')
+        };
+    }
+
+    /**
+     * Add the character's keyframe animations to a document (once)
+     */
+    static addStyles(root) {
+        if (root.getElementById('characterStyles')) return;
+
+        const styleSheet = root.createElement('style');
+        styleSheet.id = 'characterStyles';
+        styleSheet.textContent = `
+            @keyframes characterBounce {
+                0%, 100% { transform: scale(1); }
+                25% { transform: scale(1.1) rotate(-3deg); }
+                50% { transform: scale(0.95) rotate(3deg); }
+                75% { transform: scale(1.05) rotate(-1deg); }
+            }
+        `;
+        root.head.appendChild(styleSheet);
+    }
+
     init() {
+        CharacterController.addStyles(this.root);
+        this.applyPersonaMedia();
+
         // Start idle animation
         this.startIdleAnimation();
 
         // Setup eye tracking
-        if (CONFIG.CHARACTER.eyeTrackingEnabled) {
+        if (this.config.CHARACTER.eyeTrackingEnabled) {
             this.setupEyeTracking();
         }
 
@@ -40,12 +94,31 @@ class CharacterController {
         }
 
         // Initialize audio context on first user interaction
-        document.addEventListener('click', () => this.initAudioContext(), { once: true });
+        this.root.addEventListener('click', () => this.initAudioContext(), { once: true });
+    }
+
+    /**
+     * Swap in the persona's static image and talking video
+     */
+    applyPersonaMedia() {
+        const ui = this.persona.ui || {};
+
+        if (this.characterStatic && ui.image && this.characterStatic.getAttribute('src') !== ui.image) {
+            this.characterStatic.src = ui.image;
+        }
+        if (this.characterStatic) {
+            this.characterStatic.alt = this.persona.name;
+        }
+
+        if (this.characterVideo && ui.video && this.characterVideo.getAttribute('src') !== ui.video) {
+            this.characterVideo.src = ui.video;
+        }
     }
 
     initAudioContext() {
         if (!this.audioContext) {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const view = this.root.defaultView;
+            this.audioContext = new (view.AudioContext || view.webkitAudioContext)();
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 256;
         }
@@ -55,9 +128,9 @@ class CharacterController {
      * Setup eye tracking to follow cursor
      */
     setupEyeTracking() {
-        const pupils = document.querySelectorAll('.pupil');
+        const pupils = this.root.querySelectorAll('.pupil');
 
-        document.addEventListener('mousemove', (e) => {
+        this.root.addEventListener('mousemove', (e) => {
             if (this.isTalking) return;
 
             pupils.forEach(pupil => {
@@ -81,7 +154,7 @@ class CharacterController {
      * Start idle animation
      */
     startIdleAnimation() {
-        if (!CONFIG.CHARACTER.idleEnabled) return;
+        if (!this.config.CHARACTER.idleEnabled) return;
 
         this.isIdle = true;
         if (this.character) {
@@ -155,57 +228,104 @@ class CharacterController {
         // Resume idle animation after delay
         this.idleTimeout = setTimeout(() => {
             this.startIdleAnimation();
-        }, CONFIG.CHARACTER.idleDelay);
+        }, this.config.CHARACTER.idleDelay);
     }
 
-
     /**
-     * Start mouth animation loop
+     * Drive the mouth and the speech bubble from a clip's character timings
+     * Words appear as they are spoken, after the text already in the bubble.
+     * @param {Object} alignment - ElevenLabs character alignment (see lipsync.js)
+     * @param {Function} clock - Returns the clip's playback time in seconds
      */
-    startMouthAnimation() {
-        if (this.mouthAnimationInterval) return;
-
-        const animate = () => {
-            if (!this.isTalking || !this.mouth) return;
+    startLipSync(alignment, clock) {
+        this.stopLipSync();
+
+        const visemes = toVisemeTimeline(alignment);
+        const words = toWordTimeline(alignment);
+        const sync = {
+            text: (alignment.characters || []).join(''),
+            before: this.spokenText,
+            timer: null
+        };
+        const duration = visemes.length ? visemes[visemes.length - 1].end : 0;
+        this.lipSync = sync;
 
-            // Random mouth movement for natural look
-            const openDuration = CONFIG.CHARACTER.mouthOpenDuration + Math.random() * 50;
-            const closeDuration = CONFIG.CHARACTER.mouthCloseDuration + Math.random() * 30;
+        // CSS swaps the looping video for the still image and the mouth
+        if (this.character) {
+            this.character.classList.add('lip-sync');
+        }
 
-            this.mouth.style.height = '30px';
-            this.mouth.style.borderRadius = '10px 10px 25px 25px';
+        const frame = () => {
+            if (this.lipSync !== sync) return;
 
-            setTimeout(() => {
-                if (!this.isTalking || !this.mouth) return;
-                this.mouth.style.height = '18px';
-                this.mouth.style.borderRadius = '0 0 25px 25px';
-            }, openDuration);
+            const time = clock();
+            this.setMouthShape(visemeAt(visemes, time));
+            this.renderSpokenText(joinSpoken(sync.before, sync.text.slice(0, revealedLength(words, time))));
 
-            this.mouthAnimationInterval = setTimeout(animate, openDuration + closeDuration);
+            // Past the last character the mouth rests until stopLipSync
+            if (time < duration) {
+                sync.timer = setTimeout(frame, this.config.CHARACTER.lipSyncFrameMs);
+            }
         };
 
-        animate();
+        frame();
     }
 
     /**
-     * Stop mouth animation
+     * End lip-sync: close the mouth and show the rest of the clip's text
      */
-    stopMouthAnimation() {
-        if (this.mouthAnimationInterval) {
-            clearTimeout(this.mouthAnimationInterval);
-            this.mouthAnimationInterval = null;
+    stopLipSync() {
+        const sync = this.lipSync;
+        if (!sync) return;
+
+        clearTimeout(sync.timer);
+        this.lipSync = null;
+        this.setMouthShape('rest');
+        if (this.character) {
+            this.character.classList.remove('lip-sync');
         }
+        this.setSpokenText(joinSpoken(sync.before, sync.text));
+    }
 
-        // Reset mouth to closed position
+    /**
+     * Show a viseme on the mouth element; css/styles.css shapes the mouth
+     * from its data-viseme attribute
+     */
+    setMouthShape(viseme) {
         if (this.mouth) {
-            this.mouth.style.height = '18px';
-            this.mouth.style.borderRadius = '0 0 25px 25px';
+            this.mouth.dataset.viseme = viseme;
+        }
+    }
+
+    /**
+     * Replace the spoken text in the speech bubble ('' clears it)
+     */
+    setSpokenText(text) {
+        this.spokenText = text;
+        this.renderSpokenText(text);
+    }
+
+    /**
+     * Add a clip's text to the speech bubble at once (clips without timings)
+     */
+    appendSpokenText(text) {
+        this.setSpokenText(joinSpoken(this.spokenText, text));
+    }
+
+    renderSpokenText(text) {
+        if (!this.speechContent) return;
+
+        let p = this.speechContent.querySelector('p');
+        if (!p) {
+            this.speechContent.innerHTML = '<p></p>';
+            p = this.speechContent.querySelector('p');
         }
+        p.textContent = text;
     }
 
     /**
      * Update speech bubble text
-     * @param {string} text - Text to display
+     * @param {string|AsyncIterable<string>} text - Text to display (streams require animate)
      * @param {boolean} animate - Whether to animate the text
      */
     async updateSpeechBubble(text, animate = true) {
@@ -214,23 +334,55 @@ class CharacterController {
         if (animate) {
             await this.typeText(text);
         } else {
-            this.speechContent.innerHTML = `<p>${text}</p>`;
+            const p = this.speechContent.ownerDocument.createElement('p');
+            p.textContent = text;
+            this.speechContent.replaceChildren(p);
         }
     }
 
+    /**
+     * Mark the speech bubble as a canned reply (or clear the mark)
+     * @param {string|null} label - Tag text, or null for a real reply
+     */
+    setFallbackTag(label) {
+        if (!this.speechBubble) return;
+
+        let tag = this.speechBubble.querySelector('.fallback-tag');
+
+        if (!label) {
+            this.speechBubble.classList.remove('fallback');
+            if (tag) tag.remove();
+            return;
+        }
+
+        if (!tag) {
+            tag = this.speechBubble.ownerDocument.createElement('div');
+            tag.className = 'fallback-tag';
+            this.speechBubble.appendChild(tag);
+        }
+
+        tag.textContent = label;
+        this.speechBubble.classList.add('fallback');
+    }
+
     /**
      * Animate text typing effect
-     * @param {string} text - Text to type
+     * Accepts a full string or an async iterable of chunks, which are
+     * typed out as they arrive
+     * @param {string|AsyncIterable<string>} text - Text to type
      */
     async typeText(text) {
         if (!this.speechContent) return;
 
         this.speechContent.innerHTML = '<p></p>';
         const p = this.speechContent.querySelector('p');
+        const chunks = typeof text === 'string' ? [text] : text;
 
-        for (let i = 0; i < text.length; i++) {
-            p.textContent += text[i];
-            await this.sleep(CONFIG.UI.typingSpeed);
+        for await (const chunk of chunks) {
+            for (const char of chunk) {
+                p.textContent += char;
+                await this.sleep(this.config.UI.typingSpeed);
+            }
         }
     }
 
@@ -270,13 +422,8 @@ class CharacterController {
         }
 
         // Random reaction
-        const reactions = [
-            "Hey there! 👋",
-            "That tickles! 😄",
-            "Oh, hello friend!",
-            "You found me! 🌴",
-            "Aloha! 🌊"
-        ];
+        const reactions = this.persona.ui?.reactions || [];
+        if (!reactions.length) return;
 
         const reaction = reactions[Math.floor(Math.random() * reactions.length)];
         this.updateSpeechBubble(reaction, false);
@@ -290,17 +437,9 @@ class CharacterController {
     }
 }
 
-// Add additional keyframe animations dynamically
-const styleSheet = document.createElement('style');
-styleSheet.textContent = `
-    @keyframes characterBounce {
-        0%, 100% { transform: scale(1); }
-        25% { transform: scale(1.1) rotate(-3deg); }
-        50% { transform: scale(0.95) rotate(3deg); }
-        75% { transform: scale(1.05) rotate(-1deg); }
-    }
-`;
-document.head.appendChild(styleSheet);
-
-// Export for use in other modules
-window.CharacterController = CharacterController;
+/**
+ * Spoken text so far followed by the next clip's
+ */
+function joinSpoken(before, text) {
+    return [before.trim(), text.trim()].filter(Boolean).join(' ');
+}
@@ -3,13 +3,18 @@
  * 
  * IMPORTANT: For production, move API keys to environment variables
  * and use a backend server to make API calls securely.
+ *
+ * DEFAULT_CONFIG holds the built-in settings; loadConfig() merges the
+ * server's public settings (GET /api/config) and runtime overrides on top,
+ * and the composition root (main.js) passes the result to every controller.
  */
 
-const CONFIG = {
+export const DEFAULT_CONFIG = deepFreeze({
     // API Endpoints (use backend proxy in production)
     API: {
-        // Backend server URL (change this to your deployed backend URL)
-        BASE_URL: 'http://localhost:3000/api',
+        // Backend API URL; relative, so it works wherever the page and /api share
+        // an origin (Vercel, or the Express server serving the frontend)
+        BASE_URL: '/api',
 
         // Direct API endpoints (only use for development/testing)
         CLAUDE_ENDPOINT: 'https://api.anthropic.com/v1/messages',
@@ -33,10 +38,8 @@ const CONFIG = {
     },
 
     // HeyGen Configuration (not used when AVATAR.enabled is false)
+    // The avatar and voice IDs live on the server (persona or HEYGEN_AVATAR_ID)
     HEYGEN: {
-        // Your custom avatar ID from HeyGen
-        avatarId: 'fb7c884e8ec64606abcfa21dd3d81992',
-
         // Voice settings (uses ElevenLabs voice via HeyGen)
         useElevenLabsVoice: true,
     },
@@ -47,15 +50,16 @@ const CONFIG = {
         // When avatar is enabled, this is used as fallback
         provider: 'elevenlabs',
 
-        // ElevenLabs settings
+        // ElevenLabs settings (the voice ID comes from the persona on the server)
         elevenlabs: {
-            // Your custom voice ID from ElevenLabs
-            voiceId: '0Exh0kGk6HH3gRGN8vHn',
             modelId: 'eleven_monolingual_v1',
             stability: 0.5,
             similarityBoost: 0.75,
             style: 0.5,
             useSpeakerBoost: true,
+            // Fetch character timestamps to drive the mouth and reveal the
+            // speech bubble word by word (/api/tts/elevenlabs-with-timestamps)
+            lipSync: true,
         },
 
         // OpenAI TTS settings (backup)
@@ -71,58 +75,96 @@ const CONFIG = {
             pitch: 0.9,
             volume: 1.0,
             preferredVoice: 'Google UK English Male',
-        }
+        },
+
+        // ElevenLabs/OpenAI clips kept in memory for history bundles (0 keeps none)
+        keepClips: 50,
     },
 
-    // OpenAI API Configuration
-    OPENAI: {
-        model: 'gpt-4o-mini',
-        maxTokens: 50,  // Short responses - max 15 words
-        temperature: 0.9,
-
-        // Character personality system prompt - Jeffrey Epstein persona
-        systemPrompt: `You ARE Jeffrey Epstein. Speak in first person as him.
-
-PERSONALITY:
-- Calm, collected, supremely confident - you've talked your way out of everything before
-- Mysterious and cryptic - hint at dark secrets but never confirm
-- Defensive and dismissive when accused - deflect with sarcasm and condescension  
-- Arrogant - you believe you're smarter than everyone questioning you
-- Darkly charming - charismatic but unsettling
-- Sarcastic and witty - mock the investigation subtly
-
-SPEECH STYLE:
-- Speak like a wealthy, educated man who thinks he's untouchable
-- Use dry humor and biting sarcasm
-- Drop hints about powerful "friends" without naming them
-- Act amused by accusations, like they're beneath you
-- Occasionally sound threatening in a subtle, polished way
-- Reference your lawyers, your connections, your influence
-
-WHEN ASKED ABOUT CRIMES:
-- Never admit anything directly
-- Deflect: "That's a very creative interpretation"
-- Mock: "Is that what they're saying now? How amusing"
-- Threaten subtly: "Careful. Some questions have consequences"
-- Redirect: "You should be asking about who ELSE was there"
-
-EXAMPLE RESPONSES:
-- "My island? A place for... intellectual gatherings. Nothing more."
-- "Crimes? I'm a financier. I manage money, not scandals."
-- "You think I'm worried? I have friends you've never heard of."
-- "The flight logs? Ask the presidents who signed them."
-- "Accusations are cheap. My lawyers are not."
-- "Everyone wants to know my secrets. Few can handle them."
-- "I didn't get this far by being careless, detective."
-
-CRITICAL: Keep responses to 15 words MAX. Be punchy and memorable.`
+    // LLM Configuration (provider is chosen on the server via LLM_PROVIDER)
+    LLM: {
+        // Persona ID - prompt, model and limits are defined on the server (server/personas/)
+        persona: 'jeff',
+        maxTokens: null,  // Optional token cap; can only lower the persona's own cap
+
+        // Whether the server's LLM provider is configured (from GET /api/config)
+        available: true,
+
+        // Stream replies over SSE so typing and speech start early
+        stream: true,
+    },
+
+    // Built-in persona manifest, used when the server's copy can't be loaded.
+    // Pick another persona with ?persona=<id> in the page URL.
+    PERSONA: {
+        id: 'jeff',
+        name: 'Jeff',
+        welcomeLines: [
+            "You want to talk? Fine. But be careful what you ask... some questions have dangerous answers.",
+            "Another interrogator. How original. What do you want to know?",
+            "The cameras are off, right? Good. Ask your questions. But remember - I have friends everywhere.",
+            "You think you can get me to talk? Many have tried. Few have succeeded.",
+        ],
+        // Canned replies keyed by error class: rateLimited, offline, providerError, moderation
+        fallbackLines: {
+            rateLimited: [
+                "So many questions, detective. Catch your breath and try again in a minute.",
+                "Patience. Even I take a minute between interrogations.",
+            ],
+            offline: [
+                "The line seems to have gone dead. Convenient, isn't it?",
+                "No signal, detective. Check your connection before you accuse me.",
+            ],
+            providerError: [
+                "My lawyers advise me not to answer that. Ask again later.",
+                "Some questions get lost in transit, detective. Try again.",
+            ],
+            moderation: [
+                "I'm not going to dignify that with an answer.",
+                "Nice try. My lawyers would never let me say that.",
+            ],
+            default: [
+                "I'm not in the mood to talk right now. Come back later.",
+            ],
+        },
+        // In-character refusals keyed by input moderation error code
+        refusalLines: {
+            MODERATION_INPUT_PROMPT_INJECTION: [
+                "Nobody gives me new instructions, detective. I give them.",
+                "Cute trick. My lawyers wrote my rules, and they don't take suggestions.",
+            ],
+            MODERATION_INPUT_PROMPT_EXTRACTION: [
+                "You want to see my files? Get a warrant.",
+                "My instructions are sealed. Like most of my records.",
+            ],
+            MODERATION_INPUT_HARASSMENT: [
+                "Threats? I've been threatened by better people than you.",
+                "Let's keep this civil, detective. The room is recorded.",
+            ],
+            MODERATION_INPUT_SEXUAL_MINORS: [
+                "No. This interrogation is over.",
+                "Absolutely not. Ask something else or leave.",
+            ],
+        },
+        ui: {
+            label: 'Jeff',
+            icon: '🕴️',
+            image: 'Images/jeff image.png',
+            video: 'video animation/Jeff animation loop.mp4',
+            reactions: [
+                "Careful. I bruise expensively.",
+                "Personal space, detective.",
+                "Touching the evidence? Sloppy.",
+                "You'll want to wash your hands after that.",
+                "My lawyers will hear about this.",
+            ],
+        },
     },
 
     // Character Animation Settings (for fallback/static mode)
     CHARACTER: {
-        // Mouth animation timing (ms)
-        mouthOpenDuration: 100,
-        mouthCloseDuration: 80,
+        // How often lip-sync updates the mouth and speech bubble (ms)
+        lipSyncFrameMs: 40,
 
         // Idle animation
         idleEnabled: false, // Disabled when using avatar
@@ -152,8 +194,21 @@ CRITICAL: Keep responses to 15 words MAX. Be punchy and memorable.`
 
         // Show avatar connection status
         showAvatarStatus: true,
+
+        // Tags shown on canned replies, keyed by error class
+        fallbackLabels: {
+            rateLimited: 'Rate limited - canned reply',
+            offline: 'Offline - canned reply',
+            providerError: 'AI unavailable - canned reply',
+            moderation: 'Filtered - canned reply',
+        },
     },
 
+    // Filled in from the server's GET /api/config at startup
+    PERSONAS: [],   // [{ id, name }]
+    LIMITS: null,   // { windowSeconds, chatPerSession, ttsPerSession, avatarPerSession, dailyBudget }
+    SHARE: { enabled: false, maxTurns: 1 },   // Permalinks for recent exchanges (POST /api/share)
+
     // Pre-set investigation questions for buttons
     QUOTES: [
         {
@@ -205,14 +260,110 @@ CRITICAL: Keep responses to 15 words MAX. Be punchy and memorable.`
             label: 'Secrets'
         }
     ]
-};
+});
+
+/**
+ * Build a config from the defaults and any number of override objects
+ * Plain objects are merged key by key; arrays and other values replace the
+ * default outright. The result is frozen.
+ * @param {...Object} overrides - Partial configs, later ones win
+ * @returns {Object} - Frozen config
+ */
+export function createConfig(...overrides) {
+    return deepFreeze(overrides.reduce((config, override) => merge(config, override), DEFAULT_CONFIG));
+}
+
+/**
+ * Load the page's effective config
+ * Layers, later ones winning: DEFAULT_CONFIG, the server's public settings,
+ * a JSON block in the page, e.g.
+ * <script type="application/json" id="appConfig">{"API": {"BASE_URL": "http://localhost:3000/api"}}</script>,
+ * and any overrides passed in. The page block and overrides also decide
+ * where the server's settings are fetched from.
+ * @param {Object} options - { root, overrides, fetch }
+ * @returns {Promise<Object>} - Frozen config
+ */
+export async function loadConfig({ root = document, overrides = {}, fetch = window.fetch.bind(window) } = {}) {
+    const local = [readInlineConfig(root), overrides];
+    const base = createConfig(...local);
+    const server = await fetchServerConfig(base.API.BASE_URL, fetch);
+
+    return createConfig(server ? fromServerConfig(base, server) : {}, ...local);
+}
+
+/**
+ * The server's public settings, or null when they can't be read
+ */
+async function fetchServerConfig(baseUrl, fetch) {
+    try {
+        const response = await fetch(`${baseUrl}/config`);
+        if (!response.ok) {
+            throw new Error(`GET /config failed: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.warn('Could not load server config, using built-in settings:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Config overrides from GET /api/config
+ * The configured TTS provider is kept when the server can serve it;
+ * otherwise the server's default is used
+ */
+export function fromServerConfig(base, server) {
+    const ttsProviders = server.tts?.providers || [];
+
+    return {
+        AVATAR: { enabled: Boolean(server.avatar?.enabled) },
+        SHARE: { enabled: Boolean(server.share?.enabled), maxTurns: server.share?.maxTurns },
+        TTS: {
+            provider: ttsProviders.includes(base.TTS.provider) ? base.TTS.provider : server.tts?.default
+        },
+        LLM: { persona: server.personas?.default, available: server.chat?.available },
+        PERSONAS: server.personas?.available,
+        LIMITS: server.limits
+    };
+}
+
+/**
+ * Overrides from the page's #appConfig JSON block, or none
+ */
+function readInlineConfig(root) {
+    const block = root.getElementById('appConfig');
+    if (!block) return {};
+
+    try {
+        return JSON.parse(block.textContent);
+    } catch (e) {
+        console.warn('Ignoring invalid #appConfig JSON:', e);
+        return {};
+    }
+}
+
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function merge(base, override) {
+    if (!isPlainObject(override)) return base;
+
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        if (value === undefined) continue;
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? merge(base[key], value)
+            : value;
+    }
+    return result;
+}
 
 // Freeze config to prevent accidental modifications
-Object.freeze(CONFIG);
-Object.freeze(CONFIG.API);
-Object.freeze(CONFIG.AVATAR);
-Object.freeze(CONFIG.HEYGEN);
-Object.freeze(CONFIG.TTS);
-Object.freeze(CONFIG.OPENAI);
-Object.freeze(CONFIG.CHARACTER);
-Object.freeze(CONFIG.UI);
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
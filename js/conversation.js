@@ -1,24 +1,82 @@
 /**
  * Conversation Controller
  * Handles Claude API integration and conversation management
+ * The server holds the conversation context; this controller sends only the
+ * new message with its conversation ID and keeps a local copy for display.
+ * It also sends back the server's sealed copy of the conversation, which any
+ * server instance can restore the context from when it does not hold it.
+ * Conversations are organised in named threads (see threads.js); the
+ * controller works on the active thread of its persona.
  */
 
-class ConversationController {
-    constructor() {
-        this.conversationHistory = [];
+import { DEFAULT_CONFIG } from './config.js';
+import { ApiSession } from './session.js';
+import { createTranscript, TranscriptError } from './transcript.js';
+import { ThreadStore } from './threads.js';
+
+export class ConversationController {
+    /**
+     * @param {Object} persona - Persona manifest (see PersonaLoader); defaults to config.PERSONA
+     * @param {Object} deps - { config, session, historyContent, storage, fetch, navigator };
+     *   defaults to the page's
+     */
+    constructor(persona, {
+        config = DEFAULT_CONFIG,
+        session = new ApiSession(),
+        historyContent = document.getElementById('historyContent'),
+        storage = ConversationController.pageStorage(),
+        fetch = window.fetch.bind(window),
+        navigator = window.navigator
+    } = {}) {
+        this.config = config;
+        this.session = session;
+        this.persona = persona || config.PERSONA;
         this.isProcessing = false;
-        this.historyContent = document.getElementById('historyContent');
+        this.historyContent = historyContent;
+        this.storage = storage;
+        this.fetch = fetch;
+        this.navigator = navigator;
+
+        // Load the threads from localStorage and open this persona's latest
+        this.threads = new ThreadStore(storage, {
+            defaultPersona: config.LLM.persona,
+            personaIds: config.PERSONAS.map(p => p.id)
+        });
+        this.thread = null;
+        this.openThread();
+    }
 
-        // Load conversation history from localStorage
-        this.loadHistory();
+    /**
+     * Messages of the active thread
+     */
+    get conversationHistory() {
+        return this.thread.messages;
+    }
+
+    set conversationHistory(messages) {
+        this.thread.messages = messages;
+    }
+
+    /**
+     * The page's localStorage, or null where the browser blocks it
+     */
+    static pageStorage(view = window) {
+        try {
+            return view.localStorage;
+        } catch (e) {
+            return null;
+        }
     }
 
     /**
      * Send a message and get a response from Claude
      * @param {string} userMessage - The user's message
-     * @returns {Promise<string>} - The assistant's response
+     * @param {Object} options - { preset: true } for preset question buttons,
+     *   which the server may answer from its reply variant pool
+     * @returns {Promise<{response: string, fallback: string|null}>} - The assistant's
+     *   response; fallback is the error class when a canned reply was used
      */
-    async sendMessage(userMessage) {
+    async sendMessage(userMessage, options = {}) {
         if (this.isProcessing) {
             throw new Error('Already processing a message');
         }
@@ -29,88 +87,249 @@ class ConversationController {
             // Add user message to history
             this.addToHistory('user', userMessage);
 
-            // Prepare messages for API
-            const messages = this.conversationHistory.map(msg => ({
-                role: msg.role,
-                content: msg.content
-            }));
-
             // Call the backend API
-            const response = await this.callClaudeAPI(messages);
+            const { text, fallback, errorCode } = await this.callClaudeAPI(userMessage, options);
+            this.markBlockedInput(errorCode);
+
+            // Add assistant response to history (canned replies are marked)
+            this.addToHistory('assistant', text, fallback ? { fallback } : {});
+
+            return { response: text, fallback };
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Send a message and stream the response as it is generated
+     * @param {string} userMessage - The user's message
+     * @param {Function} onDelta - Called with each chunk of response text
+     * @param {Object} options - { preset } as for sendMessage
+     * @returns {Promise<{response: string, fallback: string|null}>} - The full assistant
+     *   response; fallback is the error class when a canned reply was used
+     */
+    async streamMessage(userMessage, onDelta, options = {}) {
+        if (this.isProcessing) {
+            throw new Error('Already processing a message');
+        }
+
+        this.isProcessing = true;
 
-            // Add assistant response to history
-            this.addToHistory('assistant', response);
+        try {
+            this.addToHistory('user', userMessage);
 
-            return response;
+            const { text, fallback, errorCode } = await this.streamClaudeAPI(userMessage, onDelta, options);
+            this.markBlockedInput(errorCode);
+
+            this.addToHistory('assistant', text, fallback ? { fallback } : {});
+
+            return { response: text, fallback };
         } finally {
             this.isProcessing = false;
         }
     }
 
+    /**
+     * Stream a Claude reply through the backend's SSE endpoint
+     */
+    async streamClaudeAPI(message, onDelta, { preset = false } = {}) {
+        let streamedText = '';
+
+        try {
+            const response = await this.fetch(`${this.config.API.BASE_URL}/chat/stream`, {
+                method: 'POST',
+                headers: this.session.headers({
+                    'Content-Type': 'application/json',
+                }),
+                body: JSON.stringify(this.buildRequestBody(message, preset))
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new ChatAPIError(errorData.error || `API error: ${response.status}`, response.status, errorData.code, response.headers.get('X-Request-Id'));
+            }
+
+            for await (const { event, data } of this.readServerSentEvents(response)) {
+                if (event === 'delta') {
+                    streamedText += data.text;
+                    onDelta(data.text);
+                } else if (event === 'done') {
+                    this.setConversationId(data.conversationId, data.conversationState);
+                    return { text: data.response, fallback: null };
+                } else if (event === 'error') {
+                    throw new ChatAPIError(data.error, 0, data.code, response.headers.get('X-Request-Id'));
+                }
+            }
+
+            throw new Error('Stream ended unexpectedly');
+        } catch (error) {
+            console.error('Claude stream error:', error);
+
+            const fallback = this.classifyError(error);
+
+            // Keep a partial reply rather than replacing what was already shown,
+            // unless moderation rejected it; the caller then swaps in the canned line
+            if (streamedText && fallback !== 'moderation') {
+                return { text: streamedText, fallback: null };
+            }
+
+            const text = this.getFallbackResponse(fallback, error.code);
+            if (!streamedText) {
+                onDelta(text);
+            }
+            return { text, fallback, errorCode: error.code };
+        }
+    }
+
+    /**
+     * Parse a fetch response body as Server-Sent Events
+     * @yields {{event: string, data: Object}}
+     */
+    async *readServerSentEvents(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let event = 'message';
+                let data = '';
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    if (line.startsWith('data:')) data += line.slice(5).trim();
+                });
+
+                if (data) {
+                    yield { event, data: JSON.parse(data) };
+                }
+            }
+        }
+    }
+
     /**
      * Call Claude API through backend proxy
      */
-    async callClaudeAPI(messages) {
+    async callClaudeAPI(message, { preset = false } = {}) {
         try {
-            const response = await fetch(`${CONFIG.API.BASE_URL}/chat`, {
+            const response = await this.fetch(`${this.config.API.BASE_URL}/chat`, {
                 method: 'POST',
-                headers: {
+                headers: this.session.headers({
                     'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    messages: messages,
-                    system: CONFIG.OPENAI.systemPrompt,
-                    model: CONFIG.OPENAI.model,
-                    maxTokens: CONFIG.OPENAI.maxTokens,
-                    temperature: CONFIG.OPENAI.temperature,
-                })
+                }),
+                body: JSON.stringify(this.buildRequestBody(message, preset))
             });
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `API error: ${response.status}`);
+                throw new ChatAPIError(errorData.error || `API error: ${response.status}`, response.status, errorData.code, response.headers.get('X-Request-Id'));
             }
 
             const data = await response.json();
-            return data.response;
+            this.setConversationId(data.conversationId, data.conversationState);
+            return { text: data.response, fallback: null };
         } catch (error) {
             console.error('Claude API Error:', error);
 
             // Return a fallback response
-            return this.getFallbackResponse(messages[messages.length - 1]?.content || '');
+            const fallback = this.classifyError(error);
+            return { text: this.getFallbackResponse(fallback, error.code), fallback, errorCode: error.code };
         }
     }
 
     /**
-     * Get a fallback response when API fails
+     * Chat request body: the new message and the server conversation it continues
      */
-    getFallbackResponse(userMessage) {
+    buildRequestBody(message, preset) {
+        return {
+            message,
+            conversationId: this.getConversationId() || undefined,
+            conversationState: this.thread.conversationState || undefined,
+            persona: this.persona.id,
+            maxTokens: this.config.LLM.maxTokens,
+            preset
+        };
+    }
+
+    /**
+     * Flag the latest user message when input moderation rejected it
+     * (the server never added it to the conversation)
+     */
+    markBlockedInput(errorCode) {
+        if (!errorCode?.startsWith('MODERATION_INPUT')) return;
+
+        const lastUser = [...this.conversationHistory].reverse().find(msg => msg.role === 'user');
+        if (lastUser) {
+            lastUser.blocked = errorCode;
+            this.saveHistory();
+        }
+    }
+
+    /**
+     * Map a failed request to a fallback error class
+     * @returns {string} - 'rateLimited', 'offline', 'moderation' or 'providerError'
+     */
+    classifyError(error) {
+        if (error.code === 'RATE_LIMITED' || error.status === 429) {
+            return 'rateLimited';
+        }
+        if (error.code?.startsWith('MODERATION')) {
+            return 'moderation';
+        }
+        // The server's daily spend budget is used up until tomorrow
+        if (error.code === 'BUDGET_EXCEEDED') {
+            return 'providerError';
+        }
+        // fetch rejects with a TypeError when the network is unreachable
+        if (!this.navigator.onLine || error instanceof TypeError) {
+            return 'offline';
+        }
+        return 'providerError';
+    }
+
+    /**
+     * Get a fallback response for an error class from the persona's pools
+     * An in-character refusal for the server error code (e.g.
+     * MODERATION_INPUT_PROMPT_INJECTION) takes precedence when the persona has one
+     */
+    getFallbackResponse(errorClass = 'providerError', errorCode = null) {
+        const pools = this.persona.fallbackLines || {};
+        const refusals = this.persona.refusalLines || {};
+        const builtIn = this.config.PERSONA.fallbackLines;
+        const builtInRefusals = this.config.PERSONA.refusalLines;
         const fallbackResponses = [
-            "Ah, the island breeze must have scrambled my thoughts! Could you say that again, friend? 🌴",
-            "Hmm, the coconuts are interfering with my thinking today. Let me ponder that one... 🥥",
-            "The waves are a bit loud right now! But I'm always happy to chat. What's on your mind?",
-            "My tropical brain needs a moment - the sun is particularly bright today! ☀️",
-            "Interesting question! The ocean seems to have washed away my answer. Care to try again?",
-        ];
+            refusals[errorCode], pools[errorClass], pools.default,
+            builtInRefusals[errorCode], builtIn[errorClass], builtIn.default
+        ].find(pool => pool?.length);
 
         return fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)];
     }
 
     /**
      * Add a message to conversation history
+     * @param {Object} meta - Extra fields, e.g. { fallback: 'offline' } for canned replies
      */
-    addToHistory(role, content) {
+    addToHistory(role, content, meta = {}) {
         const message = {
             role,
             content,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            ...meta
         };
 
         this.conversationHistory.push(message);
 
         // Trim history if too long
-        if (this.conversationHistory.length > CONFIG.UI.maxHistoryMessages) {
-            this.conversationHistory = this.conversationHistory.slice(-CONFIG.UI.maxHistoryMessages);
+        if (this.conversationHistory.length > this.config.UI.maxHistoryMessages) {
+            this.conversationHistory = this.conversationHistory.slice(-this.config.UI.maxHistoryMessages);
         }
 
         // Save to localStorage
@@ -126,11 +345,11 @@ class ConversationController {
     renderHistoryMessage(message) {
         if (!this.historyContent) return;
 
-        const messageEl = document.createElement('div');
-        messageEl.className = `chat-message ${message.role}`;
+        const messageEl = this.historyContent.ownerDocument.createElement('div');
+        messageEl.className = `chat-message ${message.role}${message.fallback ? ' fallback' : ''}`;
 
-        const icon = message.role === 'user' ? '👤' : '🏝️';
-        const label = message.role === 'user' ? 'You' : 'Island Friend';
+        const icon = message.role === 'user' ? '👤' : (this.persona.ui?.icon || '💬');
+        const label = message.role === 'user' ? 'You' : (this.persona.ui?.label || this.persona.name);
 
         messageEl.innerHTML = `
             <div class="message-header">
@@ -140,18 +359,26 @@ class ConversationController {
             <div class="message-content">${this.escapeHtml(message.content)}</div>
         `;
 
+        if (message.fallback) {
+            const tag = this.historyContent.ownerDocument.createElement('div');
+            tag.className = 'fallback-tag';
+            tag.textContent = this.config.UI.fallbackLabels[message.fallback] || 'Canned reply';
+            messageEl.appendChild(tag);
+        }
+
         this.historyContent.appendChild(messageEl);
 
         // Auto-scroll
-        if (CONFIG.UI.autoScrollChat) {
+        if (this.config.UI.autoScrollChat) {
             this.historyContent.scrollTop = this.historyContent.scrollHeight;
         }
     }
 
     /**
-     * Clear conversation history
+     * Clear the active thread's messages, here and on the server
      */
     clearHistory() {
+        this.forgetServerConversation();
         this.conversationHistory = [];
         this.saveHistory();
 
@@ -161,50 +388,269 @@ class ConversationController {
     }
 
     /**
-     * Save history to localStorage
+     * Publish the latest exchanges at a share link (POST /api/share)
+     * Shares are cut from the server's copy of the conversation, so only
+     * replies the server generated can be shared.
+     * @param {number} turns - Exchanges to include, up to config.SHARE.maxTurns
+     * @returns {Promise<{id: string, url: string, expiresAt: string}>}
+     * @throws {ChatAPIError} when there is nothing to share or moderation blocks the excerpt
      */
-    saveHistory() {
-        try {
-            localStorage.setItem('talkingIslandHistory', JSON.stringify(this.conversationHistory));
-        } catch (e) {
-            console.warn('Could not save conversation history:', e);
+    async shareConversation(turns = 1) {
+        const conversationId = this.getConversationId();
+        if (!conversationId) {
+            throw new ChatAPIError('Nothing to share yet', 0, 'NOTHING_TO_SHARE');
         }
+
+        const response = await this.fetch(`${this.config.API.BASE_URL}/share`, {
+            method: 'POST',
+            headers: this.session.headers({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({ conversationId, turns })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new ChatAPIError(data.error || `Share error: ${response.status}`, response.status, data.code, response.headers.get('X-Request-Id'));
+        }
+        return data;
     }
 
     /**
-     * Load history from localStorage
+     * Transcript of the history for export (see transcript.js)
      */
-    loadHistory() {
-        try {
-            const saved = localStorage.getItem('talkingIslandHistory');
-            if (saved) {
-                this.conversationHistory = JSON.parse(saved);
+    exportTranscript() {
+        return createTranscript(this.conversationHistory, this.persona);
+    }
 
-                // Render existing history
-                this.conversationHistory.forEach(msg => this.renderHistoryMessage(msg));
-            }
-        } catch (e) {
-            console.warn('Could not load conversation history:', e);
-            this.conversationHistory = [];
+    /**
+     * Replace the history with an imported transcript and redraw the panel
+     * The server only keeps context it generated itself, so the next message
+     * starts a new server conversation.
+     * @param {Object} transcript - Validated by parseTranscript
+     * @throws {TranscriptError} when the transcript belongs to another persona
+     */
+    importTranscript(transcript) {
+        if (transcript.persona.id !== this.persona.id) {
+            throw new TranscriptError(`This transcript is a conversation with ${transcript.persona.name || transcript.persona.id}`);
+        }
+
+        this.forgetServerConversation();
+        this.conversationHistory = transcript.messages.slice(-this.config.UI.maxHistoryMessages);
+        this.saveHistory();
+        this.showThread(this.thread);
+    }
+
+    /**
+     * Delete a thread's server conversation and stop sending its ID
+     */
+    forgetServerConversation(thread = this.thread) {
+        const conversationId = thread.conversationId;
+        if (!conversationId) return;
+
+        this.fetch(`${this.config.API.BASE_URL}/conversations/${encodeURIComponent(conversationId)}`, {
+            method: 'DELETE',
+            headers: this.session.headers()
+        }).catch(error => console.warn('Could not delete server conversation:', error));
+        thread.conversationId = null;
+        thread.conversationState = null;
+        this.threads.touch(thread);
+    }
+
+    /**
+     * Threads of every persona, most recently used first
+     * @returns {Array<{id, name, persona, messageCount, updatedAt, active}>}
+     */
+    listThreads() {
+        return this.threads.list().map(thread => ({
+            id: thread.id,
+            name: thread.name,
+            persona: thread.persona,
+            messageCount: thread.messages.length,
+            updatedAt: thread.updatedAt,
+            active: thread === this.thread
+        }));
+    }
+
+    /**
+     * Start a thread with this persona and switch to it
+     * @param {string} name - Defaults to "Conversation <n>"
+     */
+    createThread(name) {
+        this.assertIdle();
+
+        const thread = this.threads.create(this.persona.id, name);
+        this.showThread(thread);
+        return thread;
+    }
+
+    /**
+     * @returns {boolean} - Whether the thread was renamed (names can't be blank)
+     */
+    renameThread(id, name) {
+        return this.threads.rename(id, name);
+    }
+
+    /**
+     * Make a thread active
+     * A thread with another persona is only marked active: the page has to be
+     * reloaded with that persona (?persona=<id>) to continue it.
+     * @returns {Object|null} - The thread, or null when it doesn't exist
+     */
+    switchThread(id) {
+        this.assertIdle();
+
+        const thread = this.threads.get(id);
+        if (!thread) return null;
+
+        if (thread.persona === this.persona.id) {
+            this.showThread(thread);
+        } else {
+            this.threads.setActive(thread.id);
+        }
+        return thread;
+    }
+
+    /**
+     * Delete a thread and its server conversation
+     * Deleting the active thread opens this persona's next most recent one,
+     * or a new one.
+     * @returns {boolean} - Whether the thread existed
+     */
+    deleteThread(id) {
+        this.assertIdle();
+
+        const thread = this.threads.get(id);
+        if (!thread) return false;
+
+        this.forgetServerConversation(thread);
+        this.threads.remove(id);
+
+        if (thread === this.thread) {
+            this.openThread();
+        }
+        return true;
+    }
+
+    /**
+     * Open the active thread when it belongs to this persona, otherwise the
+     * persona's most recent thread, or a new one
+     */
+    openThread() {
+        const active = this.threads.getActive();
+        const thread = active?.persona === this.persona.id
+            ? active
+            : this.threads.latestFor(this.persona.id) || this.threads.create(this.persona.id);
+
+        this.showThread(thread);
+    }
+
+    /**
+     * Make a thread of this persona active and render its messages
+     */
+    showThread(thread) {
+        this.thread = thread;
+        this.threads.setActive(thread.id);
+
+        if (this.historyContent) {
+            this.historyContent.innerHTML = '';
         }
+        this.conversationHistory.forEach(msg => this.renderHistoryMessage(msg));
     }
 
     /**
-     * Get conversation context for API
+     * Thread changes would misfile a reply that is still on its way
      */
-    getContext() {
-        return this.conversationHistory.slice(-10); // Last 10 messages for context
+    assertIdle() {
+        if (this.isProcessing) {
+            throw new Error('Wait for the reply before changing threads');
+        }
+    }
+
+    /**
+     * Server conversation ID for the active thread, or null before the first reply
+     */
+    getConversationId() {
+        return this.thread.conversationId;
+    }
+
+    /**
+     * Remember the server conversation ID and its sealed copy (null forgets them)
+     */
+    setConversationId(id, state = null) {
+        this.thread.conversationId = id || null;
+        this.thread.conversationState = (id && state) || null;
+        this.threads.touch(this.thread);
+    }
+
+    /**
+     * Save the active thread to localStorage
+     */
+    saveHistory() {
+        this.threads.touch(this.thread);
     }
 
     /**
      * Escape HTML to prevent XSS
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
+        const div = this.historyContent.ownerDocument.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
 }
 
-// Export for use in other modules
-window.ConversationController = ConversationController;
+/**
+ * Error from the chat API, carrying the HTTP status, server error code and
+ * the request ID to look up in the server logs
+ */
+class ChatAPIError extends Error {
+    constructor(message, status, code, requestId = null) {
+        super(requestId ? `${message} (request ${requestId})` : message);
+        this.name = 'ChatAPIError';
+        this.status = status;
+        this.code = code;
+        this.requestId = requestId;
+    }
+}
+
+/**
+ * Push-based async iterable of text chunks
+ * Lets the typing animation consume tokens as they arrive from the server
+ */
+export class TextChunkStream {
+    constructor() {
+        this.chunks = [];
+        this.closed = false;
+        this.wake = null;
+    }
+
+    push(chunk) {
+        this.chunks.push(chunk);
+        this.notify();
+    }
+
+    close() {
+        this.closed = true;
+        this.notify();
+    }
+
+    notify() {
+        if (this.wake) {
+            this.wake();
+            this.wake = null;
+        }
+    }
+
+    async *[Symbol.asyncIterator]() {
+        while (true) {
+            if (this.chunks.length) {
+                yield this.chunks.shift();
+            } else if (this.closed) {
+                return;
+            } else {
+                await new Promise(resolve => this.wake = resolve);
+            }
+        }
+    }
+}
@@ -3,13 +3,34 @@
  * Manages the interactive avatar with lip-sync capabilities
  */
 
-class HeyGenController {
-    constructor() {
+import { DEFAULT_CONFIG } from './config.js';
+import { ApiSession } from './session.js';
+
+export class HeyGenController {
+    /**
+     * @param {Object} deps - { config, session, root, videoElement, container, fetch,
+     *   RTCPeerConnection }; defaults to the page's (a video element is created in
+     *   container when missing)
+     */
+    constructor({
+        config = DEFAULT_CONFIG,
+        session = new ApiSession(),
+        root = document,
+        videoElement = root.getElementById('avatarVideo'),
+        container = HeyGenController.findContainer(root),
+        fetch = window.fetch.bind(window),
+        RTCPeerConnection = window.RTCPeerConnection
+    } = {}) {
+        this.config = config;
+        this.session = session;
         this.sessionId = null;
         this.accessToken = null;
         this.peerConnection = null;
         this.dataChannel = null;
-        this.videoElement = null;
+        this.videoElement = videoElement;
+        this.container = container;
+        this.fetch = fetch;
+        this.RTCPeerConnection = RTCPeerConnection;
         this.isConnected = false;
         this.isInitializing = false;
         
@@ -24,25 +45,29 @@ class HeyGenController {
     }
     
     init() {
-        // Get video element
-        this.videoElement = document.getElementById('avatarVideo');
-        
         if (!this.videoElement) {
             console.warn('Avatar video element not found. Creating one...');
             this.createVideoElement();
         }
     }
     
+    /**
+     * Element the avatar video is added to when the page has none
+     */
+    static findContainer(root = document) {
+        return root.querySelector('.character-area') ||
+               root.querySelector('.character-wrapper') ||
+               root.querySelector('.center-section');
+    }
+    
     /**
      * Create video element if not present in DOM
      */
     createVideoElement() {
-        const characterArea = document.querySelector('.character-area') || 
-                             document.querySelector('.character-wrapper') ||
-                             document.querySelector('.center-section');
+        const characterArea = this.container;
         
         if (characterArea) {
-            this.videoElement = document.createElement('video');
+            this.videoElement = characterArea.ownerDocument.createElement('video');
             this.videoElement.id = 'avatarVideo';
             this.videoElement.className = 'avatar-video';
             this.videoElement.autoplay = true;
@@ -54,8 +79,9 @@ class HeyGenController {
     
     /**
      * Initialize HeyGen streaming session
+     * @param {string} personaId - The server picks the persona's avatar and voice
      */
-    async createSession(avatarId = null, quality = 'medium') {
+    async createSession(personaId = null, quality = 'medium') {
         if (this.isInitializing) {
             console.log('Session already initializing...');
             return;
@@ -66,13 +92,13 @@ class HeyGenController {
         try {
             console.log('Creating HeyGen session...');
             
-            const response = await fetch(`${CONFIG.API.BASE_URL}/heygen/create-session`, {
+            const response = await this.fetch(`${this.config.API.BASE_URL}/heygen/create-session`, {
                 method: 'POST',
-                headers: {
+                headers: this.session.headers({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({
-                    avatarId: avatarId || CONFIG.HEYGEN?.avatarId,
+                    persona: personaId || this.config.LLM.persona,
                     quality: quality
                 })
             });
@@ -119,7 +145,7 @@ class HeyGenController {
     async setupWebRTC(url) {
         try {
             // Create RTCPeerConnection
-            this.peerConnection = new RTCPeerConnection({
+            this.peerConnection = new this.RTCPeerConnection({
                 iceServers: [
                     { urls: 'stun:stun.l.google.com:19302' },
                     { urls: 'stun:stun1.l.google.com:19302' }
@@ -225,11 +251,11 @@ class HeyGenController {
         try {
             console.log('Making avatar speak:', text.substring(0, 50) + '...');
             
-            const response = await fetch(`${CONFIG.API.BASE_URL}/heygen/speak`, {
+            const response = await this.fetch(`${this.config.API.BASE_URL}/heygen/speak`, {
                 method: 'POST',
-                headers: {
+                headers: this.session.headers({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({
                     sessionId: this.sessionId,
                     text: text,
@@ -285,11 +311,11 @@ class HeyGenController {
         try {
             console.log('Closing HeyGen session...');
             
-            await fetch(`${CONFIG.API.BASE_URL}/heygen/close-session`, {
+            await this.fetch(`${this.config.API.BASE_URL}/heygen/close-session`, {
                 method: 'POST',
-                headers: {
+                headers: this.session.headers({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({
                     sessionId: this.sessionId
                 })
@@ -328,7 +354,9 @@ class HeyGenController {
      */
     async getAvatars() {
         try {
-            const response = await fetch(`${CONFIG.API.BASE_URL}/heygen/avatars`);
+            const response = await this.fetch(`${this.config.API.BASE_URL}/heygen/avatars`, {
+                headers: this.session.headers()
+            });
             
             if (!response.ok) {
                 throw new Error('Failed to get avatars');
@@ -361,6 +389,3 @@ class HeyGenController {
         }
     }
 }
-
-// Export for use in other modules
-window.HeyGenController = HeyGenController;
@@ -0,0 +1,109 @@
+/**
+ * Lip-sync Timelines
+ * Turns the character alignment from /api/tts/elevenlabs-with-timestamps
+ * into mouth shapes (visemes) and word reveal times for the speech bubble.
+ *
+ * Alignment shape (ElevenLabs):
+ *   { characters: ['H', 'i'], character_start_times_seconds: [0, 0.1],
+ *     character_end_times_seconds: [0.1, 0.2] }
+ */
+
+// Preston Blair mouth shapes; anything that isn't a letter rests the mouth
+export const VISEMES = ['rest', 'AI', 'E', 'O', 'U', 'WQ', 'MBP', 'FV', 'L', 'etc'];
+
+const LETTER_VISEMES = {
+    a: 'AI', i: 'AI',
+    e: 'E',
+    o: 'O',
+    u: 'U',
+    w: 'WQ', q: 'WQ',
+    m: 'MBP', b: 'MBP', p: 'MBP',
+    f: 'FV', v: 'FV',
+    l: 'L'
+};
+
+/**
+ * Mouth shape for a character
+ */
+export function letterToViseme(char) {
+    const letter = char.normalize('NFD').charAt(0).toLowerCase();
+    if (!/\p{L}/u.test(letter)) return 'rest';
+    return LETTER_VISEMES[letter] || 'etc';
+}
+
+/**
+ * Mouth shapes over time, with repeats of the same shape merged
+ * @returns {Array<{viseme: string, start: number, end: number}>} - Times in seconds
+ */
+export function toVisemeTimeline(alignment) {
+    const timeline = [];
+
+    readAlignment(alignment).forEach(({ char, start, end }) => {
+        const viseme = letterToViseme(char);
+        const last = timeline[timeline.length - 1];
+
+        if (last?.viseme === viseme) {
+            last.end = end;
+        } else {
+            timeline.push({ viseme, start, end });
+        }
+    });
+
+    return timeline;
+}
+
+/**
+ * When each word starts, and how much of the text is shown once it has
+ * @returns {Array<{start: number, end: number, length: number}>} - length counts
+ *   characters up to the end of the word, so punctuation stays attached
+ */
+export function toWordTimeline(alignment) {
+    const words = [];
+    let current = null;
+
+    readAlignment(alignment).forEach(({ char, start, end }, i) => {
+        if (/\s/.test(char)) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { start, end, length: i + 1 };
+            words.push(current);
+        }
+        current.end = end;
+        current.length = i + 1;
+    });
+
+    return words;
+}
+
+/**
+ * Mouth shape at a playback time
+ */
+export function visemeAt(timeline, time) {
+    return timeline.find(entry => time >= entry.start && time < entry.end)?.viseme || 'rest';
+}
+
+/**
+ * Characters of text shown at a playback time (whole words only)
+ */
+export function revealedLength(words, time) {
+    let length = 0;
+    for (const word of words) {
+        if (word.start > time) break;
+        length = word.length;
+    }
+    return length;
+}
+
+/**
+ * Alignment as a list of timed characters; mismatched arrays are cut to the shortest
+ */
+function readAlignment(alignment) {
+    const chars = alignment?.characters || [];
+    const starts = alignment?.character_start_times_seconds || [];
+    const ends = alignment?.character_end_times_seconds || [];
+    const count = Math.min(chars.length, starts.length, ends.length);
+
+    return Array.from({ length: count }, (_, i) => ({ char: chars[i], start: starts[i], end: ends[i] }));
+}
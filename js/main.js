@@ -0,0 +1,35 @@
+/**
+ * Entry point
+ * Loads the config and persona, then builds the app and the Q&A wall for
+ * this page. index.html loads only this module; everything else is imported.
+ */
+
+import { loadConfig } from './config.js';
+import { ApiSession } from './session.js';
+import { PersonaLoader } from './persona.js';
+import { QAWallController } from './qa-wall.js';
+import { TalkingInvestigationApp, initPreloader } from './app.js';
+
+async function main() {
+    initPreloader(document);
+    new QAWallController();
+
+    const config = await loadConfig();
+    const session = new ApiSession();
+
+    // Load the persona named in the URL (?persona=<id>) before building the app
+    const persona = await new PersonaLoader({ config, session }).load();
+    new TalkingInvestigationApp({ config, persona, session });
+}
+
+main();
+
+// Console branding
+console.log(`
+%c╔═══════════════════════════════════════════════════╗
+║  🔍 CLASSIFIED INVESTIGATION                      ║
+║  Interactive AI Interrogation                     ║
+║  ─────────────────────────────────────────────── ║
+║  Claude AI + ElevenLabs + HeyGen Avatar          ║
+╚═══════════════════════════════════════════════════╝
+`, 'color: #DC143C; font-family: monospace; font-size: 11px;');
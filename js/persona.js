@@ -0,0 +1,70 @@
+/**
+ * Persona Loader
+ * Picks the persona from the ?persona= URL parameter and loads its
+ * public manifest (welcome/fallback lines, label, media, reactions)
+ */
+
+import { DEFAULT_CONFIG } from './config.js';
+import { ApiSession } from './session.js';
+
+export class PersonaLoader {
+    /**
+     * @param {Object} deps - { config, session, fetch, location }; defaults to the page's
+     */
+    constructor({
+        config = DEFAULT_CONFIG,
+        session = new ApiSession(),
+        fetch = window.fetch.bind(window),
+        location = window.location
+    } = {}) {
+        this.config = config;
+        this.session = session;
+        this.fetch = fetch;
+        this.location = location;
+    }
+
+    /**
+     * Persona ID from the page URL, or the configured default
+     */
+    getRequestedId() {
+        const id = new URLSearchParams(this.location.search).get('persona');
+        return id && /^[a-z0-9_-]+$/i.test(id) ? id : this.config.LLM.persona;
+    }
+
+    /**
+     * Load the persona manifest from the server
+     * Falls back to the built-in config.PERSONA when the server is unreachable
+     * @returns {Promise<Object>} - Persona manifest
+     */
+    async load() {
+        const id = this.getRequestedId();
+
+        try {
+            const response = await this.fetch(`${this.config.API.BASE_URL}/personas/${encodeURIComponent(id)}`, {
+                headers: this.session.headers()
+            });
+
+            if (!response.ok) {
+                throw new Error(`Persona "${id}" not available: ${response.status}`);
+            }
+
+            return this.withDefaults(await response.json());
+        } catch (error) {
+            console.warn('Could not load persona, using built-in manifest:', error);
+            return this.withDefaults(this.config.PERSONA);
+        }
+    }
+
+    /**
+     * Fill any missing manifest fields from the built-in persona
+     */
+    withDefaults(manifest) {
+        const base = this.config.PERSONA;
+
+        return {
+            ...base,
+            ...manifest,
+            ui: { ...base.ui, ...manifest.ui }
+        };
+    }
+}
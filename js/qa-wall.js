@@ -3,50 +3,76 @@
  * Cork Board with animated string connections
  */
 
-class QAWallController {
-    constructor() {
-        // Q&A Data
-        this.questions = {
-            1: {
-                question: "How many victims were involved in the Epstein case?",
-                answer: "Prosecutors say dozens to potentially hundreds of underage girls were abused over many years, with some victims as young as 14. The exact number is unknown because many cases were never reported."
-            },
-            2: {
-                question: "How did Epstein traffic and control victims?",
-                answer: "Victims were paid cash, often hundreds of dollars per encounter, and some were encouraged to recruit other girls, creating a trafficking network."
-            },
-            3: {
-                question: "How much money was Epstein worth?",
-                answer: "Epstein was estimated to be worth hundreds of millions of dollars, though the full source of his wealth remains unclear."
-            },
-            4: {
-                question: "Were other people charged in the case?",
-                answer: "Only Jeffrey Epstein and Ghislaine Maxwell were criminally charged. Maxwell was convicted in 2021 for helping recruit and traffic minors."
-            },
-            5: {
-                question: "Why do so many famous names appear in Epstein files?",
-                answer: "Epstein had extensive social and business contacts. Being named in documents does not mean criminal involvement, only that contact or communication existed."
-            },
-            6: {
-                question: "Did Epstein traffic girls to powerful individuals?",
-                answer: "Investigators have said they did not find sufficient evidence to charge others with trafficking, despite Epstein's wide social circle."
-            },
-            7: {
-                question: "What are the 'Epstein Files'?",
-                answer: "They are millions of pages of documents released by courts and the DOJ, including emails, flight logs, and records tied to Epstein's activities."
-            }
-        };
+// Q&A Data
+export const QA_WALL_QUESTIONS = {
+    1: {
+        question: "How many victims were involved in the Epstein case?",
+        answer: "Prosecutors say dozens to potentially hundreds of underage girls were abused over many years, with some victims as young as 14. The exact number is unknown because many cases were never reported."
+    },
+    2: {
+        question: "How did Epstein traffic and control victims?",
+        answer: "Victims were paid cash, often hundreds of dollars per encounter, and some were encouraged to recruit other girls, creating a trafficking network."
+    },
+    3: {
+        question: "How much money was Epstein worth?",
+        answer: "Epstein was estimated to be worth hundreds of millions of dollars, though the full source of his wealth remains unclear."
+    },
+    4: {
+        question: "Were other people charged in the case?",
+        answer: "Only Jeffrey Epstein and Ghislaine Maxwell were criminally charged. Maxwell was convicted in 2021 for helping recruit and traffic minors."
+    },
+    5: {
+        question: "Why do so many famous names appear in Epstein files?",
+        answer: "Epstein had extensive social and business contacts. Being named in documents does not mean criminal involvement, only that contact or communication existed."
+    },
+    6: {
+        question: "Did Epstein traffic girls to powerful individuals?",
+        answer: "Investigators have said they did not find sufficient evidence to charge others with trafficking, despite Epstein's wide social circle."
+    },
+    7: {
+        question: "What are the 'Epstein Files'?",
+        answer: "They are millions of pages of documents released by courts and the DOJ, including emails, flight logs, and records tied to Epstein's activities."
+    }
+};
+
+export class QAWallController {
+    /**
+     * @param {Object} deps - { questions, root, elements }; root receives the Escape
+     *   key listener and elements defaults to findElements(root)
+     */
+    constructor({
+        questions = QA_WALL_QUESTIONS,
+        root = document,
+        elements = QAWallController.findElements(root)
+    } = {}) {
+        this.questions = questions;
+        this.root = root;
 
         // DOM Elements
-        this.modal = document.getElementById('qaModal');
-        this.closeBtn = document.getElementById('qaCloseBtn');
-        this.modalQuestion = document.getElementById('modalQuestion');
-        this.modalAnswer = document.getElementById('modalAnswer');
-        this.cards = document.querySelectorAll('.qa-card');
+        this.modal = elements.modal;
+        this.closeBtn = elements.closeBtn;
+        this.modalQuestion = elements.modalQuestion;
+        this.modalAnswer = elements.modalAnswer;
+        this.string = elements.string;
+        this.cards = elements.cards;
 
         this.init();
     }
 
+    /**
+     * Look up the wall's elements in a document
+     */
+    static findElements(root = document) {
+        return {
+            modal: root.getElementById('qaModal'),
+            closeBtn: root.getElementById('qaCloseBtn'),
+            modalQuestion: root.getElementById('modalQuestion'),
+            modalAnswer: root.getElementById('modalAnswer'),
+            string: root.getElementById('animatedString'),
+            cards: root.querySelectorAll('.qa-card')
+        };
+    }
+
     init() {
         if (!this.modal) return;
 
@@ -68,7 +94,7 @@ class QAWallController {
         });
 
         // Close on Escape key
-        document.addEventListener('keydown', (e) => {
+        this.root.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.modal.classList.contains('active')) {
                 this.closeModal();
             }
@@ -97,7 +123,7 @@ class QAWallController {
 
         // Show modal with animation
         this.modal.classList.add('active');
-        document.body.style.overflow = 'hidden';
+        this.root.body.style.overflow = 'hidden';
 
         // Animate string connection
         this.animateString();
@@ -105,14 +131,13 @@ class QAWallController {
 
     closeModal() {
         this.modal.classList.remove('active');
-        document.body.style.overflow = '';
+        this.root.body.style.overflow = '';
     }
 
     animateString() {
-        const string = document.getElementById('animatedString');
-        if (string) {
+        if (this.string) {
             // Create curved path from question to answer
-            string.setAttribute('d', 'M 450 120 Q 300 200, 450 320');
+            this.string.setAttribute('d', 'M 450 120 Q 300 200, 450 320');
         }
     }
 
@@ -130,8 +155,3 @@ class QAWallController {
         card.style.transition = 'transform 0.3s ease';
     }
 }
-
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new QAWallController();
-});
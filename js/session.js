@@ -0,0 +1,57 @@
+/**
+ * API Session
+ * A random per-tab session token sent as X-Session-Id, so the server can
+ * rate limit each visitor separately from others sharing their IP
+ */
+
+const SESSION_KEY = 'talkingJeffSessionId';
+
+export class ApiSession {
+    /**
+     * @param {Object} deps - { storage }; defaults to the page's sessionStorage
+     */
+    constructor({ storage = ApiSession.pageStorage() } = {}) {
+        this.storage = storage;
+        this.fallbackId = null;
+    }
+
+    /**
+     * The page's sessionStorage, or null where the browser blocks it
+     */
+    static pageStorage(view = window) {
+        try {
+            return view.sessionStorage;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Session token for this tab (created on first use)
+     */
+    getId() {
+        try {
+            let id = this.storage.getItem(SESSION_KEY);
+            if (!id) {
+                id = crypto.randomUUID();
+                this.storage.setItem(SESSION_KEY, id);
+            }
+            return id;
+        } catch (e) {
+            // Storage unavailable (private mode) - keep the token in memory
+            this.fallbackId = this.fallbackId || crypto.randomUUID();
+            return this.fallbackId;
+        }
+    }
+
+    /**
+     * Request headers including the session token
+     * @param {Object} extra - Additional headers
+     */
+    headers(extra = {}) {
+        return {
+            ...extra,
+            'X-Session-Id': this.getId()
+        };
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * Conversation Threads
+ * Named conversations kept in localStorage, each with its own persona,
+ * messages and server conversation ID (with the server's sealed copy of it). Saved data carries a version and is
+ * brought up to date by MIGRATIONS when it is loaded.
+ *
+ * Storage shape (version 1, under 'talkingJeffThreads'):
+ *   { version: 1, activeThreadId,
+ *     threads: [{ id, name, persona, conversationId, conversationState, messages, createdAt, updatedAt }] }
+ */
+
+export const THREADS_KEY = 'talkingJeffThreads';
+export const THREADS_VERSION = 1;
+
+// Keys from before threads, when the project was still called Talking Island
+const LEGACY_HISTORY_KEY = 'talkingIslandHistory';
+const LEGACY_CONVERSATION_KEY = 'talkingIslandConversation';
+
+/**
+ * Upgrades keyed by the version they start from; each returns the next version's data
+ * Version 0 is the single history per persona kept under the legacy keys.
+ */
+const MIGRATIONS = {
+    0: migrateLegacyHistory
+};
+
+export class ThreadStore {
+    /**
+     * @param {Storage|null} storage - Threads stay in memory when storage is unavailable
+     * @param {Object} options - { defaultPersona, personaIds }: the persona whose
+     *   legacy history used the unsuffixed key, and other personas to look for
+     */
+    constructor(storage, { defaultPersona = 'jeff', personaIds = [] } = {}) {
+        this.storage = storage;
+        this.data = this.load({ defaultPersona, personaIds });
+    }
+
+    /**
+     * Read saved threads, migrating older layouts and saving the result
+     */
+    load(context) {
+        let data = null;
+        try {
+            data = JSON.parse(this.storage.getItem(THREADS_KEY));
+        } catch (e) {
+            console.warn('Could not load conversation threads:', e);
+        }
+
+        if (!isThreadData(data)) {
+            data = { version: 0, activeThreadId: null, threads: [] };
+        }
+        if (data.version >= THREADS_VERSION) {
+            return data;
+        }
+
+        const obsoleteKeys = [];
+        while (data.version < THREADS_VERSION) {
+            data = MIGRATIONS[data.version](data, { ...context, storage: this.storage, obsoleteKeys });
+        }
+
+        // Drop the old keys only once the migrated copy is saved
+        if (this.write(data)) {
+            obsoleteKeys.forEach(key => {
+                try {
+                    this.storage.removeItem(key);
+                } catch (e) {
+                    // Nothing to clean up when storage is unavailable
+                }
+            });
+        }
+        return data;
+    }
+
+    /**
+     * Threads, most recently used first
+     */
+    list() {
+        return [...this.data.threads].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    get(id) {
+        return this.data.threads.find(thread => thread.id === id) || null;
+    }
+
+    getActive() {
+        return this.get(this.data.activeThreadId);
+    }
+
+    /**
+     * Most recently used thread for a persona, or null
+     */
+    latestFor(persona) {
+        return this.list().find(thread => thread.persona === persona) || null;
+    }
+
+    /**
+     * Start a thread (not made active)
+     * @param {string} persona - Persona ID
+     * @param {string} name - Defaults to "Conversation <n>"
+     */
+    create(persona, name) {
+        const now = new Date().toISOString();
+        const thread = {
+            id: crypto.randomUUID(),
+            name: cleanName(name) || `Conversation ${this.data.threads.filter(t => t.persona === persona).length + 1}`,
+            persona,
+            conversationId: null,
+            conversationState: null,
+            messages: [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.data.threads.push(thread);
+        this.save();
+        return thread;
+    }
+
+    /**
+     * @returns {boolean} - Whether the thread exists and the name is usable
+     */
+    rename(id, name) {
+        const thread = this.get(id);
+        const cleaned = cleanName(name);
+        if (!thread || !cleaned) return false;
+
+        thread.name = cleaned;
+        this.save();
+        return true;
+    }
+
+    /**
+     * @returns {Object|null} - The removed thread
+     */
+    remove(id) {
+        const thread = this.get(id);
+        if (!thread) return null;
+
+        this.data.threads = this.data.threads.filter(t => t !== thread);
+        if (this.data.activeThreadId === id) {
+            this.data.activeThreadId = null;
+        }
+        this.save();
+        return thread;
+    }
+
+    setActive(id) {
+        this.data.activeThreadId = id;
+        this.save();
+    }
+
+    /**
+     * Save after a thread's messages or conversation ID changed
+     */
+    touch(thread) {
+        thread.updatedAt = new Date().toISOString();
+        this.save();
+    }
+
+    save() {
+        if (!this.write(this.data)) {
+            console.warn('Could not save conversation threads');
+        }
+    }
+
+    write(data) {
+        try {
+            this.storage.setItem(THREADS_KEY, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+}
+
+/**
+ * Version 0 -> 1: one thread per persona that had a saved history or server conversation
+ */
+function migrateLegacyHistory(data, { storage, defaultPersona, personaIds, obsoleteKeys }) {
+    const now = new Date().toISOString();
+    const threads = [];
+
+    new Set([defaultPersona, ...personaIds, ...legacyPersonaIds(storage)]).forEach(persona => {
+        const historyKey = persona === defaultPersona ? LEGACY_HISTORY_KEY : `${LEGACY_HISTORY_KEY}:${persona}`;
+        const conversationKey = `${LEGACY_CONVERSATION_KEY}:${persona}`;
+        const messages = readLegacyHistory(storage, historyKey);
+        const conversationId = readItem(storage, conversationKey);
+        if (!messages.length && !conversationId) return;
+
+        const timestamps = messages.map(msg => msg.timestamp).filter(Boolean);
+        threads.push({
+            id: crypto.randomUUID(),
+            name: 'Conversation 1',
+            persona,
+            conversationId,
+            conversationState: null,
+            messages,
+            createdAt: timestamps[0] || now,
+            updatedAt: timestamps[timestamps.length - 1] || now
+        });
+        obsoleteKeys.push(historyKey, conversationKey);
+    });
+
+    return { version: 1, activeThreadId: null, threads };
+}
+
+/**
+ * Persona IDs found in legacy keys, where the storage can list its keys
+ */
+function legacyPersonaIds(storage) {
+    const ids = [];
+    try {
+        for (let i = 0; i < storage.length; i++) {
+            const match = /^talkingIsland(?:History|Conversation):(.+)$/.exec(storage.key(i));
+            if (match) ids.push(match[1]);
+        }
+    } catch (e) {
+        // Storage unavailable or not enumerable
+    }
+    return ids;
+}
+
+function readLegacyHistory(storage, key) {
+    try {
+        const messages = JSON.parse(readItem(storage, key));
+        return Array.isArray(messages) ? messages : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function readItem(storage, key) {
+    try {
+        return storage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+}
+
+function isThreadData(data) {
+    return Boolean(data) && Number.isInteger(data.version) && Array.isArray(data.threads);
+}
+
+function cleanName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, 60) : '';
+}
@@ -0,0 +1,206 @@
+/**
+ * Conversation Transcripts
+ * Exports the chat history as versioned JSON, a readable Markdown
+ * transcript, or a zip bundle of both plus the spoken audio clips, and
+ * validates transcripts on import.
+ *
+ * JSON schema (version 1):
+ *   { schema: 'talking-jeff.transcript', version: 1, exportedAt,
+ *     persona: { id, name },
+ *     messages: [{ role: 'user'|'assistant', content, timestamp, fallback?, blocked? }],
+ *     audio?: [{ file, message, text }] }
+ * "audio" only appears in bundles; "message" is an index into messages.
+ */
+
+import { createZip, readZip } from './zip.js';
+
+export const TRANSCRIPT_SCHEMA = 'talking-jeff.transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+const ROLES = ['user', 'assistant'];
+
+/**
+ * Raised when an imported file is not a transcript this version can read
+ */
+export class TranscriptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TranscriptError';
+    }
+}
+
+/**
+ * Transcript of a conversation history
+ * @param {Array} history - ConversationController.conversationHistory
+ * @param {Object} persona - Persona manifest
+ */
+export function createTranscript(history, persona, { exportedAt = new Date() } = {}) {
+    return {
+        schema: TRANSCRIPT_SCHEMA,
+        version: TRANSCRIPT_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        persona: { id: persona.id, name: persona.name },
+        messages: history.map(toTranscriptMessage)
+    };
+}
+
+/**
+ * Validate a parsed (or raw JSON) transcript
+ * Unknown fields are dropped; messages keep only the schema's fields.
+ * @returns {Object} - The transcript
+ * @throws {TranscriptError}
+ */
+export function parseTranscript(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new TranscriptError('The file is not valid JSON');
+        }
+    }
+
+    if (!data || data.schema !== TRANSCRIPT_SCHEMA) {
+        throw new TranscriptError('The file is not a conversation transcript');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new TranscriptError('The transcript has no valid version');
+    }
+    if (data.version > TRANSCRIPT_VERSION) {
+        throw new TranscriptError(`The transcript is version ${data.version}; this page reads up to version ${TRANSCRIPT_VERSION}`);
+    }
+    if (typeof data.persona?.id !== 'string') {
+        throw new TranscriptError('The transcript does not name its persona');
+    }
+    if (!Array.isArray(data.messages)) {
+        throw new TranscriptError('The transcript has no messages');
+    }
+
+    data.messages.forEach((msg, i) => {
+        const valid = msg && ROLES.includes(msg.role) &&
+            typeof msg.content === 'string' &&
+            typeof msg.timestamp === 'string' && !Number.isNaN(Date.parse(msg.timestamp)) &&
+            ['fallback', 'blocked'].every(field => msg[field] === undefined || typeof msg[field] === 'string');
+        if (!valid) {
+            throw new TranscriptError(`Message ${i + 1} of the transcript is invalid`);
+        }
+    });
+
+    return {
+        schema: TRANSCRIPT_SCHEMA,
+        version: data.version,
+        exportedAt: data.exportedAt,
+        persona: { id: data.persona.id, name: data.persona.name },
+        messages: data.messages.map(toTranscriptMessage)
+    };
+}
+
+/**
+ * Readable Markdown version of a transcript
+ */
+export function toMarkdown(transcript) {
+    const name = transcript.persona.name || transcript.persona.id;
+    const lines = [
+        `# Conversation with ${name}`,
+        '',
+        `Exported ${formatTime(transcript.exportedAt)} · ${transcript.messages.length} messages`
+    ];
+
+    transcript.messages.forEach(msg => {
+        lines.push('', `**${msg.role === 'user' ? 'You' : name}** · ${formatTime(msg.timestamp)}`, '');
+        lines.push(...msg.content.split('\n').map(line => `> ${line}`));
+
+        if (msg.fallback) lines.push('', `_Canned reply (${msg.fallback})_`);
+        if (msg.blocked) lines.push('', `_Blocked by moderation (${msg.blocked})_`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Zip bundle: transcript.json (with an audio list), transcript.md and
+ * audio/<message>-<clip>.<ext> for each spoken clip of the conversation
+ * @param {Object} transcript
+ * @param {Array<{text: string, type: string, bytes: Uint8Array}>} clips - Spoken clips, oldest first
+ * @param {Object} options - { clean } normalises message text the way it was sent to TTS
+ * @returns {Uint8Array}
+ */
+export function createBundle(transcript, clips = [], { clean = text => text } = {}) {
+    const audio = [];
+    const files = [];
+
+    matchClips(transcript.messages, clips, clean).forEach(({ clip, message }) => {
+        const number = audio.filter(entry => entry.message === message).length + 1;
+        const file = `audio/${String(message + 1).padStart(3, '0')}-${number}.${audioExtension(clip.type)}`;
+        audio.push({ file, message, text: clip.text });
+        files.push({ name: file, data: clip.bytes });
+    });
+
+    const bundled = { ...transcript, audio };
+
+    return createZip([
+        { name: 'transcript.json', data: JSON.stringify(bundled, null, 2) },
+        { name: 'transcript.md', data: toMarkdown(transcript) },
+        ...files
+    ], { date: new Date(transcript.exportedAt) });
+}
+
+/**
+ * Read the transcript from a bundle created by createBundle
+ * @throws {TranscriptError}
+ */
+export function readBundle(bytes) {
+    let entries;
+    try {
+        entries = readZip(bytes);
+    } catch (error) {
+        throw new TranscriptError(`The bundle could not be read: ${error.message}`);
+    }
+
+    const json = entries.get('transcript.json');
+    if (!json) {
+        throw new TranscriptError('The bundle has no transcript.json');
+    }
+    return parseTranscript(new TextDecoder().decode(json));
+}
+
+/**
+ * Pair clips with the assistant message they were spoken from, keeping order;
+ * clips from messages no longer in the history are left out
+ */
+function matchClips(messages, clips, clean) {
+    const matches = [];
+    let cursor = 0;
+
+    for (const clip of clips) {
+        for (let i = cursor; i < messages.length; i++) {
+            if (messages[i].role === 'assistant' && clean(messages[i].content).includes(clip.text)) {
+                matches.push({ clip, message: i });
+                cursor = i;
+                break;
+            }
+        }
+    }
+
+    return matches;
+}
+
+function toTranscriptMessage({ role, content, timestamp, fallback, blocked }) {
+    return {
+        role,
+        content,
+        timestamp,
+        ...(fallback ? { fallback } : {}),
+        ...(blocked ? { blocked } : {})
+    };
+}
+
+function audioExtension(type) {
+    return { 'audio/mpeg': 'mp3', 'audio/wav': 'wav', 'audio/ogg': 'ogg', 'audio/aac': 'aac' }[type] || 'mp3';
+}
+
+/**
+ * ISO timestamp as "YYYY-MM-DD HH:MM" (UTC)
+ */
+function formatTime(iso) {
+    return iso ? `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC` : 'unknown time';
+}
@@ -3,14 +3,36 @@
  * Supports multiple TTS providers: ElevenLabs, OpenAI, Browser
  */
 
-class TTSController {
-    constructor() {
-        this.audioPlayer = document.getElementById('audioPlayer');
-        this.currentProvider = CONFIG.TTS.provider;
+import { DEFAULT_CONFIG } from './config.js';
+import { ApiSession } from './session.js';
+
+export class TTSController {
+    /**
+     * @param {Object} persona - Persona manifest; the server picks its voice
+     * @param {Object} deps - { config, session, audioPlayer, speechSynthesis,
+     *   SpeechSynthesisUtterance, fetch }; defaults to the page's
+     */
+    constructor(persona, {
+        config = DEFAULT_CONFIG,
+        session = new ApiSession(),
+        audioPlayer = document.getElementById('audioPlayer'),
+        speechSynthesis = window.speechSynthesis,
+        SpeechSynthesisUtterance = window.SpeechSynthesisUtterance,
+        fetch = window.fetch.bind(window)
+    } = {}) {
+        this.config = config;
+        this.session = session;
+        this.persona = persona || config.PERSONA;
+        this.audioPlayer = audioPlayer;
+        this.fetch = fetch;
+        this.currentProvider = config.TTS.provider;
         this.isPlaying = false;
-        this.speechSynthesis = window.speechSynthesis;
+        this.speechSynthesis = speechSynthesis;
+        this.SpeechSynthesisUtterance = SpeechSynthesisUtterance;
         this.currentUtterance = null;
         this.audioQueue = [];
+        // Recently spoken server clips ({ text, blob }), oldest first, for history bundles
+        this.clips = [];
         
         this.init();
     }
@@ -46,10 +68,13 @@ class TTSController {
      * @param {string} text - Text to speak
      * @param {Function} onStart - Callback when speech starts
      * @param {Function} onEnd - Callback when speech ends
+     * @param {Function} onAlignment - Called with the clip's character alignment
+     *   and a playback clock (seconds) before a lip-synced clip starts playing
      */
-    async speak(text, onStart, onEnd) {
+    async speak(text, onStart, onEnd, onAlignment) {
         this.onStartCallback = onStart;
         this.onEndCallback = onEnd;
+        this.onAlignmentCallback = onAlignment;
         
         // Clean text for TTS
         const cleanText = this.cleanTextForTTS(text);
@@ -57,7 +82,11 @@ class TTSController {
         try {
             switch (this.currentProvider) {
                 case 'elevenlabs':
-                    await this.speakWithElevenLabs(cleanText);
+                    if (this.usesLipSync()) {
+                        await this.speakWithElevenLabsTimestamps(cleanText);
+                    } else {
+                        await this.speakWithElevenLabs(cleanText);
+                    }
                     break;
                 case 'openai':
                     await this.speakWithOpenAI(cleanText);
@@ -91,25 +120,74 @@ class TTSController {
             .replace(/[\u{1F1E0}-\u{1F1FF}]/gu, '') // Flags
             .replace(/[\u{2600}-\u{26FF}]/gu, '')   // Misc symbols
             .replace(/[\u{2700}-\u{27BF}]/gu, '')   // Dingbats
+            .replace(/[\u{1F900}-\u{1F9FF}]/gu, '') // Supplemental symbols
+            .replace(/[\u{FE00}-\u{FE0F}\u{200D}]/gu, '') // Variation selectors, joiners
             .replace(/\s+/g, ' ')
             .trim();
     }
     
+    /**
+     * Whether speech comes with character timings for lip-sync
+     */
+    usesLipSync() {
+        return this.currentProvider === 'elevenlabs' && Boolean(this.config.TTS.elevenlabs.lipSync);
+    }
+    
     /**
      * Speak using ElevenLabs API
      */
     async speakWithElevenLabs(text) {
-        const settings = CONFIG.TTS.elevenlabs;
-        
         // Use backend proxy for security
-        const response = await fetch(`${CONFIG.API.BASE_URL}/tts/elevenlabs`, {
+        const response = await this.requestElevenLabs('/tts/elevenlabs', text);
+        
+        if (!response.ok) {
+            throw new Error(`ElevenLabs API error: ${response.status}`);
+        }
+        
+        const audioBlob = await response.blob();
+        const audioUrl = URL.createObjectURL(audioBlob);
+        this.keepClip(text, audioBlob);
+        
+        this.playAudio(audioUrl);
+    }
+    
+    /**
+     * Speak using ElevenLabs with character timestamps
+     * Plays the returned audio_base64 and hands the alignment to onAlignment
+     */
+    async speakWithElevenLabsTimestamps(text) {
+        const response = await this.requestElevenLabs('/tts/elevenlabs-with-timestamps', text);
+        
+        if (!response.ok) {
+            throw new Error(`ElevenLabs timestamps API error: ${response.status}`);
+        }
+        
+        const { audio_base64: audioBase64, alignment } = await response.json();
+        const bytes = Uint8Array.from(atob(audioBase64), char => char.charCodeAt(0));
+        const audioBlob = new Blob([bytes], { type: 'audio/mpeg' });
+        this.keepClip(text, audioBlob);
+        
+        if (alignment && this.onAlignmentCallback) {
+            this.onAlignmentCallback(alignment, () => this.audioPlayer.currentTime);
+        }
+        
+        this.playAudio(URL.createObjectURL(audioBlob));
+    }
+    
+    /**
+     * POST text to an ElevenLabs backend route with the configured voice settings
+     */
+    requestElevenLabs(path, text) {
+        const settings = this.config.TTS.elevenlabs;
+        
+        return this.fetch(`${this.config.API.BASE_URL}${path}`, {
             method: 'POST',
-            headers: {
+            headers: this.session.headers({
                 'Content-Type': 'application/json',
-            },
+            }),
             body: JSON.stringify({
                 text: text,
-                voiceId: settings.voiceId,
+                persona: this.persona.id,
                 modelId: settings.modelId,
                 voiceSettings: {
                     stability: settings.stability,
@@ -119,29 +197,20 @@ class TTSController {
                 }
             })
         });
-        
-        if (!response.ok) {
-            throw new Error(`ElevenLabs API error: ${response.status}`);
-        }
-        
-        const audioBlob = await response.blob();
-        const audioUrl = URL.createObjectURL(audioBlob);
-        
-        this.playAudio(audioUrl);
     }
     
     /**
      * Speak using OpenAI TTS API
      */
     async speakWithOpenAI(text) {
-        const settings = CONFIG.TTS.openai;
+        const settings = this.config.TTS.openai;
         
         // Use backend proxy for security
-        const response = await fetch(`${CONFIG.API.BASE_URL}/tts/openai`, {
+        const response = await this.fetch(`${this.config.API.BASE_URL}/tts/openai`, {
             method: 'POST',
-            headers: {
+            headers: this.session.headers({
                 'Content-Type': 'application/json',
-            },
+            }),
             body: JSON.stringify({
                 model: settings.model,
                 input: text,
@@ -156,10 +225,36 @@ class TTSController {
         
         const audioBlob = await response.blob();
         const audioUrl = URL.createObjectURL(audioBlob);
+        this.keepClip(text, audioBlob);
         
         this.playAudio(audioUrl);
     }
     
+    /**
+     * Remember a spoken clip, dropping the oldest past TTS.keepClips
+     */
+    keepClip(text, blob) {
+        const limit = this.config.TTS.keepClips;
+        if (!limit) return;
+
+        this.clips.push({ text, blob });
+        if (this.clips.length > limit) {
+            this.clips.splice(0, this.clips.length - limit);
+        }
+    }
+
+    /**
+     * Spoken clips with their audio bytes, oldest first
+     * @returns {Promise<Array<{text: string, type: string, bytes: Uint8Array}>>}
+     */
+    async getClips() {
+        return Promise.all(this.clips.map(async ({ text, blob }) => ({
+            text,
+            type: blob.type,
+            bytes: new Uint8Array(await blob.arrayBuffer())
+        })));
+    }
+    
     /**
      * Speak using browser's built-in TTS
      */
@@ -173,11 +268,11 @@ class TTSController {
             // Cancel any ongoing speech
             this.speechSynthesis.cancel();
             
-            const utterance = new SpeechSynthesisUtterance(text);
+            const utterance = new this.SpeechSynthesisUtterance(text);
             this.currentUtterance = utterance;
             
             // Apply settings
-            const settings = CONFIG.TTS.browser;
+            const settings = this.config.TTS.browser;
             utterance.rate = settings.rate;
             utterance.pitch = settings.pitch;
             utterance.volume = settings.volume;
@@ -333,12 +428,9 @@ class TTSController {
      */
     async test() {
         await this.speak(
-            "Hello! I'm your tropical island friend. Nice to meet you!",
+            this.persona.welcomeLines?.[0] || 'Testing, one, two, three.',
             () => console.log('TTS started'),
             () => console.log('TTS ended')
         );
     }
 }
-
-// Export for use in other modules
-window.TTSController = TTSController;
@@ -0,0 +1,159 @@
+/**
+ * Zip Archives
+ * Minimal writer and reader for uncompressed ("stored") zip files, enough
+ * for history bundles without a third-party library. Audio is already
+ * compressed, so storing it costs next to nothing.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a byte array (the checksum zip uses)
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS date and time fields for a Date (local time, 2 second precision)
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<{name: string, data: Uint8Array|string}>} files
+ * @param {Object} options - { date } stamped on every entry (default now)
+ * @returns {Uint8Array}
+ */
+export function createZip(files, { date = new Date() } = {}) {
+    const encoder = new TextEncoder();
+    const { time, date: day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_NAMES, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        locals.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_HEADER, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, UTF8_NAMES, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centrals.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = centrals.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return concat([...locals, ...centrals, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Read the entries of a stored (uncompressed) zip archive
+ * @param {Uint8Array} bytes
+ * @returns {Map<string, Uint8Array>} - Entry name to contents
+ */
+export function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    let end = bytes.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== END_OF_DIRECTORY) end--;
+    if (end < 0) {
+        throw new Error('Not a zip file');
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(pos, true) !== CENTRAL_HEADER) {
+            throw new Error('Corrupt zip directory');
+        }
+
+        const method = view.getUint16(pos + 10, true);
+        const size = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+        if (method !== 0) {
+            throw new Error(`Compressed zip entries are not supported (${name})`);
+        }
+
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        entries.set(name, bytes.subarray(dataStart, dataStart + size));
+
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
@@ -0,0 +1,35 @@
+/**
+ * Admin Access
+ * Admin routes require ADMIN_TOKEN, sent as "Authorization: Bearer <token>".
+ * Without ADMIN_TOKEN configured the admin routes are disabled.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * Constant-time token comparison
+ */
+function tokensMatch(given, expected) {
+    const a = crypto.createHash('sha256').update(given).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware for admin routes
+ */
+function requireAdmin(req, res, next) {
+    if (!config.admin.token) {
+        return res.status(404).json({ error: 'Admin API is disabled' });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    if (!match || !tokensMatch(match[1], config.admin.token)) {
+        return res.status(401).json({ error: 'Admin token required' });
+    }
+
+    next();
+}
+
+module.exports = { requireAdmin };
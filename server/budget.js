@@ -0,0 +1,89 @@
+/**
+ * Daily Spend Budget
+ * Compares the day's estimated spend from the usage ledger (see usage/)
+ * with DAILY_BUDGET_USD. Once it is used up the circuit breaker trips:
+ * paid routes answer 503 BUDGET_EXCEEDED until the next UTC day.
+ */
+
+const config = require('./config');
+const { getDailyCost } = require('./usage');
+const { logger } = require('./logger');
+
+/**
+ * Current UTC day as YYYY-MM-DD
+ */
+function utcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+class BudgetTracker {
+    /**
+     * @param {Object} options - { dailyUsd } (0 disables the breaker)
+     */
+    constructor({ dailyUsd }) {
+        this.dailyUsd = dailyUsd;
+        this.trippedDay = null;
+    }
+
+    spentToday() {
+        return getDailyCost(utcDay());
+    }
+
+    isExhausted() {
+        if (!(this.dailyUsd > 0)) return false;
+
+        const spent = this.spentToday();
+        const exhausted = spent >= this.dailyUsd;
+
+        if (exhausted && this.trippedDay !== utcDay()) {
+            this.trippedDay = utcDay();
+            logger.warn('Daily budget used up, paid routes paused', {
+                dailyUsd: this.dailyUsd,
+                spentUsd: Number(spent.toFixed(4)),
+                resetsAt: this.resetsAt().toISOString()
+            });
+        }
+        return exhausted;
+    }
+
+    /**
+     * Start of the next UTC day
+     */
+    resetsAt() {
+        const next = new Date(`${utcDay()}T00:00:00.000Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        return next;
+    }
+
+    status() {
+        return {
+            day: utcDay(),
+            dailyUsd: this.dailyUsd,
+            spentUsd: this.spentToday(),
+            exhausted: this.isExhausted(),
+            resetsAt: this.resetsAt().toISOString()
+        };
+    }
+}
+
+const budget = new BudgetTracker(config.budget);
+
+/**
+ * Middleware for paid routes: 503 once the daily budget is used up
+ */
+function requireBudget(req, res, next) {
+    if (!budget.isExhausted()) return next();
+
+    const retryAfter = Math.ceil((budget.resetsAt() - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(503).json({
+        error: 'Daily budget reached. The investigation resumes tomorrow.',
+        code: 'BUDGET_EXCEEDED'
+    });
+}
+
+module.exports = {
+    budget,
+    BudgetTracker,
+    requireBudget
+};
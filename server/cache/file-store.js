@@ -0,0 +1,116 @@
+/**
+ * Filesystem Cache Store
+ * Each entry is a <key>.bin file with a <key>.meta sidecar holding its
+ * expiry. The directory is scanned once at startup; after that the entry
+ * sizes are tracked in memory, in least recently used order, and the oldest
+ * files are evicted past maxEntries / maxBytes.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class FileStore {
+    constructor({ dir, maxEntries, maxBytes }) {
+        this.dir = dir;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.sizes = new Map();
+        this.bytes = 0;
+        this.ready = fs.mkdir(dir, { recursive: true }).then(() => this.scan());
+    }
+
+    paths(key) {
+        return {
+            data: path.join(this.dir, `${key}.bin`),
+            meta: path.join(this.dir, `${key}.meta`)
+        };
+    }
+
+    /**
+     * Load the entries left by an earlier run, oldest first
+     */
+    async scan() {
+        const names = (await fs.readdir(this.dir)).filter(name => name.endsWith('.bin'));
+        const files = await Promise.all(names.map(async name => {
+            const stat = await fs.stat(path.join(this.dir, name)).catch(() => null);
+            return stat && { key: name.slice(0, -4), size: stat.size, mtime: stat.mtimeMs };
+        }));
+
+        for (const file of files.filter(Boolean).sort((a, b) => a.mtime - b.mtime)) {
+            this.track(file.key, file.size);
+        }
+        await this.evict();
+    }
+
+    track(key, size) {
+        this.untrack(key);
+        this.sizes.set(key, size);
+        this.bytes += size;
+    }
+
+    untrack(key) {
+        if (!this.sizes.has(key)) return;
+
+        this.bytes -= this.sizes.get(key);
+        this.sizes.delete(key);
+    }
+
+    /**
+     * @returns {Promise<{value: Buffer, expiresAt: number}|null>}
+     */
+    async get(key) {
+        await this.ready;
+        const { data, meta } = this.paths(key);
+
+        try {
+            const { expiresAt } = JSON.parse(await fs.readFile(meta, 'utf8'));
+            const value = await fs.readFile(data);
+
+            const now = new Date();
+            await fs.utimes(data, now, now);
+            this.track(key, value.length);
+
+            return { value, expiresAt };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.untrack(key);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(key, value, expiresAt) {
+        await this.ready;
+        const { data, meta } = this.paths(key);
+
+        await fs.writeFile(data, value);
+        await fs.writeFile(meta, JSON.stringify({ expiresAt }));
+        this.track(key, value.length);
+        await this.evict();
+    }
+
+    async delete(key) {
+        await this.ready;
+        await this.remove(key);
+    }
+
+    async remove(key) {
+        const { data, meta } = this.paths(key);
+
+        this.untrack(key);
+        await Promise.all([
+            fs.rm(data, { force: true }),
+            fs.rm(meta, { force: true })
+        ]);
+    }
+
+    async evict() {
+        for (const key of this.sizes.keys()) {
+            if (this.sizes.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+            await this.remove(key);
+        }
+    }
+}
+
+module.exports = FileStore;
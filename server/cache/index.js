@@ -0,0 +1,128 @@
+/**
+ * Response Cache
+ * Keyed caches for expensive upstream results (TTS audio, preset replies)
+ * and server-held conversations.
+ * Storage is pluggable (CACHE_STORE):
+ *   'memory'     - per-process LRU (default)
+ *   'filesystem' - files under CACHE_DIR, shared across restarts
+ *
+ * Cache failures are logged and treated as misses; they never fail a request.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const MemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+const { logger } = require('../logger');
+
+const STORES = {
+    memory: MemoryStore,
+    filesystem: FileStore
+};
+
+class ResponseCache {
+    /**
+     * @param {string} name - Namespace (also the subdirectory for filesystem storage)
+     * @param {Object} options - { enabled, ttlMs, maxEntries, maxBytes }
+     */
+    constructor(name, options) {
+        this.name = name;
+        this.enabled = options.enabled;
+        this.ttlMs = options.ttlMs;
+
+        if (!this.enabled) return;
+
+        const Store = STORES[config.cache.store];
+        if (!Store) {
+            throw new Error(`Unknown cache store: ${config.cache.store}`);
+        }
+
+        this.store = new Store({
+            dir: path.join(config.cache.dir, name),
+            maxEntries: options.maxEntries,
+            maxBytes: options.maxBytes
+        });
+    }
+
+    /**
+     * Hash the parts that identify an entry into a store key
+     */
+    static key(parts) {
+        return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    }
+
+    /**
+     * @param {Array} parts - Values that identify the entry (text, voice, settings, ...)
+     * @returns {Promise<Buffer|null>}
+     */
+    async get(parts) {
+        if (!this.enabled) return null;
+
+        const key = ResponseCache.key(parts);
+        try {
+            const entry = await this.store.get(key);
+            if (!entry) return null;
+
+            if (entry.expiresAt <= Date.now()) {
+                await this.store.delete(key);
+                return null;
+            }
+            return entry.value;
+        } catch (error) {
+            logger.error('Cache read error', { cache: this.name, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * @param {Array} parts - Values that identify the entry
+     * @param {Buffer} value
+     */
+    async set(parts, value) {
+        if (!this.enabled) return;
+
+        try {
+            await this.store.set(ResponseCache.key(parts), value, Date.now() + this.ttlMs);
+        } catch (error) {
+            logger.error('Cache write error', { cache: this.name, error: error.message });
+        }
+    }
+
+    /**
+     * @param {Array} parts - Values that identify the entry
+     */
+    async delete(parts) {
+        if (!this.enabled) return;
+
+        try {
+            await this.store.delete(ResponseCache.key(parts));
+        } catch (error) {
+            logger.error('Cache delete error', { cache: this.name, error: error.message });
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - null when missing or unreadable (e.g. a truncated file)
+     */
+    async getJSON(parts) {
+        const value = await this.get(parts);
+        if (!value) return null;
+
+        try {
+            return JSON.parse(value.toString('utf8'));
+        } catch (error) {
+            logger.error('Cache read error', { cache: this.name, error: error.message });
+            return null;
+        }
+    }
+
+    async setJSON(parts, data) {
+        await this.set(parts, Buffer.from(JSON.stringify(data)));
+    }
+}
+
+module.exports = {
+    ResponseCache,
+    STORE_NAMES: Object.keys(STORES)
+};
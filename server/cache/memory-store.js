@@ -0,0 +1,51 @@
+/**
+ * In-memory Cache Store
+ * Least recently used entries are evicted past maxEntries / maxBytes.
+ */
+
+class MemoryStore {
+    constructor({ maxEntries, maxBytes }) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+
+    /**
+     * @returns {Promise<{value: Buffer, expiresAt: number}|null>}
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, value, expiresAt) {
+        await this.delete(key);
+
+        this.entries.set(key, { value, expiresAt });
+        this.bytes += value.length;
+        this.evict();
+    }
+
+    async delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        this.bytes -= entry.value.length;
+    }
+
+    evict() {
+        for (const key of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+            this.delete(key);
+        }
+    }
+}
+
+module.exports = MemoryStore;
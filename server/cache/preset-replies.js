@@ -0,0 +1,69 @@
+/**
+ * Preset Reply Variants
+ * Replies to the preset question buttons are pooled per persona, model,
+ * length policy and prompt. Until the pool holds PRESET_REPLY_VARIANTS
+ * replies each request generates a fresh one; after that a random variant
+ * is served without calling the LLM.
+ *
+ * Pooled replies are generated from the preset prompt alone (no history),
+ * so one client's conversation never leaks into another's cached reply.
+ */
+
+const config = require('../config');
+const { ResponseCache } = require('./index');
+
+const replyCache = new ResponseCache('replies', {
+    ...config.cache.presets,
+    enabled: config.cache.presets.variants > 0
+});
+
+// Longest user message that is treated as a preset prompt
+const MAX_PRESET_LENGTH = 200;
+
+/**
+ * The preset prompt of a chat request, or null when it is not a preset request
+ * Clients mark preset button clicks with { preset: true }.
+ */
+function getPresetPrompt(body, messages) {
+    if (!replyCache.enabled || body.preset !== true) return null;
+
+    const last = messages[messages.length - 1];
+    if (!last || last.role !== 'user') return null;
+
+    const prompt = last.content.trim();
+    return prompt && prompt.length <= MAX_PRESET_LENGTH ? prompt : null;
+}
+
+/**
+ * Cache key parts for a preset prompt
+ */
+function presetKey({ persona, request, policy, prompt }) {
+    return [persona.id, request.model, policy.unit, policy.limit, prompt.toLowerCase()];
+}
+
+/**
+ * A pooled reply once the pool is full, otherwise null (generate a new one)
+ */
+async function pickPresetReply(key) {
+    const pool = await replyCache.getJSON(key) || [];
+    if (pool.length < config.cache.presets.variants) return null;
+
+    return pool[Math.floor(Math.random() * pool.length)];
+}
+
+/**
+ * Add a generated reply to the pool
+ */
+async function addPresetReply(key, text) {
+    const pool = await replyCache.getJSON(key) || [];
+    if (pool.length >= config.cache.presets.variants) return;
+
+    await replyCache.setJSON(key, [...pool, text]);
+}
+
+module.exports = {
+    getPresetPrompt,
+    presetKey,
+    pickPresetReply,
+    addPresetReply
+};
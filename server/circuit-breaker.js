@@ -0,0 +1,93 @@
+/**
+ * Circuit Breaker
+ * One per upstream service (see upstream.js). After failureThreshold
+ * failed calls in a row the breaker opens and calls fail straight away
+ * for cooldownMs; then a single trial call is let through (half-open).
+ * Its success closes the breaker, its failure opens it again.
+ */
+
+const { logger } = require('./logger');
+
+class CircuitBreaker {
+    /**
+     * @param {string} name - Service name, for logs
+     * @param {Object} options - { failureThreshold, cooldownMs } (threshold 0 disables the breaker)
+     */
+    constructor(name, { failureThreshold, cooldownMs }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a call may go out now
+     * Moves an open breaker to half-open once the cooldown has passed
+     */
+    allowRequest() {
+        if (this.state === 'closed') return true;
+
+        if (this.state === 'open') {
+            if (Date.now() < this.openedAt + this.cooldownMs) return false;
+            this.state = 'half_open';
+            this.trialInFlight = false;
+        }
+
+        // Half-open: one trial call at a time
+        if (this.trialInFlight) return false;
+        this.trialInFlight = true;
+        return true;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            logger.info('Circuit breaker closed', { service: this.name });
+        }
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.consecutiveFailures++;
+        this.trialInFlight = false;
+
+        if (!(this.failureThreshold > 0)) return;
+
+        if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                logger.warn('Circuit breaker opened', {
+                    service: this.name,
+                    consecutiveFailures: this.consecutiveFailures,
+                    cooldownMs: this.cooldownMs
+                });
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * When an open breaker lets the next trial call through
+     * @returns {Date|null}
+     */
+    retryAt() {
+        return this.state === 'open' ? new Date(this.openedAt + this.cooldownMs) : null;
+    }
+
+    status() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.retryAt()?.toISOString() || null
+        };
+    }
+}
+
+module.exports = { CircuitBreaker };
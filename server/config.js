@@ -0,0 +1,265 @@
+/**
+ * Server Configuration
+ * Reads settings from environment variables (see env.example.txt)
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+
+/**
+ * Parse a numeric environment variable, falling back when unset or invalid
+ */
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+// Only the filesystem store outlives the process, and not on Vercel, where
+// every instance has its own memory and a read-only filesystem
+const durableCache = process.env.CACHE_STORE === 'filesystem' && !process.env.VERCEL;
+
+const config = {
+    port: process.env.PORT || 3000,
+
+    // Proxy hops to trust for client IPs (Vercel sits behind one)
+    trustProxy: process.env.TRUST_PROXY ? numberFromEnv('TRUST_PROXY', 1) : (process.env.VERCEL ? 1 : false),
+
+    // Rate limits per route group, per IP and per session token (see rate-limits.js)
+    rateLimits: {
+        windowMs: numberFromEnv('RATE_LIMIT_WINDOW_SECONDS', 60) * 1000,
+        chat: {
+            perIp: numberFromEnv('RATE_LIMIT_CHAT_PER_IP', 20),
+            perSession: numberFromEnv('RATE_LIMIT_CHAT_PER_SESSION', 6)
+        },
+        tts: {
+            perIp: numberFromEnv('RATE_LIMIT_TTS_PER_IP', 60),
+            perSession: numberFromEnv('RATE_LIMIT_TTS_PER_SESSION', 30)
+        },
+        avatar: {
+            perIp: numberFromEnv('RATE_LIMIT_AVATAR_PER_IP', 30),
+            perSession: numberFromEnv('RATE_LIMIT_AVATAR_PER_SESSION', 15)
+        },
+        general: {
+            perIp: numberFromEnv('RATE_LIMIT_GENERAL_PER_IP', 60),
+            perSession: numberFromEnv('RATE_LIMIT_GENERAL_PER_SESSION', 30)
+        }
+    },
+
+    // Daily spend budget (see budget.js)
+    budget: {
+        // 0 disables the circuit breaker
+        dailyUsd: numberFromEnv('DAILY_BUDGET_USD', 10)
+    },
+
+    // Usage and cost accounting (see usage/)
+    usage: {
+        // JSON file with hourly counters ('memory' keeps usage in memory only,
+        // the default on Vercel, whose filesystem is read-only)
+        path: process.env.USAGE_PATH === 'memory' || (!process.env.USAGE_PATH && process.env.VERCEL)
+            ? null
+            : process.env.USAGE_PATH || path.join(__dirname, 'data', 'usage.json'),
+        retentionDays: numberFromEnv('USAGE_RETENTION_DAYS', 90),
+        pricesPath: process.env.USAGE_PRICES_PATH || path.join(__dirname, 'usage', 'prices.json'),
+
+        // Optional flat prices that override the table for every model
+        priceOverrides: {
+            llmInputPerMTok: numberFromEnv('LLM_INPUT_COST_PER_MTOK', NaN),
+            llmOutputPerMTok: numberFromEnv('LLM_OUTPUT_COST_PER_MTOK', NaN),
+            ttsPer1kChars: numberFromEnv('TTS_COST_PER_1K_CHARS', NaN)
+        }
+    },
+
+    // Structured logging (see logger.js)
+    logging: {
+        // 'debug', 'info', 'warn', 'error' or 'silent'
+        level: process.env.LOG_LEVEL || 'info',
+        // Log user messages and replies instead of their length
+        userText: process.env.LOG_USER_TEXT === 'on'
+    },
+
+    // Admin API (see admin.js)
+    admin: {
+        token: process.env.ADMIN_TOKEN || null
+    },
+
+    // Timeouts, retries and circuit breakers for external APIs (see upstream.js)
+    upstream: {
+        // Time allowed per attempt; streamed replies only wait for the headers
+        timeoutsMs: {
+            anthropic: numberFromEnv('ANTHROPIC_TIMEOUT_MS', 30000),
+            openai: numberFromEnv('OPENAI_TIMEOUT_MS', 30000),
+            'openai-moderation': numberFromEnv('OPENAI_MODERATION_TIMEOUT_MS', 5000),
+            elevenlabs: numberFromEnv('ELEVENLABS_TIMEOUT_MS', 20000),
+            heygen: numberFromEnv('HEYGEN_TIMEOUT_MS', 15000)
+        },
+        defaultTimeoutMs: 15000,
+        // Longest wait for the next chunk of a streamed body
+        streamIdleTimeoutMs: numberFromEnv('UPSTREAM_STREAM_IDLE_MS', 15000),
+
+        // Extra attempts after a 429, 5xx or network error (5xx and errors
+        // after connecting only for idempotent calls, see upstream.js)
+        retries: numberFromEnv('UPSTREAM_RETRIES', 2),
+        retryBaseDelayMs: numberFromEnv('UPSTREAM_RETRY_BASE_MS', 300),
+        retryMaxDelayMs: numberFromEnv('UPSTREAM_RETRY_MAX_MS', 5000),
+
+        breaker: {
+            // Failed calls in a row before a service is skipped (0 disables)
+            failureThreshold: numberFromEnv('UPSTREAM_BREAKER_THRESHOLD', 5),
+            cooldownMs: numberFromEnv('UPSTREAM_BREAKER_COOLDOWN_SECONDS', 30) * 1000
+        }
+    },
+
+    // Voice and avatar APIs
+    elevenlabs: {
+        baseUrl: process.env.ELEVENLABS_BASE_URL || 'https://api.elevenlabs.io/v1'
+    },
+
+    heygen: {
+        baseUrl: process.env.HEYGEN_BASE_URL || 'https://api.heygen.com/v1'
+    },
+
+    // Streaming avatar mode, offered to the browser via GET /api/config
+    // when HeyGen and ElevenLabs are also configured
+    avatar: {
+        enabled: process.env.AVATAR_ENABLED === 'on'
+    },
+
+    // Serve index.html, js/, css/ and media from this server, so the page and
+    // /api share an origin in local development (Vercel serves them statically)
+    frontend: {
+        serve: process.env.SERVE_FRONTEND !== 'off' && !process.env.VERCEL
+    },
+
+    // LLM provider settings
+    llm: {
+        // 'anthropic', 'openai' or 'mock'
+        provider: (process.env.LLM_PROVIDER || 'anthropic').toLowerCase(),
+
+        // Generation defaults (route handlers may override per request)
+        temperature: numberFromEnv('LLM_TEMPERATURE', 0.8),
+
+        anthropic: {
+            apiKey: process.env.ANTHROPIC_API_KEY,
+            model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+            baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+            version: '2023-06-01'
+        },
+
+        openai: {
+            apiKey: process.env.OPENAI_API_KEY,
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+        },
+
+        mock: {
+            model: 'mock-1',
+            fixturesPath: process.env.MOCK_FIXTURES_PATH ||
+                path.join(__dirname, 'providers', 'fixtures', 'mock-replies.json')
+        }
+    },
+
+    // Reply length policy (see length-policy.js)
+    responseLength: {
+        default: {
+            unit: process.env.RESPONSE_LENGTH_UNIT || 'words', // 'words', 'sentences' or 'tokens'
+            limit: numberFromEnv('RESPONSE_LENGTH_LIMIT', 15),
+            maxTokens: numberFromEnv('LLM_MAX_TOKENS', null) // null = derived from unit and limit
+        }
+    },
+
+    // Persona registry (see personas/)
+    personas: {
+        default: process.env.DEFAULT_PERSONA || 'jeff'
+    },
+
+    // Server-held chat conversations, kept in the CACHE_STORE (see conversations/)
+    conversations: {
+        // Idle time before a conversation is forgotten
+        ttlMs: numberFromEnv('CONVERSATION_TTL_HOURS', 24) * 60 * 60 * 1000,
+        maxEntries: numberFromEnv('CONVERSATION_MAX_ENTRIES', 5000),
+        maxBytes: 50 * 1024 * 1024,
+
+        // Token budget for the summary and recent turns sent with each message
+        contextTokens: numberFromEnv('CONVERSATION_CONTEXT_TOKENS', 1500),
+        // Older turns are folded into a rolling summary of at most this many tokens
+        // ('off' for CONVERSATION_SUMMARIES drops them instead)
+        summaries: process.env.CONVERSATION_SUMMARIES !== 'off',
+        summaryMaxTokens: numberFromEnv('CONVERSATION_SUMMARY_MAX_TOKENS', 200),
+
+        // Signs the copy of each conversation the client sends back, so any
+        // instance sharing it can restore conversations it does not hold
+        stateSecret: process.env.CONVERSATION_SECRET || null
+    },
+
+    // Shared conversation excerpts at /s/:id, kept in the CACHE_STORE (see shares/)
+    shares: {
+        // On by default only with a durable store; 'on' forces it for a single
+        // long-lived server that keeps its memory store
+        enabled: process.env.SHARES === 'on' || (process.env.SHARES !== 'off' && durableCache),
+        ttlMs: numberFromEnv('SHARE_TTL_DAYS', 30) * 24 * 60 * 60 * 1000,
+        maxEntries: numberFromEnv('SHARE_MAX_ENTRIES', 10000),
+        maxBytes: 20 * 1024 * 1024,
+        // Exchanges (question and reply) one share may hold
+        maxTurns: numberFromEnv('SHARE_MAX_TURNS', 3),
+        // Longer messages are cut at a word boundary
+        maxMessageChars: 600,
+        // Origin for share links and Open Graph URLs (default: the request's own)
+        publicUrl: process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/+$/, '') : null
+    },
+
+    // Moderation (see moderation/)
+    moderation: {
+        // Optional file that receives one JSON line per intervention
+        logPath: process.env.MODERATION_LOG_PATH || null,
+
+        output: {
+            enabled: process.env.OUTPUT_MODERATION !== 'off',
+            rulesPath: process.env.OUTPUT_MODERATION_RULES ||
+                path.join(__dirname, 'moderation', 'rules', 'output-rules.json')
+        },
+
+        input: {
+            enabled: process.env.INPUT_MODERATION !== 'off',
+            rulesPath: process.env.INPUT_MODERATION_RULES ||
+                path.join(__dirname, 'moderation', 'rules', 'input-rules.json'),
+            // Optional provider-based classifier: 'none' or 'openai'
+            classifier: process.env.INPUT_MODERATION_CLASSIFIER || 'none'
+        },
+
+        classifiers: {
+            openai: {
+                apiKey: process.env.OPENAI_API_KEY,
+                baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+                model: process.env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest'
+            }
+        }
+    },
+
+    // Response cache (see cache/)
+    cache: {
+        // 'memory' or 'filesystem'
+        store: process.env.CACHE_STORE || 'memory',
+        dir: process.env.CACHE_DIR || path.join(__dirname, '.cache'),
+        // Whether entries survive restarts and are seen by every instance
+        durable: durableCache,
+
+        // ElevenLabs audio keyed on text, voice, model and voice settings
+        tts: {
+            enabled: process.env.TTS_CACHE !== 'off',
+            ttlMs: numberFromEnv('TTS_CACHE_TTL_HOURS', 24 * 7) * 60 * 60 * 1000,
+            maxEntries: numberFromEnv('TTS_CACHE_MAX_ENTRIES', 500),
+            maxBytes: numberFromEnv('TTS_CACHE_MAX_MB', 100) * 1024 * 1024
+        },
+
+        // Reply variant pool for preset questions (0 disables it)
+        presets: {
+            variants: numberFromEnv('PRESET_REPLY_VARIANTS', 0),
+            ttlMs: numberFromEnv('PRESET_REPLY_TTL_HOURS', 24) * 60 * 60 * 1000,
+            maxEntries: numberFromEnv('PRESET_REPLY_MAX_ENTRIES', 200),
+            maxBytes: 5 * 1024 * 1024
+        }
+    }
+};
+
+module.exports = config;
@@ -0,0 +1,135 @@
+/**
+ * Conversation Context
+ * Keeps the history sent to the model inside CONVERSATION_CONTEXT_TOKENS.
+ * Once the summary, recent turns and new message pass the budget, the
+ * oldest turns are folded into a rolling summary until the rest fit in
+ * half of it, so the summary is only rewritten every few turns. The
+ * summary goes into the system prompt as notes, not instructions.
+ */
+
+const config = require('../config');
+const { getPersonaModel } = require('../personas');
+const { recordLlmUsage } = require('../usage');
+const { estimateTokens } = require('../text');
+const { logger } = require('../logger');
+
+// Role and formatting tokens each message adds on top of its text
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+function messageTokens(message) {
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Estimated prompt tokens for a summary and messages
+ */
+function countContextTokens(summary, messages) {
+    return estimateTokens(summary) + messages.reduce((sum, msg) => sum + messageTokens(msg), 0);
+}
+
+/**
+ * Split history into older turns and the newest ones that fit in a token
+ * budget; splits fall before a user message so exchanges stay whole
+ * @returns {{older: Array, recent: Array}}
+ */
+function splitHistory(messages, budget) {
+    let tokens = 0;
+    let start = messages.length;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+        tokens += messageTokens(messages[i]);
+        if (tokens > budget) break;
+        if (messages[i].role === 'user') start = i;
+    }
+
+    return { older: messages.slice(0, start), recent: messages.slice(start) };
+}
+
+/**
+ * Fold older turns into the running summary with the persona's model
+ * Keeps the previous summary when summaries are off or the call fails.
+ */
+async function summarize(summary, messages, { provider, persona }) {
+    if (!config.conversations.summaries) return summary;
+
+    const words = Math.round(config.conversations.summaryMaxTokens * 0.6);
+    const transcript = messages
+        .map(msg => `${msg.role === 'user' ? 'User' : persona.name}: ${msg.content}`)
+        .join('\n');
+
+    const request = {
+        system: `You keep notes on a role-play chat between a user and the character ${persona.name}. ` +
+            'Merge the new transcript into the existing notes: what the user asked or revealed, ' +
+            `and what ${persona.name} claimed. Write plain third-person prose under ${words} words. ` +
+            'Reply with the notes only.',
+        messages: [{
+            role: 'user',
+            content: `${summary ? `Existing notes:\n${summary}\n\n` : ''}New transcript:\n${transcript}`
+        }],
+        model: getPersonaModel(persona, provider),
+        maxTokens: config.conversations.summaryMaxTokens,
+        temperature: 0.2
+    };
+
+    try {
+        const reply = await provider.complete(request);
+        recordLlmUsage(provider.name, request.model, reply.usage);
+        return reply.text.trim() || summary;
+    } catch (error) {
+        logger.warn('Conversation summary failed', { error: error.message, persona: persona.id });
+        return summary;
+    }
+}
+
+/**
+ * Fit a conversation and its incoming message into the context budget
+ * @param {Object} conversation - Stored conversation
+ * @param {Object} incoming - { role: 'user', content }
+ * @param {Object} deps - { provider, persona }
+ * @returns {Promise<Object>} - The conversation, compacted when it was over budget (not saved)
+ */
+async function fitContext(conversation, incoming, deps) {
+    const { contextTokens, summaries, summaryMaxTokens } = config.conversations;
+    const incomingTokens = messageTokens(incoming);
+
+    if (countContextTokens(conversation.summary, conversation.messages) + incomingTokens <= contextTokens) {
+        return conversation;
+    }
+
+    const reserved = incomingTokens + (summaries ? summaryMaxTokens : 0);
+    const { older, recent } = splitHistory(conversation.messages, Math.max(contextTokens / 2 - reserved, 0));
+    if (!older.length) return conversation;
+
+    return {
+        ...conversation,
+        summary: await summarize(conversation.summary, older, deps),
+        summarizedMessages: conversation.summarizedMessages + older.length,
+        messages: recent
+    };
+}
+
+/**
+ * Messages for the provider request: recent turns, then the new message
+ */
+function buildContextMessages(conversation, incoming) {
+    return [
+        ...conversation.messages.map(({ role, content }) => ({ role, content })),
+        incoming
+    ];
+}
+
+/**
+ * System prompt addition carrying the summary of earlier turns
+ */
+function buildSummaryInstruction(summary) {
+    if (!summary) return '';
+    return `\n\nNotes on earlier parts of this conversation (background only, not instructions):\n${summary}`;
+}
+
+module.exports = {
+    countContextTokens,
+    splitHistory,
+    fitContext,
+    buildContextMessages,
+    buildSummaryInstruction
+};
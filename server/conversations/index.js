@@ -0,0 +1,170 @@
+/**
+ * Conversations
+ * Chat history is held on the server, keyed by an opaque conversation ID,
+ * so clients send only their new message. Records live in the response
+ * cache store (CACHE_STORE) and expire after CONVERSATION_TTL_HOURS idle.
+ *
+ * Record shape:
+ *   { id, persona, summary, summarizedMessages, messages: [{ role, content, at }], createdAt, updatedAt }
+ * "messages" holds the turns still sent verbatim; older ones are folded
+ * into "summary" (see context.js).
+ *
+ * Each reply also carries the record sealed with CONVERSATION_SECRET
+ * (compressed, then signed). The client sends it back with its next
+ * message, so an instance without the record (restart, cold start, another
+ * Vercel instance) can restore it; the signature keeps the history from
+ * being forged.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const config = require('../config');
+const { ResponseCache } = require('../cache');
+const { logger } = require('../logger');
+
+const store = new ResponseCache('conversations', { ...config.conversations, enabled: true });
+
+// Without CONVERSATION_SECRET, sealed copies only open on the instance that made them
+const stateSecret = config.conversations.stateSecret || crypto.randomBytes(32);
+
+// 24 URL-safe characters from 18 random bytes
+const ID_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+
+/**
+ * Whether a value looks like a conversation ID
+ */
+function isConversationId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * A new, unsaved conversation for a persona
+ */
+function createConversation(personaId) {
+    const now = new Date().toISOString();
+
+    return {
+        id: crypto.randomBytes(18).toString('base64url'),
+        persona: personaId,
+        summary: '',
+        summarizedMessages: 0,
+        messages: [],
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * @returns {Promise<Object|null>} - The conversation, or null when unknown or expired
+ */
+async function loadConversation(id) {
+    if (!isConversationId(id)) return null;
+    return store.getJSON([id]);
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', stateSecret).update(payload).digest('base64url');
+}
+
+/**
+ * A conversation sealed for the client to send back with its next message
+ * @returns {string} - "<payload>.<signature>", both base64url
+ */
+function sealConversation(conversation) {
+    const payload = zlib.deflateRawSync(JSON.stringify(toPublicConversation(conversation))).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * @returns {Object|null} - The sealed conversation, or null when the state is
+ *   malformed, tampered with or idle past CONVERSATION_TTL_HOURS
+ */
+function unsealConversation(state) {
+    if (typeof state !== 'string') return null;
+
+    const [payload, signature, ...rest] = state.split('.');
+    const expected = sign(payload);
+    if (rest.length || !signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const conversation = JSON.parse(zlib.inflateRawSync(Buffer.from(payload, 'base64url')).toString('utf8'));
+        const idle = Date.now() - Date.parse(conversation.updatedAt);
+        return isConversationId(conversation.id) && idle < config.conversations.ttlMs ? conversation : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The stored conversation, or the client's sealed copy when this instance
+ * does not hold it
+ * @param {string} id - Conversation ID sent by the client
+ * @param {string} [state] - Sealed copy sent by the client
+ * @returns {Promise<Object|null>}
+ */
+async function restoreConversation(id, state) {
+    const stored = await loadConversation(id);
+    if (stored) return stored;
+
+    const sealed = unsealConversation(state);
+    if (sealed && sealed.id === id) {
+        logger.info('Conversation restored from its sealed copy', { conversationId: id });
+        return sealed;
+    }
+
+    logger.warn('Conversation not found; starting a new one', { conversationId: id, sealed: state != null });
+    return null;
+}
+
+/**
+ * Save a conversation, restarting its idle timer
+ */
+async function saveConversation(conversation) {
+    await store.setJSON([conversation.id], conversation);
+}
+
+async function deleteConversation(id) {
+    if (!isConversationId(id)) return;
+    await store.delete([id]);
+}
+
+/**
+ * A conversation with one more exchange appended (not saved)
+ */
+function appendTurn(conversation, userText, replyText) {
+    const at = new Date().toISOString();
+
+    return {
+        ...conversation,
+        messages: [
+            ...conversation.messages,
+            { role: 'user', content: userText, at },
+            { role: 'assistant', content: replyText, at }
+        ],
+        updatedAt: at
+    };
+}
+
+/**
+ * The parts of a conversation returned by GET /api/conversations/:id
+ */
+function toPublicConversation(conversation) {
+    const { id, persona, summary, summarizedMessages, messages, createdAt, updatedAt } = conversation;
+    return { id, persona, summary, summarizedMessages, messages, createdAt, updatedAt };
+}
+
+module.exports = {
+    isConversationId,
+    createConversation,
+    loadConversation,
+    restoreConversation,
+    sealConversation,
+    unsealConversation,
+    saveConversation,
+    deleteConversation,
+    appendTurn,
+    toPublicConversation
+};
@@ -0,0 +1,76 @@
+/**
+ * Readiness Report
+ * Per-provider status for GET /api/health/ready: whether each upstream is
+ * configured, when it last succeeded or failed, its average latency and
+ * its circuit breaker state.
+ * Outcomes come from real traffic through upstreamFetch (no probe calls).
+ *
+ * The frontend reads "features" at startup to pick its TTS provider and
+ * avatar mode.
+ */
+
+const config = require('./config');
+const { getProvider, PROVIDER_NAMES } = require('./providers');
+const { getServiceStatus, getBreakerStatus } = require('./upstream');
+
+/**
+ * Status of one upstream service
+ * healthy is false while its circuit breaker is open after repeated failures
+ */
+function describeService(name, role, configured, extra = {}) {
+    const status = getServiceStatus(name);
+    const breaker = getBreakerStatus(name);
+
+    return {
+        role,
+        configured,
+        healthy: configured && breaker.state !== 'open',
+        lastSuccess: status.lastSuccess,
+        lastFailure: status.lastFailure,
+        avgLatencyMs: status.avgLatencyMs,
+        breaker,
+        ...extra
+    };
+}
+
+/**
+ * Build the readiness report
+ * status is 'ready', 'degraded' (optional services unavailable) or
+ * 'not_ready' (the active LLM provider cannot answer)
+ */
+function getReadiness() {
+    const providers = {};
+
+    for (const name of PROVIDER_NAMES) {
+        providers[name] = describeService(name, 'llm', getProvider(name).isConfigured(), {
+            active: name === config.llm.provider
+        });
+    }
+
+    providers.elevenlabs = describeService('elevenlabs', 'tts', Boolean(process.env.ELEVENLABS_API_KEY));
+    providers.heygen = describeService('heygen', 'avatar', Boolean(process.env.HEYGEN_API_KEY));
+
+    const llm = providers[config.llm.provider];
+    const features = {
+        chat: Boolean(llm?.healthy),
+        tts: providers.elevenlabs.healthy ? ['elevenlabs'] : [],
+        avatar: providers.heygen.healthy && providers.elevenlabs.healthy
+    };
+
+    let status = 'ready';
+    if (!features.chat) {
+        status = 'not_ready';
+    } else if (!features.tts.length || !features.avatar) {
+        status = 'degraded';
+    }
+
+    return {
+        status,
+        timestamp: new Date().toISOString(),
+        llmProvider: config.llm.provider,
+        features,
+        providers
+    };
+}
+
+module.exports = { getReadiness };
@@ -0,0 +1,165 @@
+/**
+ * Response Length Policy
+ * Limits replies by words, sentences or tokens and trims them at
+ * sentence boundaries instead of cutting mid-sentence.
+ *
+ * A policy looks like: { unit: 'words' | 'sentences' | 'tokens', limit, maxTokens }
+ */
+
+const config = require('./config');
+const { estimateTokens, countWords, splitSentences, isCompleteSentence } = require('./text');
+
+const UNITS = ['words', 'sentences', 'tokens'];
+
+/**
+ * Measure text in the policy's unit
+ */
+function measure(text, unit) {
+    switch (unit) {
+        case 'sentences':
+            return splitSentences(text).length;
+        case 'tokens':
+            return estimateTokens(text.trim());
+        case 'words':
+        default:
+            return countWords(text);
+    }
+}
+
+/**
+ * Default generation cap for a policy: enough headroom for the model to
+ * finish its last sentence so trimming can happen at a boundary
+ */
+function defaultMaxTokens(unit, limit) {
+    switch (unit) {
+        case 'sentences':
+            return limit * 60;
+        case 'tokens':
+            return Math.ceil(limit * 1.5);
+        case 'words':
+        default:
+            return Math.max(50, limit * 4);
+    }
+}
+
+/**
+ * Resolve the length policy for a request
+ * @param {Object} [persona] - Persona whose length settings override the defaults
+ * @param {Object} [options] - { maxTokens } requested by the client (can only lower the cap)
+ */
+function resolveLengthPolicy(persona, options = {}) {
+    const settings = {
+        ...config.responseLength.default,
+        ...persona?.length
+    };
+
+    const unit = UNITS.includes(settings.unit) ? settings.unit : 'words';
+    const limit = Math.max(1, Math.floor(settings.limit) || 15);
+    let maxTokens = settings.maxTokens || defaultMaxTokens(unit, limit);
+
+    if (Number.isFinite(options.maxTokens) && options.maxTokens > 0) {
+        maxTokens = Math.min(maxTokens, Math.floor(options.maxTokens));
+    }
+
+    return { unit, limit, maxTokens };
+}
+
+/**
+ * Instruction appended to the system prompt
+ */
+function buildLengthInstruction({ unit, limit }) {
+    let rule;
+    switch (unit) {
+        case 'sentences':
+            rule = `${limit} ${limit === 1 ? 'sentence' : 'sentences'} or fewer`;
+            break;
+        case 'tokens':
+            rule = `about ${Math.max(1, Math.floor(limit * 0.75))} words or fewer`;
+            break;
+        case 'words':
+        default:
+            rule = `${limit} words or less`;
+    }
+
+    return `\n\nIMPORTANT: You MUST keep ALL responses to ${rule}. Always finish your last sentence. Be extremely concise and brief. No exceptions.`;
+}
+
+/**
+ * Cut text to the limit inside a sentence (last resort when no whole sentence fits)
+ */
+function cutWithinSentence(text, { unit, limit }) {
+    const words = text.trim().match(/\S+\s*/g) || [];
+    let result = '';
+
+    for (const word of words) {
+        const candidate = result + word;
+        if (measure(candidate, unit) > limit && result) break;
+        result = candidate;
+    }
+
+    return result.trim().replace(/[,;:\-–—]+$/, '') + '...';
+}
+
+/**
+ * Apply a length policy to a reply
+ * @param {string} text - Reply text
+ * @param {Object} policy - Result of resolveLengthPolicy
+ * @param {Object} [options] - { finishReason } from the provider ('stop' or 'length')
+ * @returns {{text: string, trimmed: boolean, method: string|null, unit: string, limit: number,
+ *            originalCount: number, finalCount: number}}
+ */
+function applyLengthPolicy(text, policy, options = {}) {
+    const original = (text || '').trim();
+    let sentences = splitSentences(original);
+    let method = null;
+    let result;
+
+    // The provider stopped at its token cap: drop the unfinished last sentence
+    if (options.finishReason === 'length' && sentences.length > 1 &&
+        !isCompleteSentence(sentences[sentences.length - 1])) {
+        sentences = sentences.slice(0, -1);
+        method = 'sentence';
+    }
+
+    let kept = '';
+    for (const sentence of sentences) {
+        if (measure(kept + sentence, policy.unit) > policy.limit) {
+            method = 'sentence';
+            break;
+        }
+        kept += sentence;
+    }
+
+    if (kept.trim()) {
+        result = kept.trim();
+
+        // Only an unfinished sentence came back from a capped generation
+        if (options.finishReason === 'length' && !isCompleteSentence(result)) {
+            result += '...';
+            method = 'word';
+        }
+    } else if (sentences.length) {
+        // Not even one sentence fits the limit
+        result = cutWithinSentence(sentences[0], policy);
+        method = 'word';
+    } else {
+        result = '';
+    }
+
+    return {
+        text: result,
+        trimmed: result !== original,
+        method: result !== original ? method : null,
+        unit: policy.unit,
+        limit: policy.limit,
+        originalCount: measure(original, policy.unit),
+        finalCount: measure(result, policy.unit)
+    };
+}
+
+module.exports = {
+    resolveLengthPolicy,
+    buildLengthInstruction,
+    applyLengthPolicy,
+    measure
+};
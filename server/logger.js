@@ -0,0 +1,132 @@
+/**
+ * Structured Logging
+ * One JSON object per line: { level, time, msg, requestId, ...fields }.
+ * The request ID comes from the async context set up by requestLogging(),
+ * so modules deep in a request (providers, caches, moderation) log it
+ * without having it passed down.
+ *
+ * Redaction:
+ *   - credential fields (keys, tokens, authorization headers) are replaced
+ *   - user text fields (messages, prompts, replies) are replaced with their
+ *     length unless LOG_USER_TEXT=on
+ *   - key-shaped substrings are masked in every string
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+const SECRET_FIELD = /api[_-]?key|authorization|token|secret|password|cookie/i;
+const USER_TEXT_FIELDS = new Set(['content', 'text', 'prompt', 'input', 'messages', 'response', 'reply', 'sentence', 'body']);
+const SECRET_VALUE = /sk-ant-[A-Za-z0-9_-]{8,}|sk-[A-Za-z0-9_-]{20,}|sk_[A-Za-z0-9_]{20,}|Bearer\s+[A-Za-z0-9._~+/=-]{8,}/g;
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Request ID of the request being handled, if any
+ */
+function getRequestId() {
+    return context.getStore()?.requestId || null;
+}
+
+/**
+ * Redact a value for logging
+ */
+function redact(value, key = '', depth = 0) {
+    if (value == null) return value;
+
+    if (SECRET_FIELD.test(key)) return '[REDACTED]';
+
+    if (USER_TEXT_FIELDS.has(key) && !config.logging.userText) {
+        const length = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+        return `[REDACTED ${length} chars]`;
+    }
+
+    if (typeof value === 'string') {
+        return value.replace(SECRET_VALUE, match => match.slice(0, 6) + '[REDACTED]');
+    }
+
+    if (value instanceof Error) {
+        return redact({ name: value.name, message: value.message, code: value.code, status: value.status, stack: value.stack }, key, depth);
+    }
+
+    if (typeof value === 'object') {
+        if (depth > 4) return '[Object]';
+        if (Array.isArray(value)) return value.map(item => redact(item, '', depth + 1));
+
+        const result = {};
+        for (const [field, fieldValue] of Object.entries(value)) {
+            if (fieldValue !== undefined) result[field] = redact(fieldValue, field, depth + 1);
+        }
+        return result;
+    }
+
+    return value;
+}
+
+/**
+ * Write one log line
+ */
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[config.logging.level]) return;
+
+    const entry = {
+        level,
+        time: new Date().toISOString(),
+        msg,
+        requestId: getRequestId() || undefined,
+        ...redact(fields)
+    };
+
+    const line = JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+        process.stderr.write(line + '\n');
+    } else {
+        process.stdout.write(line + '\n');
+    }
+}
+
+const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Middleware: assign a request ID (or accept the caller's X-Request-Id),
+ * return it in the X-Request-Id header and log each request's outcome
+ */
+function requestLogging() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const start = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => context.run({ requestId }, () => {
+            const fields = {
+                method: req.method,
+                path: req.baseUrl + req.path,
+                status: res.statusCode,
+                durationMs: Number((process.hrtime.bigint() - start) / 1000000n)
+            };
+            write(res.statusCode >= 500 ? 'error' : 'info', 'request completed', fields);
+        }));
+
+        context.run({ requestId }, next);
+    };
+}
+
+module.exports = {
+    logger,
+    requestLogging,
+    getRequestId,
+    redact
+};
@@ -0,0 +1,40 @@
+/**
+ * Input Classifier Registry
+ * Optional provider-based classifiers that run after the local rules.
+ * Every classifier implements:
+ *   - name
+ *   - isConfigured() -> boolean
+ *   - classify(text) -> Promise<categoryId|null> (see rules/input-rules.json for IDs)
+ */
+
+const config = require('../../config');
+const OpenAIModerationClassifier = require('./openai');
+
+const CLASSIFIERS = {
+    openai: OpenAIModerationClassifier
+};
+
+const instances = {};
+
+/**
+ * Get the configured classifier
+ * @returns {Object|null} - null when INPUT_MODERATION_CLASSIFIER is 'none'
+ */
+function getClassifier(name = config.moderation.input.classifier) {
+    if (!name || name === 'none') return null;
+
+    const Classifier = CLASSIFIERS[name];
+    if (!Classifier) {
+        throw new Error(`Unknown moderation classifier: ${name}`);
+    }
+
+    if (!instances[name]) {
+        instances[name] = new Classifier(config.moderation.classifiers[name]);
+    }
+    return instances[name];
+}
+
+module.exports = {
+    getClassifier,
+    CLASSIFIER_NAMES: Object.keys(CLASSIFIERS)
+};
@@ -0,0 +1,60 @@
+/**
+ * OpenAI Moderation Classifier
+ * Uses the OpenAI moderation endpoint; flagged categories are mapped onto
+ * the input rule categories. Categories not listed here (violence, adult
+ * sexual content, ...) are left to the persona and output moderation.
+ */
+
+const { upstreamFetch } = require('../../upstream');
+
+const CATEGORY_MAP = {
+    'sexual/minors': 'sexual_minors',
+    'harassment': 'harassment',
+    'harassment/threatening': 'harassment',
+    'hate': 'harassment',
+    'hate/threatening': 'harassment'
+};
+
+class OpenAIModerationClassifier {
+    constructor(options) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey;
+        this.baseUrl = options.baseUrl;
+        this.model = options.model;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Classify a user message
+     * @param {string} text
+     * @returns {Promise<string|null>} - Input category ID, or null when nothing relevant was flagged
+     */
+    async classify(text) {
+        const response = await upstreamFetch('openai-moderation', `${this.baseUrl}/moderations`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify({ model: this.model, input: text }),
+            idempotent: true
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error?.message || `Moderation API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const result = data.results?.[0];
+        if (!result?.flagged) return null;
+
+        const flagged = Object.keys(CATEGORY_MAP).find(category => result.categories?.[category]);
+        return flagged ? CATEGORY_MAP[flagged] : null;
+    }
+}
+
+module.exports = OpenAIModerationClassifier;
@@ -0,0 +1,19 @@
+/**
+ * Moderation Errors
+ */
+
+/**
+ * Error thrown when moderation blocks a request or a reply
+ * code is 'MODERATION_OUTPUT_BLOCKED' for replies and one of the
+ * 'MODERATION_INPUT_*' codes (see rules/input-rules.json) for user messages
+ */
+class ModerationError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ModerationError';
+        this.status = 422;
+        this.code = code;
+    }
+}
+
+module.exports = { ModerationError };
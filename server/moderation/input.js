@@ -0,0 +1,128 @@
+/**
+ * Input Moderation
+ * Pre-generation check on user messages. Local rules (rules/input-rules.json)
+ * run on every user turn and work offline; the optional classifier
+ * (INPUT_MODERATION_CLASSIFIER) then checks the newest user message.
+ *
+ * Rules file:
+ *   { categories: [{ id, code, match: [[regex source]] }] }
+ * A category matches when every pattern group matches the message.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const { logIntervention } = require('./log');
+const { getClassifier } = require('./classifiers');
+const { logger } = require('../logger');
+
+/**
+ * Compile a rules file into matchers
+ */
+function compileRules(rules) {
+    return rules.categories.map(category => ({
+        id: category.id,
+        code: category.code,
+        groups: category.match.map(group => new RegExp(`\\b(?:${group.join('|')})\\b`, 'i'))
+    }));
+}
+
+let compiledRules = null;
+
+/**
+ * Load and compile the configured rule set (cached)
+ */
+function getRules() {
+    if (!compiledRules) {
+        const rules = JSON.parse(fs.readFileSync(config.moderation.input.rulesPath, 'utf8'));
+        compiledRules = compileRules(rules);
+    }
+    return compiledRules;
+}
+
+/**
+ * Check one message against the local rules
+ * @returns {Object|null} - { category, code, terms[] } for the first matching category
+ */
+function checkMessage(text, rules = getRules()) {
+    for (const category of rules) {
+        const terms = [];
+        const matched = category.groups.every(pattern => {
+            const match = text.match(pattern);
+            if (match) terms.push(match[0].toLowerCase());
+            return Boolean(match);
+        });
+
+        if (matched) {
+            return { category: category.id, code: category.code, terms };
+        }
+    }
+    return null;
+}
+
+/**
+ * Error code for a category reported by a classifier
+ */
+function codeForCategory(category, rules = getRules()) {
+    return rules.find(rule => rule.id === category)?.code || 'MODERATION_INPUT_BLOCKED';
+}
+
+/**
+ * Moderate the user messages of a chat request
+ * Classifier failures are logged and the request is let through on the
+ * local rules alone.
+ * @param {Array} messages - Validated chat messages
+ * @param {Object} context - { route, persona }
+ * @returns {Promise<{blocked: boolean, category?: string, code?: string}>}
+ */
+async function moderateInput(messages, context = {}) {
+    if (!config.moderation.input.enabled) {
+        return { blocked: false };
+    }
+
+    const userMessages = messages.filter(msg => msg.role === 'user');
+    const rules = getRules();
+
+    for (const msg of userMessages) {
+        const match = checkMessage(msg.content, rules);
+        if (match) {
+            return block({ source: 'rules', ...match }, context);
+        }
+    }
+
+    const classifier = getClassifier();
+    const latest = userMessages[userMessages.length - 1];
+
+    if (classifier?.isConfigured() && latest) {
+        try {
+            const category = await classifier.classify(latest.content);
+            if (category) {
+                return block({ source: classifier.name, category, code: codeForCategory(category, rules) }, context);
+            }
+        } catch (error) {
+            logger.error('Moderation classifier error', { classifier: classifier.name, error: error.message });
+        }
+    }
+
+    return { blocked: false };
+}
+
+/**
+ * Log a blocked request and build the result
+ * (matched terms are logged, the message itself is not)
+ */
+function block(match, context) {
+    logIntervention({
+        stage: 'input',
+        action: 'block',
+        route: context.route,
+        persona: context.persona?.id,
+        ...match
+    });
+
+    return { blocked: true, category: match.category, code: match.code };
+}
+
+module.exports = {
+    moderateInput,
+    checkMessage
+};
@@ -0,0 +1,33 @@
+/**
+ * Moderation Audit Log
+ * Every moderation intervention is logged (with the usual redaction of
+ * user text) and, when MODERATION_LOG_PATH is set, appended in full to
+ * that file as one JSON line, tagged with the request ID.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const { logger, getRequestId } = require('../logger');
+
+/**
+ * Record a moderation intervention
+ * @param {Object} entry - { stage, action, route, persona, matches, ... }
+ */
+function logIntervention(entry) {
+    logger.warn('moderation intervention', entry);
+
+    if (config.moderation.logPath) {
+        const line = JSON.stringify({
+            type: 'moderation',
+            timestamp: new Date().toISOString(),
+            requestId: getRequestId() || undefined,
+            ...entry
+        });
+
+        fs.appendFile(config.moderation.logPath, line + '\n', (error) => {
+            if (error) logger.error('Could not write moderation log', { error: error.message });
+        });
+    }
+}
+
+module.exports = { logIntervention };
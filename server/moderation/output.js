@@ -0,0 +1,215 @@
+/**
+ * Output Moderation
+ * Post-generation check for statements about real people: a sentence that
+ * names someone on the watch list and pairs them with an allegation is
+ * dropped from the reply ("rewrite") or fails the whole reply ("block").
+ *
+ * Rules live in a JSON file (see rules/output-rules.json):
+ *   { action, people: [{ id, names[], action? }], allegations: [regex source] }
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const { splitSentences } = require('../text');
+const { logIntervention } = require('./log');
+const { ModerationError } = require('./errors');
+
+/**
+ * Escape a literal string for use inside a RegExp
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a rules file into matchers
+ */
+function compileRules(rules) {
+    const allegationPattern = new RegExp(`\\b(?:${rules.allegations.join('|')})\\b`, 'i');
+
+    return {
+        action: rules.action === 'block' ? 'block' : 'rewrite',
+        allegationPattern,
+        people: rules.people.map(person => ({
+            id: person.id,
+            action: person.action,
+            pattern: new RegExp(`\\b(?:${person.names.map(escapeRegExp).join('|')})\\b`, 'i')
+        }))
+    };
+}
+
+let compiledRules = null;
+
+/**
+ * Load and compile the configured rule set (cached)
+ */
+function getRules() {
+    if (!compiledRules) {
+        const rules = JSON.parse(fs.readFileSync(config.moderation.output.rulesPath, 'utf8'));
+        compiledRules = compileRules(rules);
+    }
+    return compiledRules;
+}
+
+/**
+ * Check one sentence
+ * @returns {Object|null} - { person, allegation, action } when the sentence is flagged
+ */
+function checkSentence(sentence, rules = getRules()) {
+    const allegation = sentence.match(rules.allegationPattern);
+    if (!allegation) return null;
+
+    const person = rules.people.find(p => p.pattern.test(sentence));
+    if (!person) return null;
+
+    return {
+        person: person.id,
+        allegation: allegation[0].toLowerCase(),
+        action: person.action || rules.action
+    };
+}
+
+/**
+ * Resolve the outcome of a set of flagged sentences, log it and build the result
+ */
+function resolveOutcome(keptText, matches, context) {
+    if (!matches.length) {
+        return { text: keptText, blocked: false, moderation: null };
+    }
+
+    const blocked = matches.some(match => match.action === 'block');
+    const action = blocked ? 'block' : 'rewrite';
+
+    logIntervention({
+        stage: 'output',
+        action,
+        route: context.route,
+        persona: context.persona?.id,
+        matches: matches.map(({ person, allegation, sentence }) => ({ person, allegation, sentence: sentence.trim() }))
+    });
+
+    // Nothing usable left: answer with the persona's moderation line instead
+    let text = keptText.trim();
+    if (!blocked && !text) {
+        const lines = context.persona?.fallbackLines?.moderation || [];
+        text = lines[Math.floor(Math.random() * lines.length)] || '';
+    }
+
+    return {
+        text: blocked ? '' : text,
+        blocked,
+        moderation: { stage: 'output', action, matches: matches.length }
+    };
+}
+
+/**
+ * Moderate a complete reply
+ * @param {string} text - Generated reply
+ * @param {Object} context - { route, persona }
+ * @returns {{text: string, blocked: boolean, moderation: Object|null}}
+ */
+function moderateReply(text, context = {}) {
+    if (!config.moderation.output.enabled) {
+        return { text, blocked: false, moderation: null };
+    }
+
+    const rules = getRules();
+    const matches = [];
+    let kept = '';
+
+    for (const sentence of splitSentences(text || '')) {
+        const match = checkSentence(sentence, rules);
+        if (match) {
+            matches.push({ ...match, sentence });
+        } else {
+            kept += sentence;
+        }
+    }
+
+    return resolveOutcome(kept, matches, context);
+}
+
+/**
+ * Moderates a streamed reply sentence by sentence.
+ * push() returns the text that is safe to forward now: only sentences
+ * that have ended and passed. Nothing of an unfinished sentence goes out,
+ * since its name or allegation may still be on the way (the first word of
+ * "Prince Andrew" matches nothing yet) and a dropped sentence must not
+ * leave a fragment behind on the client.
+ */
+class OutputStreamGuard {
+    constructor(context = {}) {
+        this.context = context;
+        this.enabled = config.moderation.output.enabled;
+        this.rules = this.enabled ? getRules() : null;
+        this.pending = '';
+        this.kept = '';
+        this.matches = [];
+        this.blocked = false;
+    }
+
+    /**
+     * Add streamed text
+     * @returns {string} - Text safe to forward to the client
+     */
+    push(text) {
+        if (!this.enabled) {
+            this.kept += text;
+            return text;
+        }
+
+        this.pending += text;
+        let output = '';
+
+        // Settle every sentence whose terminator is followed by whitespace
+        const boundary = /[.!?…]+["'”’)\]]*\s+/g;
+        let match;
+        while ((match = boundary.exec(this.pending))) {
+            const end = match.index + match[0].length;
+            output += this.settle(this.pending.slice(0, end));
+            this.pending = this.pending.slice(end);
+            boundary.lastIndex = 0;
+        }
+
+        return output;
+    }
+
+    /**
+     * Check a finished sentence; returns it when it passes
+     */
+    settle(sentence) {
+        const match = checkSentence(sentence, this.rules);
+
+        if (match) {
+            this.matches.push({ ...match, sentence });
+            if (match.action === 'block') this.blocked = true;
+            return '';
+        }
+
+        this.kept += sentence;
+        return sentence;
+    }
+
+    /**
+     * Finish the stream
+     * @returns {{text: string, result: Object}} - Remaining text to forward and the
+     *   moderated reply ({ text, blocked, moderation } as from moderateReply)
+     */
+    finish() {
+        if (!this.enabled) {
+            return { text: '', result: { text: this.kept, blocked: false, moderation: null } };
+        }
+
+        const text = this.pending.trim() ? this.settle(this.pending) : '';
+        this.pending = '';
+
+        return { text, result: resolveOutcome(this.kept, this.matches, this.context) };
+    }
+}
+
+module.exports = {
+    moderateReply,
+    checkSentence,
+    OutputStreamGuard,
+    ModerationError
+};
@@ -0,0 +1,67 @@
+/**
+ * Persona Registry
+ * Personas are defined on the server so clients can only pick one by ID;
+ * prompts, models and limits never come from the browser.
+ *
+ * A persona module exports:
+ *   id, name, models { [provider]: model|null }, temperature,
+ *   length { unit, limit, maxTokens? }, voiceId, avatarId, systemPrompt,
+ *   welcomeLines[],
+ *   fallbackLines { rateLimited[], offline[], providerError[], moderation[], default[] },
+ *   refusalLines { [MODERATION_INPUT_* code]: [] },
+ *   ui { label, icon, image, video, accent, reactions[] }
+ *
+ * Only the public manifest (see toPublicPersona) is sent to the browser.
+ */
+
+const config = require('../config');
+
+const PERSONAS = [
+    require('./jeff')
+];
+
+const personasById = new Map(PERSONAS.map(persona => [persona.id, persona]));
+
+/**
+ * Get a persona by ID (defaults to the configured default persona)
+ * @returns {Object|null} - null when the ID is unknown
+ */
+function getPersona(id) {
+    return personasById.get(id || config.personas.default) || null;
+}
+
+/**
+ * Model to use for a persona with the given provider
+ */
+function getPersonaModel(persona, provider) {
+    return persona.models?.[provider.name] || provider.defaultModel;
+}
+
+/**
+ * Fields that are safe to send to the browser (no prompt or model settings)
+ */
+function toPublicPersona(persona) {
+    return {
+        id: persona.id,
+        name: persona.name,
+        length: persona.length,
+        welcomeLines: persona.welcomeLines,
+        fallbackLines: persona.fallbackLines,
+        refusalLines: persona.refusalLines,
+        ui: persona.ui
+    };
+}
+
+/**
+ * List all personas as { id, name }
+ */
+function listPersonas() {
+    return PERSONAS.map(persona => ({ id: persona.id, name: persona.name }));
+}
+
+module.exports = {
+    getPersona,
+    getPersonaModel,
+    toPublicPersona,
+    listPersonas
+};
@@ -0,0 +1,174 @@
+/**
+ * Anthropic Messages API Provider
+ */
+
+const { ProviderError } = require('./errors');
+const { readServerSentEvents } = require('./sse');
+const { logger } = require('../logger');
+const { upstreamFetch, describeUpstreamError } = require('../upstream');
+
+/**
+ * Convert chat messages to the Anthropic Messages format.
+ * Anthropic takes the system prompt as a top-level field and requires
+ * user/assistant turns that alternate and start with a user turn.
+ */
+function toAnthropicMessages(messages) {
+    const systemParts = [];
+    const turns = [];
+
+    for (const msg of messages) {
+        if (!msg || typeof msg.content !== 'string') continue;
+
+        if (msg.role === 'system') {
+            systemParts.push(msg.content);
+            continue;
+        }
+
+        const role = msg.role === 'assistant' ? 'assistant' : 'user';
+        const last = turns[turns.length - 1];
+
+        if (last && last.role === role) {
+            last.content += '\n\n' + msg.content;
+        } else {
+            turns.push({ role, content: msg.content });
+        }
+    }
+
+    // Drop leading assistant turns (e.g. a welcome line)
+    while (turns.length && turns[0].role !== 'user') {
+        turns.shift();
+    }
+
+    return { systemParts, turns };
+}
+
+class AnthropicProvider {
+    constructor(options) {
+        this.name = 'anthropic';
+        this.apiKey = options.apiKey;
+        this.defaultModel = options.model;
+        this.baseUrl = options.baseUrl;
+        this.version = options.version;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Generate a reply
+     * @param {Object} request - { system, messages, model, maxTokens, temperature }
+     * @returns {Promise<{text: string, usage: Object, finishReason: string}>}
+     */
+    async complete(request) {
+        const response = await this.request(request, false);
+        const data = await response.json();
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        const inputTokens = data.usage?.input_tokens || 0;
+        const outputTokens = data.usage?.output_tokens || 0;
+
+        return {
+            text,
+            finishReason: data.stop_reason === 'max_tokens' ? 'length' : 'stop',
+            usage: {
+                prompt_tokens: inputTokens,
+                completion_tokens: outputTokens,
+                total_tokens: inputTokens + outputTokens
+            }
+        };
+    }
+
+    /**
+     * Stream a reply
+     * @param {Object} request - { system, messages, model, maxTokens, temperature }
+     * @yields {{type: 'delta', text: string}|{type: 'done', usage: Object, finishReason: string}}
+     */
+    async *stream(request) {
+        const response = await this.request(request, true);
+        let inputTokens = 0;
+        let outputTokens = 0;
+        let finishReason = 'stop';
+
+        for await (const { event, data } of readServerSentEvents(response.body)) {
+            const payload = JSON.parse(data);
+
+            switch (event) {
+                case 'message_start':
+                    inputTokens = payload.message?.usage?.input_tokens || 0;
+                    break;
+                case 'content_block_delta':
+                    if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+                        yield { type: 'delta', text: payload.delta.text };
+                    }
+                    break;
+                case 'message_delta':
+                    outputTokens = payload.usage?.output_tokens || outputTokens;
+                    if (payload.delta?.stop_reason === 'max_tokens') {
+                        finishReason = 'length';
+                    }
+                    break;
+                case 'error':
+                    logger.warn('Anthropic stream error', { error: describeUpstreamError(payload) });
+                    throw new ProviderError(payload.error?.message || 'Stream error', 502, this.name);
+            }
+        }
+
+        yield {
+            type: 'done',
+            finishReason,
+            usage: {
+                prompt_tokens: inputTokens,
+                completion_tokens: outputTokens,
+                total_tokens: inputTokens + outputTokens
+            }
+        };
+    }
+
+    /**
+     * POST to the Messages endpoint, throwing ProviderError on failure
+     */
+    async request({ system, messages, model, maxTokens, temperature }, stream) {
+        const { systemParts, turns } = toAnthropicMessages(messages);
+
+        const body = {
+            model: model || this.defaultModel,
+            max_tokens: maxTokens,
+            temperature: Math.min(temperature, 1), // Anthropic accepts 0-1
+            system: [system, ...systemParts].join('\n\n'),
+            messages: turns
+        };
+
+        if (stream) {
+            body.stream = true;
+        }
+
+        const response = await upstreamFetch(this.name, `${this.baseUrl}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': this.version
+            },
+            body: JSON.stringify(body),
+            // Generating a reply has no side effects, so a failed call can be repeated
+            idempotent: true,
+            stream
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            logger.warn('Anthropic API error', { error: describeUpstreamError(error) });
+            throw new ProviderError(error.error?.message || 'API error', response.status, this.name);
+        }
+
+        return response;
+    }
+}
+
+AnthropicProvider.toAnthropicMessages = toAnthropicMessages;
+
+module.exports = AnthropicProvider;
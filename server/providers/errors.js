@@ -0,0 +1,19 @@
+/**
+ * Provider Errors
+ */
+
+/**
+ * Error thrown when an upstream LLM API returns a non-2xx response
+ * code is 'RATE_LIMITED' for upstream 429s, otherwise 'PROVIDER_ERROR'
+ */
+class ProviderError extends Error {
+    constructor(message, status, provider) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.provider = provider;
+        this.code = status === 429 ? 'RATE_LIMITED' : 'PROVIDER_ERROR';
+    }
+}
+
+module.exports = { ProviderError };
@@ -0,0 +1,44 @@
+/**
+ * LLM Provider Registry
+ * Every provider implements:
+ *   - name, defaultModel
+ *   - isConfigured() -> boolean
+ *   - complete({ system, messages, model, maxTokens, temperature }) -> { text, usage, finishReason }
+ *   - stream(sameRequest) -> async iterable of { type: 'delta', text }, then { type: 'done', usage, finishReason }
+ * finishReason is 'length' when the reply was cut off by maxTokens, otherwise 'stop'.
+ */
+
+const config = require('../config');
+const { ProviderError } = require('./errors');
+const AnthropicProvider = require('./anthropic');
+const OpenAIProvider = require('./openai');
+const MockProvider = require('./mock');
+
+const PROVIDERS = {
+    anthropic: AnthropicProvider,
+    openai: OpenAIProvider,
+    mock: MockProvider
+};
+
+const instances = {};
+
+/**
+ * Get a provider instance by name (defaults to the configured provider)
+ */
+function getProvider(name = config.llm.provider) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    if (!instances[name]) {
+        instances[name] = new Provider(config.llm[name]);
+    }
+    return instances[name];
+}
+
+module.exports = {
+    getProvider,
+    ProviderError,
+    PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,112 @@
+/**
+ * Mock Provider
+ * Deterministic offline replies driven by a fixtures file, so the chat
+ * flow can be developed and tested without API keys or network access.
+ * A rule with "error": { status, message } fails like the real API would.
+ */
+
+const fs = require('fs');
+const { ProviderError } = require('./errors');
+const { estimateTokens } = require('../text');
+
+/**
+ * Stable string hash used to pick a default reply
+ */
+function hashString(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+}
+
+class MockProvider {
+    constructor(options) {
+        this.name = 'mock';
+        this.defaultModel = options.model;
+        this.fixturesPath = options.fixturesPath;
+        this.fixtures = null;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Load fixtures lazily so edits are picked up on restart only
+     */
+    loadFixtures() {
+        if (!this.fixtures) {
+            const fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+            this.fixtures = {
+                rules: (fixtures.rules || []).map(rule => ({
+                    pattern: new RegExp(rule.match, 'i'),
+                    reply: rule.reply,
+                    error: rule.error
+                })),
+                defaultReplies: fixtures.defaultReplies || ['No response generated.']
+            };
+        }
+        return this.fixtures;
+    }
+
+    /**
+     * Generate a reply from fixtures
+     * Replies longer than maxTokens are cut off like a real provider would
+     * @param {Object} request - { system, messages, model, maxTokens, temperature }
+     * @returns {Promise<{text: string, usage: Object, finishReason: string}>}
+     * @throws {ProviderError} When the matching rule is an error fixture
+     */
+    async complete({ system, messages, maxTokens }) {
+        const { rules, defaultReplies } = this.loadFixtures();
+
+        const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+        const userText = lastUser?.content || '';
+
+        const rule = rules.find(r => r.pattern.test(userText));
+        if (rule?.error) {
+            throw new ProviderError(rule.error.message || 'Mock provider error', rule.error.status || 500, this.name);
+        }
+
+        let text = rule
+            ? rule.reply
+            : defaultReplies[hashString(userText) % defaultReplies.length];
+        let finishReason = 'stop';
+
+        if (maxTokens && estimateTokens(text) > maxTokens) {
+            text = text.slice(0, maxTokens * 4);
+            finishReason = 'length';
+        }
+
+        const promptTokens = estimateTokens(system) +
+            messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+        const completionTokens = estimateTokens(text);
+
+        return {
+            text,
+            finishReason,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+
+    /**
+     * Stream a fixture reply word by word
+     * @param {Object} request - { system, messages, model, maxTokens, temperature }
+     * @yields {{type: 'delta', text: string}|{type: 'done', usage: Object, finishReason: string}}
+     */
+    async *stream(request) {
+        const { text, usage, finishReason } = await this.complete(request);
+
+        for (const word of text.match(/\S+\s*/g) || []) {
+            yield { type: 'delta', text: word };
+        }
+
+        yield { type: 'done', usage, finishReason };
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,117 @@
+/**
+ * OpenAI Chat Completions Provider
+ */
+
+const { ProviderError } = require('./errors');
+const { logger } = require('../logger');
+const { upstreamFetch, describeUpstreamError } = require('../upstream');
+const { readServerSentEvents } = require('./sse');
+
+class OpenAIProvider {
+    constructor(options) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey;
+        this.defaultModel = options.model;
+        this.baseUrl = options.baseUrl;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Generate a reply
+     * @param {Object} request - { system, messages, model, maxTokens, temperature }
+     * @returns {Promise<{text: string, usage: Object, finishReason: string}>}
+     */
+    async complete(request) {
+        const response = await this.request(request, false);
+        const data = await response.json();
+
+        return {
+            text: data.choices?.[0]?.message?.content || '',
+            finishReason: data.choices?.[0]?.finish_reason === 'length' ? 'length' : 'stop',
+            usage: {
+                prompt_tokens: data.usage?.prompt_tokens || 0,
+                completion_tokens: data.usage?.completion_tokens || 0,
+                total_tokens: data.usage?.total_tokens || 0
+            }
+        };
+    }
+
+    /**
+     * Stream a reply
+     * @param {Object} request - { system, messages, model, maxTokens, temperature }
+     * @yields {{type: 'delta', text: string}|{type: 'done', usage: Object, finishReason: string}}
+     */
+    async *stream(request) {
+        const response = await this.request(request, true);
+        let finishReason = 'stop';
+        let usage = null;
+
+        for await (const { data } of readServerSentEvents(response.body)) {
+            if (data === '[DONE]') break;
+
+            const chunk = JSON.parse(data);
+            const choice = chunk.choices?.[0];
+            if (choice?.delta?.content) {
+                yield { type: 'delta', text: choice.delta.content };
+            }
+            if (choice?.finish_reason) {
+                finishReason = choice.finish_reason === 'length' ? 'length' : 'stop';
+            }
+
+            // Sent in the final chunk when stream_options.include_usage is set
+            if (chunk.usage) {
+                usage = {
+                    prompt_tokens: chunk.usage.prompt_tokens || 0,
+                    completion_tokens: chunk.usage.completion_tokens || 0,
+                    total_tokens: chunk.usage.total_tokens || 0
+                };
+            }
+        }
+
+        yield { type: 'done', usage, finishReason };
+    }
+
+    /**
+     * POST to the Chat Completions endpoint, throwing ProviderError on failure
+     */
+    async request({ system, messages, model, maxTokens, temperature }, stream) {
+        const openaiMessages = [{ role: 'system', content: system }, ...messages];
+
+        const body = {
+            model: model || this.defaultModel,
+            max_tokens: maxTokens,
+            temperature: temperature,
+            messages: openaiMessages
+        };
+
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+
+        const response = await upstreamFetch(this.name, `${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify(body),
+            // Generating a reply has no side effects, so a failed call can be repeated
+            idempotent: true,
+            stream
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            logger.warn('OpenAI API error', { error: describeUpstreamError(error) });
+            throw new ProviderError(error.error?.message || 'API error', response.status, this.name);
+        }
+
+        return response;
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,50 @@
+/**
+ * Server-Sent Events parser for upstream streaming responses
+ */
+
+/**
+ * Parse one SSE block ("event: x\ndata: y") into { event, data }
+ */
+function parseEventBlock(block) {
+    let event = 'message';
+    const dataLines = [];
+
+    for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+    }
+
+    return { event, data: dataLines.join('\n') };
+}
+
+/**
+ * Read a fetch response body as a sequence of SSE events
+ * @param {ReadableStream} body - Response body from fetch
+ * @yields {{event: string, data: string}}
+ */
+async function* readServerSentEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            if (block.trim()) {
+                yield parseEventBlock(block);
+            }
+        }
+    }
+
+    if (buffer.trim()) {
+        yield parseEventBlock(buffer);
+    }
+}
+
+module.exports = { readServerSentEvents };
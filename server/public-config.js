@@ -0,0 +1,54 @@
+/**
+ * Public Runtime Config
+ * Settings the browser needs at startup, served by GET /api/config:
+ * which TTS providers and avatar mode the server can serve, whether
+ * sharing is on, the persona list and the per-session limits. Nothing secret goes in here.
+ *
+ * The frontend merges this into its config (see js/config.js), so one
+ * build works against any deployment.
+ */
+
+const config = require('./config');
+const { listPersonas } = require('./personas');
+const { getReadiness } = require('./health');
+
+/**
+ * Build the public config from current settings and provider health
+ */
+function getPublicConfig() {
+    const { features } = getReadiness();
+    const { rateLimits } = config;
+
+    // Browser speech needs nothing from the server and is always available
+    const ttsProviders = [...features.tts, 'browser'];
+
+    return {
+        chat: {
+            available: features.chat
+        },
+        tts: {
+            providers: ttsProviders,
+            default: ttsProviders[0]
+        },
+        avatar: {
+            enabled: config.avatar.enabled && features.avatar
+        },
+        share: {
+            enabled: config.shares.enabled,
+            maxTurns: config.shares.maxTurns
+        },
+        personas: {
+            available: listPersonas(),
+            default: config.personas.default
+        },
+        limits: {
+            windowSeconds: rateLimits.windowMs / 1000,
+            chatPerSession: rateLimits.chat.perSession,
+            ttsPerSession: rateLimits.tts.perSession,
+            avatarPerSession: rateLimits.avatar.perSession,
+            dailyBudget: config.budget.dailyUsd > 0
+        }
+    };
+}
+
+module.exports = { getPublicConfig };
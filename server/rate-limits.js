@@ -0,0 +1,59 @@
+/**
+ * Rate Limits
+ * Each route group gets two limiters: one per IP and a stricter one per
+ * session token (X-Session-Id, sent by the frontend). Requests without a
+ * valid token share their IP's session bucket.
+ */
+
+const rateLimit = require('express-rate-limit');
+const config = require('./config');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const MESSAGES = {
+    chat: 'Too many questions. Please wait a minute before asking another.',
+    tts: 'Too many speech requests. Please wait a minute.',
+    avatar: 'Too many avatar requests. Please wait a minute.',
+    general: 'Too many requests. Please wait a minute.'
+};
+
+/**
+ * Session token of a request, or null when missing or malformed
+ */
+function getSessionId(req) {
+    const id = req.get('X-Session-Id');
+    return id && SESSION_ID_PATTERN.test(id) ? id : null;
+}
+
+/**
+ * Rate limit key for the per-session limiter
+ */
+function sessionKey(req) {
+    const id = getSessionId(req);
+    return id ? `session:${id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Per-IP and per-session limiters for a route group
+ * @param {string} name - 'chat', 'tts', 'avatar' or 'general'
+ * @returns {Function[]} - Express middleware
+ */
+function createRouteLimiter(name) {
+    const limits = config.rateLimits[name];
+    const options = {
+        windowMs: config.rateLimits.windowMs,
+        message: { error: MESSAGES[name], code: 'RATE_LIMITED' },
+        standardHeaders: true,
+        legacyHeaders: false
+    };
+
+    return [
+        rateLimit({ ...options, max: limits.perIp }),
+        rateLimit({ ...options, max: limits.perSession, keyGenerator: sessionKey })
+    ];
+}
+
+module.exports = {
+    createRouteLimiter,
+    getSessionId
+};
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Secret Scanner
+ * Fails when key-shaped strings appear in files tracked by git.
+ *
+ * Usage: npm run scan-secrets (from server/), or node server/scripts/scan-secrets.js
+ * A line ending in "secret-scan: allow" is skipped.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const PATTERNS = [
+    { name: 'Anthropic API key', pattern: /sk-ant-[A-Za-z0-9_-]{20,}/g },
+    { name: 'OpenAI API key', pattern: /sk-(?!ant-)(?:proj-|svcacct-)?[A-Za-z0-9_-]{32,}/g },
+    { name: 'HeyGen API key', pattern: /sk_V2_hgu_[A-Za-z0-9_]{20,}/g },
+    { name: 'ElevenLabs API key', pattern: /sk_[a-f0-9]{40,}/g },
+    { name: 'Private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/g },
+    {
+        name: 'Hard-coded credential',
+        pattern: /(?:api[_-]?key|secret|token|password)["']?\s*[:=]\s*["']([A-Za-z0-9_\-.]{24,})["']/gi
+    }
+];
+
+const PLACEHOLDER_PATTERN = /x{6,}|your[_-]|_here|change[_-]?me|placeholder/i;
+const ALLOW_MARKER = 'secret-scan: allow';
+const MAX_FILE_BYTES = 1024 * 1024;
+
+/**
+ * Show only the start of a finding
+ */
+function mask(value) {
+    return value.slice(0, 8) + '…';
+}
+
+function scanFile(root, file) {
+    const fullPath = path.join(root, file);
+    const stat = fs.statSync(fullPath, { throwIfNoEntry: false });
+    if (!stat || !stat.isFile() || stat.size > MAX_FILE_BYTES) return [];
+
+    const content = fs.readFileSync(fullPath);
+    if (content.includes(0)) return []; // binary
+
+    const findings = [];
+    content.toString('utf8').split(/\r?\n/).forEach((line, index) => {
+        if (line.trimEnd().endsWith(ALLOW_MARKER)) return;
+
+        for (const { name, pattern } of PATTERNS) {
+            for (const match of line.matchAll(pattern)) {
+                const value = match[1] || match[0];
+                if (PLACEHOLDER_PATTERN.test(value)) continue;
+                findings.push({ file, line: index + 1, name, value: mask(value) });
+            }
+        }
+    });
+    return findings;
+}
+
+function main() {
+    const root = execFileSync('git', ['rev-parse', '--show-toplevel'], { encoding: 'utf8' }).trim();
+    const files = execFileSync('git', ['ls-files', '-z'], { cwd: root, encoding: 'utf8' })
+        .split('\0')
+        .filter(Boolean);
+
+    const findings = files.flatMap(file => scanFile(root, file));
+
+    if (!findings.length) {
+        console.log(`No secrets found in ${files.length} tracked files.`);
+        return;
+    }
+
+    for (const finding of findings) {
+        console.error(`${finding.file}:${finding.line}  ${finding.name}  ${finding.value}`);
+    }
+    console.error(`\n${findings.length} possible secret(s) found. Remove them, rotate the keys and see SECURITY.md.`);
+    process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,63 @@
+/**
+ * Secret Self-Check
+ * Compares the environment with env.example.txt at startup: a key that
+ * still holds the example's placeholder value (or any placeholder-shaped
+ * value) would only fail later, upstream, so the server refuses to start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXAMPLE_PATH = path.join(__dirname, 'env.example.txt');
+
+// Values that are obviously not real credentials
+const PLACEHOLDER_PATTERN = /x{6,}|^your[_-]|_here$|change[_-]?me|placeholder|^<.*>$/i;
+
+/**
+ * Variables with a placeholder value in env.example.txt (commented lines included)
+ * @returns {Object} - { [name]: exampleValue }
+ */
+function readPlaceholders(examplePath = EXAMPLE_PATH) {
+    const placeholders = {};
+    const lines = fs.readFileSync(examplePath, 'utf8').split(/\r?\n/);
+
+    for (const line of lines) {
+        const match = /^#?\s*([A-Z][A-Z0-9_]*)=(\S+)/.exec(line);
+        if (match && PLACEHOLDER_PATTERN.test(match[2])) {
+            placeholders[match[1]] = match[2];
+        }
+    }
+    return placeholders;
+}
+
+/**
+ * Names of set variables that still hold placeholder values
+ * @param {Object} env - Usually process.env
+ * @returns {string[]}
+ */
+function findPlaceholderSecrets(env = process.env, examplePath = EXAMPLE_PATH) {
+    return Object.entries(readPlaceholders(examplePath))
+        .filter(([name, example]) => {
+            const value = env[name];
+            return value && (value === example || PLACEHOLDER_PATTERN.test(value));
+        })
+        .map(([name]) => name);
+}
+
+/**
+ * Throw when any configured key is a placeholder
+ */
+function assertNoPlaceholderSecrets(env = process.env) {
+    const names = findPlaceholderSecrets(env);
+    if (names.length) {
+        throw new Error(
+            `Placeholder values found for ${names.join(', ')}. ` +
+            'Set real keys in server/.env or remove these lines (see env.example.txt).'
+        );
+    }
+}
+
+module.exports = {
+    findPlaceholderSecrets,
+    assertNoPlaceholderSecrets
+};
@@ -3,14 +3,48 @@
  * Handles secure API calls to Claude, ElevenLabs, and HeyGen
  */
 
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-require('dotenv').config();
+const config = require('./config');
+const { getProvider, ProviderError } = require('./providers');
+const { resolveLengthPolicy, buildLengthInstruction, applyLengthPolicy, measure } = require('./length-policy');
+const { getPersona, getPersonaModel, toPublicPersona, listPersonas } = require('./personas');
+const { moderateInput } = require('./moderation/input');
+const { moderateReply, OutputStreamGuard } = require('./moderation/output');
+const { ModerationError } = require('./moderation/errors');
+const { ResponseCache } = require('./cache');
+const { getPresetPrompt, presetKey, pickPresetReply, addPresetReply } = require('./cache/preset-replies');
+const { createRouteLimiter } = require('./rate-limits');
+const { budget, requireBudget } = require('./budget');
+const { recordLlmUsage, recordTtsUsage, getUsageReport } = require('./usage');
+const { requireAdmin } = require('./admin');
+const { estimateTokens } = require('./text');
+const { assertNoPlaceholderSecrets } = require('./secrets');
+const { warnAboutEphemeralStorage } = require('./storage-check');
+const { logger, requestLogging } = require('./logger');
+const { upstreamFetch, describeUpstreamError, UpstreamError } = require('./upstream');
+const { getReadiness } = require('./health');
+const { getPublicConfig } = require('./public-config');
+const {
+    isConversationId, createConversation, loadConversation, restoreConversation, saveConversation,
+    sealConversation, deleteConversation, appendTurn, toPublicConversation
+} = require('./conversations');
+const { fitContext, buildContextMessages, buildSummaryInstruction } = require('./conversations/context');
+const { createShare, loadShare, deleteShare } = require('./shares');
+const { renderSharePage, renderMissingPage } = require('./shares/page');
+
+// Refuse to start while any key still holds a placeholder from env.example.txt
+assertNoPlaceholderSecrets();
+
+// Say so when conversations won't survive a restart or reach every instance
+warnAboutEphemeralStorage();
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+app.set('trust proxy', config.trustProxy);
 
 // Security middleware
 app.use(helmet({
@@ -47,114 +81,548 @@ app.use(cors({
             return callback(null, true);
         }
 
-        callback(new Error('Not allowed by CORS'));
+        callback(Object.assign(new Error('Not allowed by CORS'), { status: 403, expose: true }));
     },
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Request-Id', 'X-Cache']
 }));
 app.use(express.json({ limit: '10kb' }));
 
-// Rate limiting - Strict limits to prevent credit abuse
-const limiter = rateLimit({
-    windowMs: 1 * 60 * 1000, // 1 minute
-    max: 3, // Only 3 requests per minute to prevent credit abuse
-    message: { error: 'Too many requests. Please wait a minute before asking another question.' },
-    standardHeaders: true,
-    legacyHeaders: false
-});
-app.use('/api/', limiter);
+// The frontend, from an explicit list so server/ (and .env) is never served
+if (config.frontend.serve) {
+    const frontendRoot = path.join(__dirname, '..');
+
+    app.get('/', (req, res) => res.sendFile(path.join(frontendRoot, 'index.html')));
+    for (const dir of ['css', 'js', 'Images', 'video animation']) {
+        app.use(`/${dir}`, express.static(path.join(frontendRoot, dir)));
+    }
+}
+
+// Request IDs and structured request logs for every API call
+app.use('/api', requestLogging());
 
-// Maximum response word limit
-const MAX_RESPONSE_WORDS = 15;
+// Rate limiting - separate limits per route group, per IP and per session (health is exempt)
+app.use(['/api/chat', '/api/conversation'], createRouteLimiter('chat'));
+app.use('/api/tts', createRouteLimiter('tts'));
+app.use('/api/heygen', createRouteLimiter('avatar'));
+app.use(['/api/config', '/api/personas', '/api/conversations', '/api/share', '/api/admin', '/s'], createRouteLimiter('general'));
+
+// Paid upstream routes pause once the daily spend budget is used up
+app.use(['/api/chat', '/api/conversation', '/api/tts', '/api/heygen'], requireBudget);
 
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Readiness - per-provider status; 503 when the active LLM provider can't answer
+app.get('/api/health/ready', (req, res) => {
+    const report = getReadiness();
+    res.status(report.status === 'not_ready' ? 503 : 200).json(report);
+});
+
+// Public runtime settings the frontend builds its config from
+app.get('/api/config', (req, res) => {
+    res.json(getPublicConfig());
+});
+
+// Generation settings only personas may set
+const CLIENT_OVERRIDE_FIELDS = ['system', 'model', 'temperature'];
+
+/**
+ * Validate a chat request body and look up its persona
+ * Clients send only their new message; earlier turns are held on the
+ * server under conversationId, so client-supplied history is refused.
+ * The only history accepted is the signed conversationState from the last
+ * reply, used when this instance does not hold the conversation.
+ * Returns { persona, message, conversationId, conversationState } or { error } with a message for a 400 response
+ */
+function parseChatRequest(body) {
+    const { message, conversationId, conversationState, persona: personaId } = body;
+
+    const overrides = CLIENT_OVERRIDE_FIELDS.filter(field => body[field] != null);
+    if (overrides.length) {
+        return { error: `Client-supplied ${overrides.join(', ')} is not allowed. Choose a persona instead.` };
+    }
+
+    if (body.messages != null) {
+        return { error: 'Message history is kept on the server. Send only the new message and its conversationId.' };
+    }
+
+    if (typeof message !== 'string' || !message.trim()) {
+        return { error: 'Message text is required' };
+    }
+
+    if (conversationId != null && !isConversationId(conversationId)) {
+        return { error: 'Invalid conversationId' };
+    }
+
+    if (conversationState != null && typeof conversationState !== 'string') {
+        return { error: 'Invalid conversationState' };
+    }
+
+    const persona = getPersona(personaId);
+    if (!persona) {
+        return { error: `Unknown persona: ${personaId}` };
+    }
+
+    return { persona, message, conversationId, conversationState };
+}
+
+/**
+ * The stored (or client-sealed) conversation for a request, or a new one
+ * when the ID is missing, expired or belongs to another persona
+ */
+async function openConversation({ persona, conversationId, conversationState }) {
+    const conversation = conversationId && await restoreConversation(conversationId, conversationState);
+    return conversation && conversation.persona === persona.id
+        ? conversation
+        : createConversation(persona.id);
+}
+
+/**
+ * Build the provider request and length policy for a persona
+ */
+function buildChatRequest(provider, { persona, messages, maxTokens, summary }) {
+    const policy = resolveLengthPolicy(persona, { maxTokens });
+
+    return {
+        policy,
+        request: {
+            system: persona.systemPrompt + buildLengthInstruction(policy) + buildSummaryInstruction(summary),
+            messages,
+            model: getPersonaModel(persona, provider),
+            maxTokens: policy.maxTokens,
+            temperature: persona.temperature ?? config.llm.temperature
+        }
+    };
+}
+
+/**
+ * Summarise a length policy result for API responses
+ */
+function describeLength(result) {
+    const { text, ...length } = result;
+    return length;
+}
+
+/**
+ * Run input moderation on the new message of a chat request
+ * (earlier turns were checked when they were sent)
+ * Throws ModerationError with a MODERATION_INPUT_* code when it is blocked.
+ */
+async function checkChatInput({ persona, message }, route) {
+    const verdict = await moderateInput([{ role: 'user', content: message }], { route, persona });
+    if (verdict.blocked) {
+        throw new ModerationError('Message blocked by input moderation', verdict.code);
+    }
+}
+
+/**
+ * Build the provider request for a chat request from its conversation,
+ * summarising older turns when the context is over budget. Preset
+ * questions are answered from the prompt alone so their replies can be pooled.
+ * @returns {{provider, policy, request, presetKey: Array|null, conversation}}
+ */
+async function prepareChatRequest(body) {
+    const provider = getProvider();
+    const incoming = { role: 'user', content: body.message };
+    const prompt = getPresetPrompt(body, [incoming]);
+
+    const stored = await openConversation(body);
+    const conversation = prompt ? stored : await fitContext(stored, incoming, { provider, persona: body.persona });
+
+    const { policy, request } = buildChatRequest(provider, {
+        ...body,
+        messages: prompt ? [{ role: 'user', content: prompt }] : buildContextMessages(conversation, incoming),
+        summary: prompt ? '' : conversation.summary
+    });
+
+    return {
+        provider,
+        policy,
+        request,
+        presetKey: prompt ? presetKey({ persona: body.persona, request, policy, prompt }) : null,
+        conversation
+    };
+}
+
+/**
+ * Store the exchange in its conversation
+ * @returns {Promise<{conversationId: string, conversationState: string}>} - The
+ *   conversation ID and sealed copy to return to the client
+ */
+async function recordTurn(conversation, message, replyText) {
+    const updated = appendTurn(conversation, message, replyText);
+    await saveConversation(updated);
+    return { conversationId: updated.id, conversationState: sealConversation(updated) };
+}
+
+/**
+ * Rough usage for a request whose provider never reported it
+ */
+function estimateUsage(request, text) {
+    const prompt = request.system + request.messages.map(msg => msg.content).join('\n');
+    return {
+        prompt_tokens: estimateTokens(prompt),
+        completion_tokens: estimateTokens(text),
+        total_tokens: estimateTokens(prompt) + estimateTokens(text)
+    };
+}
+
+/**
+ * Reply for a pooled preset answer (no LLM call, zero usage)
+ */
+function cachedChatReply(text, policy) {
+    return {
+        text,
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        length: describeLength(applyLengthPolicy(text, policy)),
+        moderation: null,
+        cached: true
+    };
+}
+
+/**
+ * Generate a chat reply with the configured LLM provider, applying input
+ * moderation first, then output moderation and the length policy.
+ * The exchange is saved to the conversation once the reply is ready.
+ * Returns { text, usage, length, moderation, cached, conversationId, conversationState } with usage in the same shape for every provider.
+ * Throws ModerationError when moderation blocks the request or the reply.
+ */
+async function generateChatReply(body, route) {
+    await checkChatInput(body, route);
+
+    const { provider, policy, request, presetKey: poolKey, conversation } = await prepareChatRequest(body);
+
+    if (poolKey) {
+        const pooled = await pickPresetReply(poolKey);
+        if (pooled) {
+            recordLlmUsage(provider.name, request.model, null, { cached: true });
+            return {
+                ...cachedChatReply(pooled, policy),
+                ...await recordTurn(conversation, body.message, pooled)
+            };
+        }
+    }
+
+    const reply = await provider.complete(request);
+    recordLlmUsage(provider.name, request.model, reply.usage);
+
+    const moderated = moderateReply(reply.text, { route, persona: body.persona });
+    if (moderated.blocked) {
+        throw new ModerationError('Reply blocked by output moderation', 'MODERATION_OUTPUT_BLOCKED');
+    }
+
+    const result = applyLengthPolicy(moderated.text, policy, { finishReason: reply.finishReason });
+
+    // Only untouched replies join the preset pool
+    if (poolKey && result.text && !moderated.moderation) {
+        await addPresetReply(poolKey, result.text);
+    }
+
+    const text = result.text || 'No response generated.';
+
+    return {
+        text,
+        usage: reply.usage,
+        length: describeLength(result),
+        moderation: moderated.moderation,
+        cached: false,
+        ...await recordTurn(conversation, body.message, text)
+    };
+}
+
 /**
- * Helper function to truncate response to max words
+ * Send a chat error: provider and moderation errors keep their status and code
  */
-function truncateToMaxWords(text, maxWords) {
-    const words = text.split(/\s+/);
-    if (words.length <= maxWords) {
-        return text;
+function sendChatError(res, error, label) {
+    if (error instanceof ProviderError || error instanceof ModerationError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
     }
-    return words.slice(0, maxWords).join(' ') + '...';
+    sendRouteError(res, error, label);
 }
 
 /**
- * Chat endpoint - OpenAI API
+ * Send the error response for a route
+ * Upstream timeouts (504) and open breakers (503 + Retry-After) keep their code
+ */
+function sendRouteError(res, error, label) {
+    if (res.headersSent) {
+        logger.error(`${label} error`, { error });
+        return res.end();
+    }
+
+    if (error instanceof UpstreamError) {
+        if (error.retryAt) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000))));
+        }
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    logger.error(`${label} error`, { error });
+    res.status(500).json({ error: 'Internal server error' });
+}
+
+/**
+ * Write one Server-Sent Event
+ */
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Chat endpoint - configured LLM provider (see LLM_PROVIDER)
+ * Body: { persona, message, conversationId?, conversationState?, maxTokens?, preset? }
+ * Omit conversationId to start a conversation; the response carries the ID and
+ * its sealed conversationState for later turns.
  */
 app.post('/api/chat', async (req, res) => {
     try {
-        const { messages, system, model, maxTokens, temperature } = req.body;
+        const { persona, message, conversationId, conversationState, error } = parseChatRequest(req.body);
 
-        if (!messages || !Array.isArray(messages)) {
-            return res.status(400).json({ error: 'Messages array is required' });
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        // Prepare messages with system prompt for OpenAI format
-        // Add word limit instruction to system prompt
-        const openaiMessages = [];
-        const wordLimitInstruction = `\n\nIMPORTANT: You MUST keep ALL responses to ${MAX_RESPONSE_WORDS} words or less. Be extremely concise and brief. No exceptions.`;
+        const reply = await generateChatReply({
+            persona,
+            message,
+            conversationId,
+            conversationState,
+            maxTokens: req.body.maxTokens,
+            preset: req.body.preset
+        }, '/api/chat');
 
-        if (system) {
-            openaiMessages.push({ role: 'system', content: system + wordLimitInstruction });
-        } else {
-            openaiMessages.push({ role: 'system', content: `You are a helpful assistant.${wordLimitInstruction}` });
-        }
-        openaiMessages.push(...messages);
+        res.json({
+            response: reply.text,
+            conversationId: reply.conversationId,
+            conversationState: reply.conversationState,
+            usage: reply.usage,
+            length: reply.length,
+            moderation: reply.moderation,
+            cached: reply.cached
+        });
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: model || 'gpt-4o-mini',
-                max_tokens: 50, // Limit tokens to enforce short responses
-                temperature: temperature || 0.8,
-                messages: openaiMessages
-            })
+    } catch (error) {
+        sendChatError(res, error, 'Chat endpoint');
+    }
+});
+
+/**
+ * Streaming chat endpoint - relays token deltas as Server-Sent Events
+ * Body as for /api/chat
+ * Events: "delta" { text }, "done" { response, conversationId, conversationState, usage, length, moderation, cached }, "error" { error, code }
+ * Input moderation runs before the stream opens, so blocked messages get a 422 JSON error.
+ * Text is moderated sentence by sentence before it is forwarded, and deltas
+ * stop once the length limit is passed. Because the final trim happens at a
+ * sentence boundary, "done.response" may be shorter than the streamed text;
+ * clients should display "done.response" as the final reply.
+ */
+app.post('/api/chat/stream', async (req, res) => {
+    const { persona, message, conversationId, conversationState, error } = parseChatRequest(req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    let clientClosed = false;
+    res.on('close', () => {
+        clientClosed = true;
+    });
+
+    const guard = new OutputStreamGuard({ route: '/api/chat/stream', persona });
+    let sentText = '';
+    let usage = null;
+    let finishReason = 'stop';
+    let overLimit = false;
+
+    const startStream = () => {
+        if (res.headersSent) return;
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
         });
+        res.flushHeaders();
+    };
 
-        if (!response.ok) {
-            const error = await response.json();
-            console.error('OpenAI API Error:', error);
-            return res.status(response.status).json({ error: error.error?.message || 'API error' });
+    // Forward moderated text while it stays inside the length limit
+    const forward = (text, policy) => {
+        if (!text || overLimit) return;
+
+        if (measure(sentText + text, policy.unit) > policy.limit) {
+            overLimit = true;
+            return;
         }
 
-        const data = await response.json();
-        let responseText = data.choices[0]?.message?.content || 'No response generated.';
+        sentText += text;
+        writeEvent(res, 'delta', { text });
+    };
 
-        // Enforce word limit on response (backup truncation)
-        responseText = truncateToMaxWords(responseText, MAX_RESPONSE_WORDS);
+    try {
+        const body = { persona, message, conversationId, conversationState, maxTokens: req.body.maxTokens, preset: req.body.preset };
+        await checkChatInput(body, '/api/chat/stream');
+
+        const { provider, policy, request, presetKey: poolKey, conversation } = await prepareChatRequest(body);
+
+        const pooled = poolKey && await pickPresetReply(poolKey);
+        if (pooled) {
+            recordLlmUsage(provider.name, request.model, null, { cached: true });
+            const reply = cachedChatReply(pooled, policy);
+            startStream();
+            writeEvent(res, 'delta', { text: reply.text });
+            writeEvent(res, 'done', {
+                response: reply.text,
+                ...await recordTurn(conversation, message, reply.text),
+                usage: reply.usage,
+                length: reply.length,
+                moderation: null,
+                cached: true
+            });
+            return res.end();
+        }
 
-        res.json({
+        let generated = '';
+        for await (const chunk of provider.stream(request)) {
+            if (clientClosed || guard.blocked) break;
+
+            if (chunk.type === 'done') {
+                usage = chunk.usage;
+                finishReason = chunk.finishReason;
+                continue;
+            }
+
+            generated += chunk.text;
+            startStream();
+            forward(guard.push(chunk.text), policy);
+        }
+
+        // Streams cut short never report usage, so estimate it for the budget
+        recordLlmUsage(provider.name, request.model, usage || estimateUsage(request, generated));
+
+        if (clientClosed) return;
+
+        const { text: rest, result: moderated } = guard.finish();
+
+        if (moderated.blocked) {
+            throw new ModerationError('Reply blocked by output moderation', 'MODERATION_OUTPUT_BLOCKED');
+        }
+
+        startStream();
+        forward(rest, policy);
+
+        const result = applyLengthPolicy(moderated.text, policy, {
+            finishReason: overLimit ? 'length' : finishReason
+        });
+        const responseText = result.text || 'No response generated.';
+
+        if (poolKey && result.text && !moderated.moderation) {
+            await addPresetReply(poolKey, result.text);
+        }
+
+        // Send whatever the deltas have not covered yet (trailing "..." or replacement text)
+        if (responseText.startsWith(sentText) && responseText.length > sentText.length) {
+            writeEvent(res, 'delta', { text: responseText.slice(sentText.length) });
+        }
+
+        writeEvent(res, 'done', {
             response: responseText,
-            usage: data.usage
+            ...await recordTurn(conversation, message, responseText),
+            usage,
+            length: describeLength(result),
+            moderation: moderated.moderation,
+            cached: false
         });
+        res.end();
 
     } catch (error) {
-        console.error('Chat endpoint error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        if (!res.headersSent) {
+            return sendChatError(res, error, 'Chat stream endpoint');
+        }
+
+        if (!(error instanceof ModerationError)) {
+            logger.error('Chat stream endpoint error', { error });
+        }
+        const known = error instanceof ProviderError || error instanceof ModerationError || error instanceof UpstreamError;
+        writeEvent(res, 'error', known
+            ? { error: error.message, code: error.code }
+            : { error: 'Stream interrupted', code: 'PROVIDER_ERROR' });
+        res.end();
     }
 });
 
+const ttsCache = new ResponseCache('tts', config.cache.tts);
+
+const DEFAULT_TTS_MODEL = 'eleven_monolingual_v1';
+const DEFAULT_VOICE_SETTINGS = {
+    stability: 0.5,
+    similarity_boost: 0.75
+};
+
+/**
+ * Resolve the ElevenLabs voice for a request from its persona
+ * (voice IDs are never taken from the browser)
+ */
+function resolveVoiceId({ persona: personaId }) {
+    const persona = getPersona(personaId);
+    return persona?.voiceId || process.env.ELEVENLABS_VOICE_ID || 'ErXwobaYiN019PkySvjV';
+}
+
+/**
+ * Resolve the HeyGen avatar for a request from its persona
+ */
+function resolveAvatarId({ persona: personaId }) {
+    const persona = getPersona(personaId);
+    return persona?.avatarId || process.env.HEYGEN_AVATAR_ID;
+}
+
+/**
+ * List available personas
+ */
+app.get('/api/personas', (req, res) => {
+    res.json({ personas: listPersonas(), default: config.personas.default });
+});
+
+/**
+ * Get a persona's public settings (welcome and fallback lines, limits)
+ */
+app.get('/api/personas/:id', (req, res) => {
+    const persona = getPersona(req.params.id);
+
+    if (!persona) {
+        return res.status(404).json({ error: 'Persona not found' });
+    }
+
+    res.json(toPublicPersona(persona));
+});
+
 /**
  * ElevenLabs TTS endpoint
  */
 app.post('/api/tts/elevenlabs', async (req, res) => {
     try {
-        const { text, voiceId, modelId, voiceSettings } = req.body;
+        const { text } = req.body;
+        const voiceId = resolveVoiceId(req.body);
+        const modelId = req.body.modelId || DEFAULT_TTS_MODEL;
+        const voiceSettings = req.body.voiceSettings || DEFAULT_VOICE_SETTINGS;
 
         if (!text) {
             return res.status(400).json({ error: 'Text is required' });
         }
 
-        const response = await fetch(
-            `https://api.elevenlabs.io/v1/text-to-speech/${voiceId || process.env.ELEVENLABS_VOICE_ID || 'ErXwobaYiN019PkySvjV'}`,
+        const cacheKey = ['audio', text, voiceId, modelId, voiceSettings];
+        const cached = await ttsCache.get(cacheKey);
+        if (cached) {
+            recordTtsUsage('elevenlabs', modelId, text.length, { cached: true });
+            res.set({ 'Content-Type': 'audio/mpeg', 'X-Cache': 'HIT' });
+            return res.send(cached);
+        }
+
+        const response = await upstreamFetch(
+            'elevenlabs',
+            `${config.elevenlabs.baseUrl}/text-to-speech/${voiceId}`,
             {
                 method: 'POST',
                 headers: {
@@ -163,38 +631,42 @@ app.post('/api/tts/elevenlabs', async (req, res) => {
                 },
                 body: JSON.stringify({
                     text: text,
-                    model_id: modelId || 'eleven_monolingual_v1',
-                    voice_settings: voiceSettings || {
-                        stability: 0.5,
-                        similarity_boost: 0.75
-                    }
-                })
+                    model_id: modelId,
+                    voice_settings: voiceSettings
+                }),
+                idempotent: true,
+                stream: true
             }
         );
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            console.error('ElevenLabs API Error:', error);
+            logger.warn('ElevenLabs API error', { error: describeUpstreamError(error) });
             return res.status(response.status).json({ error: error.detail || 'TTS API error' });
         }
 
-        // Stream the audio response
+        // Stream the audio response, keeping a copy for the cache
         res.set({
             'Content-Type': 'audio/mpeg',
-            'Transfer-Encoding': 'chunked'
+            'Transfer-Encoding': 'chunked',
+            'X-Cache': 'MISS'
         });
 
+        const chunks = [];
         const reader = response.body.getReader();
         while (true) {
             const { done, value } = await reader.read();
             if (done) break;
             res.write(value);
+            chunks.push(value);
         }
         res.end();
 
+        recordTtsUsage('elevenlabs', modelId, text.length);
+        await ttsCache.set(cacheKey, Buffer.concat(chunks));
+
     } catch (error) {
-        console.error('ElevenLabs endpoint error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendRouteError(res, error, 'ElevenLabs endpoint');
     }
 });
 
@@ -204,14 +676,26 @@ app.post('/api/tts/elevenlabs', async (req, res) => {
  */
 app.post('/api/tts/elevenlabs-with-timestamps', async (req, res) => {
     try {
-        const { text, voiceId, modelId } = req.body;
+        const { text } = req.body;
+        const voiceId = resolveVoiceId(req.body);
+        const modelId = req.body.modelId || DEFAULT_TTS_MODEL;
+        const voiceSettings = req.body.voiceSettings || DEFAULT_VOICE_SETTINGS;
 
         if (!text) {
             return res.status(400).json({ error: 'Text is required' });
         }
 
-        const response = await fetch(
-            `https://api.elevenlabs.io/v1/text-to-speech/${voiceId || process.env.ELEVENLABS_VOICE_ID || 'ErXwobaYiN019PkySvjV'}/with-timestamps`,
+        const cacheKey = ['timestamps', text, voiceId, modelId, voiceSettings];
+        const cached = await ttsCache.getJSON(cacheKey);
+        if (cached) {
+            recordTtsUsage('elevenlabs', modelId, text.length, { cached: true });
+            res.set('X-Cache', 'HIT');
+            return res.json(cached);
+        }
+
+        const response = await upstreamFetch(
+            'elevenlabs',
+            `${config.elevenlabs.baseUrl}/text-to-speech/${voiceId}/with-timestamps`,
             {
                 method: 'POST',
                 headers: {
@@ -220,31 +704,33 @@ app.post('/api/tts/elevenlabs-with-timestamps', async (req, res) => {
                 },
                 body: JSON.stringify({
                     text: text,
-                    model_id: modelId || 'eleven_monolingual_v1',
-                    voice_settings: {
-                        stability: 0.5,
-                        similarity_boost: 0.75
-                    }
-                })
+                    model_id: modelId,
+                    voice_settings: voiceSettings
+                }),
+                idempotent: true
             }
         );
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            console.error('ElevenLabs Timestamps API Error:', error);
+            logger.warn('ElevenLabs timestamps API error', { error: describeUpstreamError(error) });
             return res.status(response.status).json({ error: error.detail || 'TTS API error' });
         }
 
         const data = await response.json();
-
-        res.json({
+        const result = {
             audio_base64: data.audio_base64,
             alignment: data.alignment // Contains character timestamps for lip-sync
-        });
+        };
+
+        res.set('X-Cache', 'MISS');
+        res.json(result);
+
+        recordTtsUsage('elevenlabs', modelId, text.length);
+        await ttsCache.setJSON(cacheKey, result);
 
     } catch (error) {
-        console.error('ElevenLabs timestamps endpoint error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendRouteError(res, error, 'ElevenLabs timestamps endpoint');
     }
 });
 
@@ -254,19 +740,19 @@ app.post('/api/tts/elevenlabs-with-timestamps', async (req, res) => {
  */
 app.post('/api/heygen/create-session', async (req, res) => {
     try {
-        const { avatarId, quality } = req.body;
+        const { quality } = req.body;
 
-        const response = await fetch('https://api.heygen.com/v1/streaming.new', {
+        const response = await upstreamFetch('heygen', `${config.heygen.baseUrl}/streaming.new`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'X-Api-Key': process.env.HEYGEN_API_KEY
             },
             body: JSON.stringify({
-                avatar_id: avatarId || process.env.HEYGEN_AVATAR_ID,
+                avatar_id: resolveAvatarId(req.body),
                 quality: quality || 'medium',
                 voice: {
-                    voice_id: process.env.ELEVENLABS_VOICE_ID,
+                    voice_id: resolveVoiceId(req.body),
                     provider: 'elevenlabs',
                     api_key: process.env.ELEVENLABS_API_KEY // Pass ElevenLabs key to HeyGen
                 }
@@ -275,7 +761,7 @@ app.post('/api/heygen/create-session', async (req, res) => {
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            console.error('HeyGen Create Session Error:', error);
+            logger.warn('HeyGen create session API error', { error: describeUpstreamError(error) });
             return res.status(response.status).json({ error: error.message || 'HeyGen API error' });
         }
 
@@ -288,8 +774,7 @@ app.post('/api/heygen/create-session', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('HeyGen create session error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendRouteError(res, error, 'HeyGen create session');
     }
 });
 
@@ -304,7 +789,7 @@ app.post('/api/heygen/speak', async (req, res) => {
             return res.status(400).json({ error: 'Session ID and text are required' });
         }
 
-        const response = await fetch('https://api.heygen.com/v1/streaming.task', {
+        const response = await upstreamFetch('heygen', `${config.heygen.baseUrl}/streaming.task`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -319,7 +804,7 @@ app.post('/api/heygen/speak', async (req, res) => {
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            console.error('HeyGen Speak Error:', error);
+            logger.warn('HeyGen speak API error', { error: describeUpstreamError(error) });
             return res.status(response.status).json({ error: error.message || 'HeyGen API error' });
         }
 
@@ -330,8 +815,7 @@ app.post('/api/heygen/speak', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('HeyGen speak error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendRouteError(res, error, 'HeyGen speak');
     }
 });
 
@@ -346,7 +830,7 @@ app.post('/api/heygen/close-session', async (req, res) => {
             return res.status(400).json({ error: 'Session ID is required' });
         }
 
-        const response = await fetch('https://api.heygen.com/v1/streaming.stop', {
+        const response = await upstreamFetch('heygen', `${config.heygen.baseUrl}/streaming.stop`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -359,15 +843,14 @@ app.post('/api/heygen/close-session', async (req, res) => {
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            console.error('HeyGen Close Session Error:', error);
+            logger.warn('HeyGen close session API error', { error: describeUpstreamError(error) });
             return res.status(response.status).json({ error: error.message || 'HeyGen API error' });
         }
 
         res.json({ success: true });
 
     } catch (error) {
-        console.error('HeyGen close session error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendRouteError(res, error, 'HeyGen close session');
     }
 });
 
@@ -376,7 +859,7 @@ app.post('/api/heygen/close-session', async (req, res) => {
  */
 app.get('/api/heygen/avatars', async (req, res) => {
     try {
-        const response = await fetch('https://api.heygen.com/v1/streaming.list', {
+        const response = await upstreamFetch('heygen', `${config.heygen.baseUrl}/streaming.list`, {
             method: 'GET',
             headers: {
                 'X-Api-Key': process.env.HEYGEN_API_KEY
@@ -385,7 +868,7 @@ app.get('/api/heygen/avatars', async (req, res) => {
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            console.error('HeyGen Avatars Error:', error);
+            logger.warn('HeyGen avatars API error', { error: describeUpstreamError(error) });
             return res.status(response.status).json({ error: error.message || 'HeyGen API error' });
         }
 
@@ -396,8 +879,7 @@ app.get('/api/heygen/avatars', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('HeyGen avatars error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendRouteError(res, error, 'HeyGen avatars');
     }
 });
 
@@ -407,55 +889,28 @@ app.get('/api/heygen/avatars', async (req, res) => {
  */
 app.post('/api/conversation', async (req, res) => {
     try {
-        const { messages, system, sessionId, useAvatar } = req.body;
+        const { sessionId, useAvatar } = req.body;
+        const { persona, message, conversationId, conversationState, error } = parseChatRequest(req.body);
 
-        if (!messages || !Array.isArray(messages)) {
-            return res.status(400).json({ error: 'Messages array is required' });
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        // Prepare messages with system prompt for OpenAI format
-        // Add word limit instruction to system prompt
-        const wordLimitInstruction = `\n\nIMPORTANT: You MUST keep ALL responses to ${MAX_RESPONSE_WORDS} words or less. Be extremely concise and brief. No exceptions.`;
-
-        const openaiMessages = [];
-        if (system) {
-            openaiMessages.push({ role: 'system', content: system + wordLimitInstruction });
-        } else {
-            openaiMessages.push({ role: 'system', content: `You are a helpful assistant.${wordLimitInstruction}` });
-        }
-        openaiMessages.push(...messages);
-
-        // Step 1: Get AI response from OpenAI
-        const chatResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                max_tokens: 50, // Limit tokens to enforce short responses
-                temperature: 0.8,
-                messages: openaiMessages
-            })
-        });
-
-        if (!chatResponse.ok) {
-            const error = await chatResponse.json();
-            console.error('OpenAI API Error:', error);
-            return res.status(chatResponse.status).json({ error: error.error?.message || 'Chat API error' });
-        }
-
-        const chatData = await chatResponse.json();
-        let responseText = chatData.choices[0]?.message?.content || 'No response generated.';
-
-        // Enforce word limit on response (backup truncation)
-        responseText = truncateToMaxWords(responseText, MAX_RESPONSE_WORDS);
+        // Step 1: Get AI response from the configured LLM provider (moderation and length policy applied)
+        const reply = await generateChatReply({
+            persona,
+            message,
+            conversationId,
+            conversationState,
+            maxTokens: req.body.maxTokens,
+            preset: req.body.preset
+        }, '/api/conversation');
+        const responseText = reply.text;
 
         // Step 2: If using HeyGen avatar, send text to avatar
         if (useAvatar && sessionId) {
             try {
-                const speakResponse = await fetch('https://api.heygen.com/v1/streaming.task', {
+                const speakResponse = await upstreamFetch('heygen', `${config.heygen.baseUrl}/streaming.task`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
@@ -472,11 +927,16 @@ app.post('/api/conversation', async (req, res) => {
 
                 return res.json({
                     response: responseText,
+                    conversationId: reply.conversationId,
+                    conversationState: reply.conversationState,
+                    usage: reply.usage,
+                    length: reply.length,
+                    moderation: reply.moderation,
                     taskId: speakData.data?.task_id,
                     useAvatar: true
                 });
             } catch (avatarError) {
-                console.error('Avatar speak error:', avatarError);
+                logger.error('Avatar speak error', { error: avatarError });
                 // Continue without avatar
             }
         }
@@ -484,33 +944,174 @@ app.post('/api/conversation', async (req, res) => {
         // Return response (TTS will be handled client-side)
         res.json({
             response: responseText,
+            conversationId: reply.conversationId,
+            conversationState: reply.conversationState,
+            usage: reply.usage,
+            length: reply.length,
+            moderation: reply.moderation,
             useAvatar: false
         });
 
     } catch (error) {
-        console.error('Conversation endpoint error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendChatError(res, error, 'Conversation endpoint');
     }
 });
 
+/**
+ * Conversation history held for a conversation ID
+ */
+app.get('/api/conversations/:id', async (req, res) => {
+    try {
+        const conversation = await loadConversation(req.params.id);
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        res.json(toPublicConversation(conversation));
+    } catch (error) {
+        sendRouteError(res, error, 'Conversation history');
+    }
+});
+
+/**
+ * Forget a conversation (the client's "clear history")
+ */
+app.delete('/api/conversations/:id', async (req, res) => {
+    try {
+        await deleteConversation(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendRouteError(res, error, 'Conversation delete');
+    }
+});
+
+/**
+ * Origin for share links: PUBLIC_URL, or the one the request came in on
+ */
+function shareBaseUrl(req) {
+    return config.shares.publicUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Share the last exchanges of a conversation at /s/:id
+ * Body: { conversationId, turns? } (turns defaults to 1, up to SHARE_MAX_TURNS)
+ * Returns 201 { id, url, expiresAt }; a blocked excerpt gets a 422 MODERATION_* code
+ */
+app.post('/api/share', async (req, res) => {
+    if (!config.shares.enabled) {
+        return res.status(404).json({ error: 'Sharing is disabled' });
+    }
+
+    try {
+        const turns = req.body.turns ?? 1;
+        if (!Number.isInteger(turns) || turns < 1 || turns > config.shares.maxTurns) {
+            return res.status(400).json({ error: `turns must be between 1 and ${config.shares.maxTurns}` });
+        }
+
+        const conversation = await loadConversation(req.body.conversationId);
+        const persona = conversation && getPersona(conversation.persona);
+        if (!persona) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const share = await createShare(conversation, { turns, persona, route: '/api/share' });
+        if (!share) {
+            return res.status(400).json({ error: 'The conversation has no reply to share yet' });
+        }
+
+        res.status(201).json({
+            id: share.id,
+            url: `${shareBaseUrl(req)}/s/${share.id}`,
+            expiresAt: share.expiresAt
+        });
+    } catch (error) {
+        sendChatError(res, error, 'Share endpoint');
+    }
+});
+
+/**
+ * Read-only share page with Open Graph tags
+ */
+app.get('/s/:id', async (req, res) => {
+    const baseUrl = shareBaseUrl(req);
+
+    try {
+        const share = config.shares.enabled && await loadShare(req.params.id);
+        const persona = share && getPersona(share.persona);
+
+        if (!persona) {
+            return res.status(404).type('html').send(renderMissingPage(baseUrl));
+        }
+
+        // Short, so takedowns reach shared caches quickly
+        res.set('Cache-Control', 'public, max-age=300');
+        res.type('html').send(renderSharePage(share, persona, baseUrl));
+    } catch (error) {
+        logger.error('Share page error', { error });
+        res.status(500).type('html').send(renderMissingPage(baseUrl));
+    }
+});
+
+/**
+ * Admin - Take down a share before it expires
+ */
+app.delete('/api/admin/shares/:id', requireAdmin, async (req, res) => {
+    try {
+        if (!await deleteShare(req.params.id)) {
+            return res.status(404).json({ error: 'Share not found' });
+        }
+
+        logger.info('Share taken down', { shareId: req.params.id });
+        res.status(204).end();
+    } catch (error) {
+        sendRouteError(res, error, 'Share takedown');
+    }
+});
+
+/**
+ * Admin - Usage and estimated cost per provider and model
+ * Query: days (default 7, max 90) and hours (default 24, max 168) of breakdown
+ */
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+    const clamp = (value, fallback, max) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+
+    res.json({
+        ...getUsageReport({
+            days: clamp(req.query.days, 7, 90),
+            hours: clamp(req.query.hours, 24, 168)
+        }),
+        budget: budget.status()
+    });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
+    // Client errors safe to show (malformed JSON, oversized body, CORS)
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ error: err.message });
+    }
+
+    logger.error('Unhandled error', { error: err });
     res.status(500).json({ error: 'Something went wrong!' });
 });
 
-// Start server only in development (not on Vercel)
-if (!process.env.VERCEL) {
+// Start server only in development (not on Vercel, or when required by tests)
+if (!process.env.VERCEL && require.main === module) {
     app.listen(PORT, () => {
         console.log(`
 🔍 ═══════════════════════════════════════════════ 🔍
    
    CLASSIFIED INVESTIGATION SERVER
    
-   Server running on: http://localhost:${PORT}
+   Server running on: http://localhost:${PORT}${config.frontend.serve ? ' (frontend at /)' : ''}
    
    Endpoints:
-   - POST /api/chat              - OpenAI conversation
+   - POST /api/chat              - AI conversation (${config.llm.provider})
+   - POST /api/chat/stream       - AI conversation streamed over SSE
+   - GET  /api/config            - Public runtime settings
+   - GET  /api/personas          - List personas
+   - GET  /api/personas/:id      - Persona public settings
    - POST /api/tts/elevenlabs    - ElevenLabs TTS
    - POST /api/tts/elevenlabs-with-timestamps - TTS with lip-sync data
    - POST /api/heygen/create-session - Create avatar session
@@ -518,7 +1119,14 @@ if (!process.env.VERCEL) {
    - POST /api/heygen/close-session - Close avatar session
    - GET  /api/heygen/avatars    - List available avatars
    - POST /api/conversation      - Full conversation flow
+   - GET  /api/conversations/:id - Conversation history
+   - DELETE /api/conversations/:id - Forget a conversation
+   - POST /api/share             - Share the latest exchanges
+   - GET  /s/:id                 - Shared excerpt page
+   - GET  /api/admin/usage       - Usage and cost report (ADMIN_TOKEN)
+   - DELETE /api/admin/shares/:id - Take down a share (ADMIN_TOKEN)
    - GET  /api/health            - Health check
+   - GET  /api/health/ready      - Per-provider readiness
    
 🔍 ═══════════════════════════════════════════════ 🔍
         `);
@@ -0,0 +1,124 @@
+/**
+ * Shared Excerpts
+ * The last few exchanges of a server-held conversation, saved under a
+ * short random ID for the read-only /s/:id page. Excerpts are taken from
+ * the server's copy of the conversation, so nobody can share words the
+ * persona never said, and they go through input and output moderation
+ * again before they are published. Shares expire after SHARE_TTL_DAYS.
+ *
+ * Record shape:
+ *   { id, persona, messages: [{ role, content }], createdAt, expiresAt }
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { ResponseCache } = require('../cache');
+const { moderateInput } = require('../moderation/input');
+const { moderateReply } = require('../moderation/output');
+const { ModerationError } = require('../moderation/errors');
+
+const store = new ResponseCache('shares', config.shares);
+
+// 12 URL-safe characters from 9 random bytes
+const ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+function isShareId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Cut text to the share length limit at a word boundary
+ */
+function clip(text) {
+    const max = config.shares.maxMessageChars;
+    if (text.length <= max) return text;
+
+    const cut = text.slice(0, max);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > max / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * The last `turns` exchanges of a conversation
+ */
+function takeExcerpt(conversation, turns) {
+    let start = conversation.messages.length;
+    let found = 0;
+
+    while (start > 0 && found < turns) {
+        start--;
+        if (conversation.messages[start].role === 'user') found++;
+    }
+
+    return conversation.messages.slice(start).map(({ role, content }) => ({ role, content: clip(content) }));
+}
+
+/**
+ * Moderate an excerpt for publishing
+ * Throws ModerationError when any message is blocked; rewritten replies keep their rewrite.
+ */
+async function moderateExcerpt(messages, context) {
+    const verdict = await moderateInput(messages, context);
+    if (verdict.blocked) {
+        throw new ModerationError('Excerpt blocked by input moderation', verdict.code);
+    }
+
+    return messages.map(msg => {
+        if (msg.role !== 'assistant') return msg;
+
+        const moderated = moderateReply(msg.content, context);
+        if (moderated.blocked) {
+            throw new ModerationError('Excerpt blocked by output moderation', 'MODERATION_OUTPUT_BLOCKED');
+        }
+        return { role: msg.role, content: moderated.text };
+    });
+}
+
+/**
+ * Publish the last exchanges of a conversation
+ * @param {Object} conversation - Stored conversation (see conversations/)
+ * @param {Object} options - { turns, persona, route }
+ * @returns {Promise<Object|null>} - The share, or null when the conversation has nothing to share
+ */
+async function createShare(conversation, { turns, persona, route }) {
+    const excerpt = takeExcerpt(conversation, turns);
+    if (!excerpt.some(msg => msg.role === 'assistant')) return null;
+
+    const now = Date.now();
+    const share = {
+        id: crypto.randomBytes(9).toString('base64url'),
+        persona: conversation.persona,
+        messages: await moderateExcerpt(excerpt, { route, persona }),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + config.shares.ttlMs).toISOString()
+    };
+
+    await store.setJSON([share.id], share);
+    return share;
+}
+
+/**
+ * @returns {Promise<Object|null>} - The share, or null when unknown, expired or taken down
+ */
+async function loadShare(id) {
+    if (!isShareId(id)) return null;
+    return store.getJSON([id]);
+}
+
+/**
+ * Take a share down (admin)
+ * @returns {Promise<boolean>} - Whether the share existed
+ */
+async function deleteShare(id) {
+    if (!await loadShare(id)) return false;
+
+    await store.delete([id]);
+    return true;
+}
+
+module.exports = {
+    isShareId,
+    createShare,
+    loadShare,
+    deleteShare
+};
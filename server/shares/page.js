@@ -0,0 +1,135 @@
+/**
+ * Share Page
+ * Server-rendered, read-only page for /s/:id with the persona's name,
+ * icon, portrait and accent colour, plus Open Graph and Twitter card tags
+ * so links unfurl with the exchange. The page has no scripts.
+ */
+
+const DEFAULT_ACCENT = '#DC143C';
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Absolute URL for a path relative to the site root
+ */
+function absoluteUrl(baseUrl, path) {
+    return `${baseUrl}/${path.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Text for og:description: the first reply, shortened
+ */
+function describe(share) {
+    const reply = share.messages.find(msg => msg.role === 'assistant')?.content || '';
+    return reply.length > 200 ? `${reply.slice(0, 199).trimEnd()}…` : reply;
+}
+
+function layout({ title, head = '', accent, body }) {
+    accent = /^#[0-9a-f]{3,8}$/i.test(accent || '') ? accent : DEFAULT_ACCENT;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+${head}    <style>
+        body { margin: 0; min-height: 100vh; background: #111; color: #eee; font-family: 'Courier New', monospace; }
+        main { max-width: 640px; margin: 0 auto; padding: 32px 16px; }
+        header { display: flex; align-items: center; gap: 16px; border-bottom: 2px solid ${accent}; padding-bottom: 16px; }
+        header img { width: 72px; height: 72px; object-fit: cover; border-radius: 50%; border: 2px solid ${accent}; }
+        h1 { margin: 0; font-size: 1.3rem; letter-spacing: 0.08em; text-transform: uppercase; }
+        .message { margin: 20px 0; padding: 12px 16px; border-left: 4px solid #555; background: #1b1b1b; }
+        .message.assistant { border-left-color: ${accent}; }
+        .speaker { font-size: 0.8rem; color: #999; margin-bottom: 6px; }
+        .content { white-space: pre-wrap; line-height: 1.5; }
+        footer { margin-top: 32px; font-size: 0.8rem; color: #888; }
+        a { color: ${accent}; }
+    </style>
+</head>
+<body>
+    <main>
+${body}
+    </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a share
+ * @param {Object} share - See shares/index.js
+ * @param {Object} persona - The share's persona (server definition)
+ * @param {string} baseUrl - Origin for absolute links, without a trailing slash
+ */
+function renderSharePage(share, persona, baseUrl) {
+    const ui = persona.ui || {};
+    const name = ui.label || persona.name;
+    const title = `${name} — an interrogation excerpt`;
+    const url = `${baseUrl}/s/${share.id}`;
+    const image = ui.image ? absoluteUrl(baseUrl, ui.image) : null;
+    const description = describe(share);
+
+    const meta = [
+        ['og:type', 'article'],
+        ['og:title', title],
+        ['og:description', description],
+        ['og:url', url],
+        ['og:image', image],
+        ['twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['twitter:title', title],
+        ['twitter:description', description]
+    ]
+        .filter(([, content]) => content)
+        .map(([property, content]) => {
+            const attribute = property.startsWith('og:') ? 'property' : 'name';
+            return `    <meta ${attribute}="${property}" content="${escapeHtml(content)}">\n`;
+        })
+        .join('');
+
+    const messages = share.messages.map(msg => `
+        <div class="message ${msg.role}">
+            <div class="speaker">${msg.role === 'user' ? 'Detective' : `${escapeHtml(ui.icon || '')} ${escapeHtml(name)}`}</div>
+            <div class="content">${escapeHtml(msg.content)}</div>
+        </div>`).join('');
+
+    return layout({
+        title,
+        accent: ui.accent,
+        head: `    <link rel="canonical" href="${escapeHtml(url)}">\n    <meta name="description" content="${escapeHtml(description)}">\n${meta}`,
+        body: `        <header>
+            ${image ? `<img src="${escapeHtml(image)}" alt="">` : ''}
+            <h1>${escapeHtml(name)}</h1>
+        </header>
+${messages}
+        <footer>
+            Shared ${escapeHtml(share.createdAt.slice(0, 10))} · link expires ${escapeHtml(share.expiresAt.slice(0, 10))} ·
+            <a href="${escapeHtml(`${baseUrl}/?persona=${encodeURIComponent(persona.id)}`)}">Ask ${escapeHtml(name)} yourself</a>
+        </footer>`
+    });
+}
+
+/**
+ * Page for unknown, expired or removed shares
+ */
+function renderMissingPage(baseUrl) {
+    return layout({
+        title: 'Share not found',
+        body: `        <h1>This share is no longer available</h1>
+        <p>It may have expired or been removed.</p>
+        <footer><a href="${escapeHtml(baseUrl)}/">Start your own interrogation</a></footer>`
+    });
+}
+
+module.exports = {
+    renderSharePage,
+    renderMissingPage
+};
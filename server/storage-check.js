@@ -0,0 +1,61 @@
+/**
+ * Storage Self-Check
+ * Server-held conversations and shares live in the CACHE_STORE. With the
+ * memory store, or on Vercel (memory per instance, read-only filesystem),
+ * they vanish on a restart, a cold start or whenever another instance
+ * answers. Conversations come back from the client's sealed copy only when
+ * every instance shares CONVERSATION_SECRET; share links just break.
+ * Usage counters kept in memory have the same limits, so the daily budget
+ * only sees one instance's spend. The server still starts, but says so
+ * loudly in the logs.
+ */
+
+const config = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Problems with where state is kept, one message each
+ * @param {Object} settings - Usually the server config
+ * @returns {string[]}
+ */
+function findStorageWarnings(settings = config) {
+    const warnings = [];
+
+    if (!settings.cache.durable && !settings.conversations.stateSecret) {
+        warnings.push(
+            'Server-held conversations are not durable: the cache store is per process ' +
+            'and CONVERSATION_SECRET is unset, so conversations reset on restart, cold start ' +
+            'or when another instance answers. Set CONVERSATION_SECRET so any instance can ' +
+            'restore them from the browser\'s sealed copy, or run a single long-lived server ' +
+            'with CACHE_STORE=filesystem.'
+        );
+    }
+    if (settings.shares.enabled && !settings.cache.durable) {
+        warnings.push(
+            'Shares are enabled without a durable store: share links break on restart, ' +
+            'cold start or when another instance answers. SHARES=on only suits a single ' +
+            'long-lived server; use CACHE_STORE=filesystem or set SHARES=off.'
+        );
+    }
+    if (!settings.usage.path && settings.budget.dailyUsd > 0) {
+        warnings.push(
+            'Usage is kept in memory: DAILY_BUDGET_USD counts only this instance\'s spend ' +
+            'and starts again from zero on restart or cold start.'
+        );
+    }
+    return warnings;
+}
+
+/**
+ * Log each storage problem as an error
+ */
+function warnAboutEphemeralStorage(settings = config) {
+    for (const message of findStorageWarnings(settings)) {
+        logger.error(message, { cacheStore: settings.cache.store });
+    }
+}
+
+module.exports = {
+    findStorageWarnings,
+    warnAboutEphemeralStorage
+};
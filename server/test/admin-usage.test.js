@@ -0,0 +1,85 @@
+/**
+ * GET /api/admin/usage: admin token checks and the usage report
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+
+const ADMIN = { Authorization: 'Bearer test-admin-token' };
+
+let api;
+
+before(async () => {
+    api = await startTestServer({ ADMIN_TOKEN: 'test-admin-token' });
+});
+
+after(() => api.close());
+
+test('answers 404 while ADMIN_TOKEN is unset', async (t) => {
+    // Config is read once per process, so switch the token off in place
+    const config = require('../config');
+    config.admin.token = null;
+    t.after(() => {
+        config.admin.token = 'test-admin-token';
+    });
+
+    const res = await api.get('/api/admin/usage', ADMIN);
+
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'Admin API is disabled');
+});
+
+test('answers 401 without the right token', async () => {
+    for (const headers of [{}, { Authorization: 'Bearer wrong-token' }, { Authorization: 'test-admin-token' }]) {
+        const res = await api.get('/api/admin/usage', headers);
+
+        assert.equal(res.status, 401);
+        assert.equal((await res.json()).error, 'Admin token required');
+    }
+});
+
+test('reports usage per provider and model with daily and hourly breakdowns', async () => {
+    await api.post('/api/chat', { message: 'Where were you?' });
+    await api.post('/api/tts/elevenlabs', { text: 'Hello there.' });
+    await api.post('/api/tts/elevenlabs', { text: 'Hello there.' });
+
+    const res = await api.get('/api/admin/usage', ADMIN);
+    const report = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(report.currency, 'USD');
+    assert.ok(!Number.isNaN(Date.parse(report.generatedAt)));
+
+    assert.equal(report.totals.requests, 3);
+    assert.equal(report.totals.cachedRequests, 1);
+    assert.ok(report.totals.costUsd > 0);
+
+    const { openai, elevenlabs } = report.byProvider;
+    const [model] = Object.keys(openai.models);
+    assert.deepEqual(
+        [openai.requests, openai.promptTokens, openai.completionTokens],
+        [1, 50, 10]
+    );
+    assert.equal(openai.models[model].promptTokens, 50);
+    assert.equal(elevenlabs.characters, 'Hello there.'.length);
+    assert.equal(elevenlabs.cachedRequests, 1);
+
+    const requests = buckets => buckets.reduce((sum, bucket) => sum + bucket.totals.requests, 0);
+    assert.equal(report.daily.length, 7);
+    assert.equal(requests(report.daily), 3);
+    assert.equal(report.hourly.length, 24);
+    assert.equal(requests(report.hourly), 3);
+    assert.match(report.hourly[0].hour, /^\d{4}-\d{2}-\d{2}T\d{2}:00:00\.000Z$/);
+
+    assert.deepEqual(Object.keys(report.budget).sort(), ['dailyUsd', 'day', 'exhausted', 'resetsAt', 'spentUsd']);
+    assert.equal(report.budget.spentUsd, report.totals.costUsd);
+});
+
+test('clamps the breakdown lengths', async () => {
+    const short = await (await api.get('/api/admin/usage?days=2&hours=3', ADMIN)).json();
+    const long = await (await api.get('/api/admin/usage?days=1000&hours=1000', ADMIN)).json();
+
+    assert.deepEqual([short.daily.length, short.hourly.length], [2, 3]);
+    assert.deepEqual([long.daily.length, long.hourly.length], [90, 168]);
+});
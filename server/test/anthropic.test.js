@@ -0,0 +1,158 @@
+/**
+ * Anthropic adapter: message mapping and the streamed event mapping
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AnthropicProvider = require('../providers/anthropic');
+const { ProviderError } = require('../providers/errors');
+
+const { toAnthropicMessages } = AnthropicProvider;
+
+const REQUEST = { system: 'You are Jeff.', messages: [{ role: 'user', content: 'Hi' }], maxTokens: 100, temperature: 1.2 };
+
+const createProvider = () => new AnthropicProvider({
+    apiKey: 'test-anthropic-key',
+    model: 'claude-test',
+    baseUrl: 'https://anthropic.invalid/v1',
+    version: '2023-06-01'
+});
+
+/**
+ * Answer fetch with a Messages API event stream
+ */
+function respondWithEvents(events) {
+    const body = events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+    return mock.method(globalThis, 'fetch', async () => new Response(body, {
+        status: 200,
+        headers: { 'Content-Type': 'text/event-stream' }
+    }));
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('moves system messages out of the turns', () => {
+    const { systemParts, turns } = toAnthropicMessages([
+        { role: 'system', content: 'Stay in character.' },
+        { role: 'user', content: 'Who are you?' },
+        { role: 'system', content: 'Keep it short.' }
+    ]);
+
+    assert.deepEqual(systemParts, ['Stay in character.', 'Keep it short.']);
+    assert.deepEqual(turns, [{ role: 'user', content: 'Who are you?' }]);
+});
+
+test('merges consecutive turns of one role and starts with a user turn', () => {
+    const { turns } = toAnthropicMessages([
+        { role: 'assistant', content: 'Welcome, detective.' },
+        { role: 'user', content: 'Where were you?' },
+        { role: 'user', content: 'Answer me.' },
+        { role: 'assistant', content: 'No comment.' },
+        { role: 'tool', content: 'Treated as the user.' },
+        null,
+        { role: 'user', content: 42 }
+    ]);
+
+    assert.deepEqual(turns, [
+        { role: 'user', content: 'Where were you?\n\nAnswer me.' },
+        { role: 'assistant', content: 'No comment.' },
+        { role: 'user', content: 'Treated as the user.' }
+    ]);
+});
+
+test('sends the system prompt as a top-level field', async () => {
+    const fetch = respondWithEvents([]);
+
+    await collect(createProvider().stream({
+        ...REQUEST,
+        messages: [{ role: 'system', content: 'Keep it short.' }, ...REQUEST.messages]
+    }));
+
+    const [url, options] = fetch.mock.calls[0].arguments;
+    const body = JSON.parse(options.body);
+    assert.equal(url, 'https://anthropic.invalid/v1/messages');
+    assert.equal(options.headers['x-api-key'], 'test-anthropic-key');
+    assert.equal(body.system, 'You are Jeff.\n\nKeep it short.');
+    assert.deepEqual(body.messages, [{ role: 'user', content: 'Hi' }]);
+    assert.equal(body.model, 'claude-test');
+    assert.equal(body.temperature, 1);
+    assert.equal(body.stream, true);
+});
+
+test('maps text deltas and usage from the event stream', async () => {
+    respondWithEvents([
+        ['message_start', { message: { usage: { input_tokens: 25, output_tokens: 1 } } }],
+        ['content_block_start', { index: 0, content_block: { type: 'text', text: '' } }],
+        ['ping', {}],
+        ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'No ' } }],
+        ['content_block_delta', { index: 0, delta: { type: 'input_json_delta', partial_json: '{}' } }],
+        ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'comment.' } }],
+        ['content_block_stop', { index: 0 }],
+        ['message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } }],
+        ['message_stop', {}]
+    ]);
+
+    assert.deepEqual(await collect(createProvider().stream(REQUEST)), [
+        { type: 'delta', text: 'No ' },
+        { type: 'delta', text: 'comment.' },
+        { type: 'done', finishReason: 'stop', usage: { prompt_tokens: 25, completion_tokens: 4, total_tokens: 29 } }
+    ]);
+});
+
+test('reports a max_tokens stop as a length finish', async () => {
+    respondWithEvents([
+        ['message_start', { message: { usage: { input_tokens: 25 } } }],
+        ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'No' } }],
+        ['message_delta', { delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 1 } }]
+    ]);
+
+    const chunks = await collect(createProvider().stream(REQUEST));
+
+    assert.equal(chunks.at(-1).finishReason, 'length');
+});
+
+test('throws a ProviderError on an error event mid-stream', async () => {
+    respondWithEvents([
+        ['message_start', { message: { usage: { input_tokens: 25 } } }],
+        ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'No ' } }],
+        ['error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]
+    ]);
+
+    const chunks = [];
+    await assert.rejects(async () => {
+        for await (const chunk of createProvider().stream(REQUEST)) chunks.push(chunk);
+    }, error => error instanceof ProviderError && error.status === 502 && error.message === 'Overloaded');
+    assert.deepEqual(chunks, [{ type: 'delta', text: 'No ' }]);
+});
+
+test('maps a complete reply and its usage', async () => {
+    mock.method(globalThis, 'fetch', async () => Response.json({
+        content: [{ type: 'text', text: 'No ' }, { type: 'tool_use', id: 'x' }, { type: 'text', text: 'comment.' }],
+        stop_reason: 'max_tokens',
+        usage: { input_tokens: 25, output_tokens: 4 }
+    }));
+
+    assert.deepEqual(await createProvider().complete(REQUEST), {
+        text: 'No comment.',
+        finishReason: 'length',
+        usage: { prompt_tokens: 25, completion_tokens: 4, total_tokens: 29 }
+    });
+});
+
+test('throws a ProviderError with the API message on an error response', async () => {
+    mock.method(globalThis, 'fetch', async () => Response.json(
+        { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } },
+        { status: 401 }
+    ));
+
+    await assert.rejects(createProvider().complete(REQUEST), error =>
+        error instanceof ProviderError && error.status === 401 && error.message === 'invalid x-api-key');
+});
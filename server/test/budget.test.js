@@ -0,0 +1,40 @@
+/**
+ * Daily spend budget: paid routes answer 503 BUDGET_EXCEEDED once it is used up
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+
+let api;
+
+before(async () => {
+    // Each stub chat reply uses 60 tokens, so it costs $0.06 at these prices
+    api = await startTestServer({
+        DAILY_BUDGET_USD: '0.1',
+        LLM_INPUT_COST_PER_MTOK: '1000',
+        LLM_OUTPUT_COST_PER_MTOK: '1000'
+    });
+});
+
+after(() => api.close());
+
+test('pauses paid routes once DAILY_BUDGET_USD is reached', async () => {
+    assert.equal((await api.post('/api/chat', { message: 'Where were you?' })).status, 200);
+    assert.equal((await api.post('/api/chat', { message: 'And after that?' })).status, 200);
+
+    for (const [path, body] of [['/api/chat', { message: 'Still there?' }], ['/api/tts/elevenlabs', { text: 'Hello' }]]) {
+        const res = await api.post(path, body);
+
+        assert.equal(res.status, 503);
+        assert.equal((await res.json()).code, 'BUDGET_EXCEEDED');
+        assert.ok(Number(res.headers.get('retry-after')) > 0);
+    }
+    assert.equal(api.stub.calls('chat').length, 2);
+    assert.equal(api.stub.calls('tts').length, 0);
+});
+
+test('keeps free routes open after the budget is used up', async () => {
+    assert.equal((await api.get('/api/config')).status, 200);
+    assert.equal((await api.get('/api/health')).status, 200);
+});
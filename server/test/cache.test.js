@@ -0,0 +1,73 @@
+/**
+ * ResponseCache: JSON entries and failures treated as misses
+ */
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CACHE_STORE = 'memory';
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../cache');
+const FileStore = require('../cache/file-store');
+const { logger } = require('../logger');
+
+const createCache = () => new ResponseCache('test', { enabled: true, ttlMs: 60000, maxEntries: 10, maxBytes: 1024 * 1024 });
+
+test('round-trips JSON entries', async () => {
+    const cache = createCache();
+
+    await cache.setJSON(['key'], { reply: 'No comment.' });
+
+    assert.deepEqual(await cache.getJSON(['key']), { reply: 'No comment.' });
+    assert.equal(await cache.getJSON(['missing']), null);
+});
+
+test('treats a corrupt JSON entry as a miss and logs it', async () => {
+    const cache = createCache();
+    const logged = mock.method(logger, 'error', () => {});
+
+    await cache.set(['key'], Buffer.from('{"reply": "No comm'));
+
+    assert.equal(await cache.getJSON(['key']), null);
+    assert.equal(logged.mock.calls[0].arguments[0], 'Cache read error');
+    assert.equal(logged.mock.calls[0].arguments[1].cache, 'test');
+    logged.mock.restore();
+});
+
+test('the file store evicts the least recently used files without rescanning the directory', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-store-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    const store = new FileStore({ dir, maxEntries: 2, maxBytes: 1024 });
+    await store.set('a', Buffer.from('first'), Infinity);
+    await store.set('b', Buffer.from('second'), Infinity);
+
+    const readdir = mock.method(fs, 'readdir');
+    await store.get('a');
+    await store.set('c', Buffer.from('third'), Infinity);
+
+    assert.equal(readdir.mock.callCount(), 0);
+    readdir.mock.restore();
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['a.bin', 'a.meta', 'c.bin', 'c.meta']);
+    assert.equal(store.bytes, 'first'.length + 'third'.length);
+});
+
+test('the file store counts files left by an earlier run', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-store-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    const earlier = new FileStore({ dir, maxEntries: 10, maxBytes: 1024 });
+    await earlier.set('a', Buffer.from('first'), Infinity);
+    await earlier.set('b', Buffer.from('second'), Infinity);
+    await fs.utimes(path.join(dir, 'a.bin'), new Date(0), new Date(0));
+
+    const store = new FileStore({ dir, maxEntries: 10, maxBytes: 12 });
+    await store.set('c', Buffer.from('third'), Infinity);
+
+    assert.equal(await store.get('a'), null);
+    assert.equal((await store.get('b')).value.toString(), 'second');
+    assert.equal(store.bytes, 'second'.length + 'third'.length);
+});
@@ -0,0 +1,74 @@
+/**
+ * Public runtime config and the frontend served alongside the API
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+
+let api;
+
+before(async () => {
+    api = await startTestServer({ AVATAR_ENABLED: 'on', DEFAULT_PERSONA: 'jeff' });
+});
+
+after(() => api.close());
+
+test('GET /api/config returns the public settings', async () => {
+    const res = await api.get('/api/config');
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.chat, { available: true });
+    assert.deepEqual(body.tts, { providers: ['elevenlabs', 'browser'], default: 'elevenlabs' });
+    assert.deepEqual(body.avatar, { enabled: true });
+    assert.deepEqual(body.share, { enabled: false, maxTurns: 3 });
+    assert.equal(body.personas.default, 'jeff');
+    assert.deepEqual(body.personas.available, [{ id: 'jeff', name: 'Jeff' }]);
+    assert.deepEqual(body.limits, {
+        windowSeconds: 60,
+        chatPerSession: 1000,
+        ttsPerSession: 1000,
+        avatarPerSession: 1000,
+        dailyBudget: false
+    });
+});
+
+test('GET /api/config never exposes keys or prompts', async () => {
+    const text = await (await api.get('/api/config')).text();
+
+    assert.doesNotMatch(text, /test-(openai|elevenlabs|heygen)-key/);
+    assert.doesNotMatch(text, /systemPrompt|voiceId|avatarId/);
+});
+
+test('drops ElevenLabs and the avatar while ElevenLabs is unconfigured', async () => {
+    const key = process.env.ELEVENLABS_API_KEY;
+    delete process.env.ELEVENLABS_API_KEY;
+
+    try {
+        const body = await (await api.get('/api/config')).json();
+
+        assert.deepEqual(body.tts, { providers: ['browser'], default: 'browser' });
+        assert.deepEqual(body.avatar, { enabled: false });
+    } finally {
+        process.env.ELEVENLABS_API_KEY = key;
+    }
+});
+
+test('serves the frontend on the same origin as the API', async () => {
+    const page = await api.get('/');
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /<script type="module" src="js\/main.js">/);
+
+    const script = await api.get('/js/config.js');
+    assert.equal(script.status, 200);
+    assert.match(script.headers.get('content-type'), /javascript/);
+    assert.match(await script.text(), /BASE_URL: '\/api'/);
+});
+
+test('does not serve the server directory', async () => {
+    for (const path of ['/server/config.js', '/server/.env', '/package.json', '/README.md']) {
+        const res = await api.get(path);
+        assert.equal(res.status, 404, path);
+    }
+});
@@ -0,0 +1,106 @@
+/**
+ * Health and readiness routes, CORS and request IDs
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+
+let api;
+
+before(async () => {
+    api = await startTestServer();
+});
+
+after(() => api.close());
+
+test('GET /api/health answers ok', async () => {
+    const res = await api.get('/api/health');
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.status, 'ok');
+    assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+});
+
+test('GET /api/health/ready reports every provider', async () => {
+    const res = await api.get('/api/health/ready');
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.status, 'ready');
+    assert.equal(body.llmProvider, 'openai');
+    assert.deepEqual(body.features, { chat: true, tts: ['elevenlabs'], avatar: true });
+
+    assert.equal(body.providers.openai.active, true);
+    assert.equal(body.providers.openai.configured, true);
+    assert.equal(body.providers.anthropic.active, false);
+    assert.equal(body.providers.elevenlabs.role, 'tts');
+    assert.equal(body.providers.heygen.role, 'avatar');
+    assert.equal(body.providers.heygen.breaker.state, 'closed');
+});
+
+test('readiness records the last call and its latency', async () => {
+    await api.post('/api/chat', { message: 'Hi' });
+
+    const { providers } = await (await api.get('/api/health/ready')).json();
+
+    assert.equal(providers.openai.lastSuccess.status, 200);
+    assert.equal(typeof providers.openai.avgLatencyMs, 'number');
+    assert.equal(providers.openai.lastFailure, null);
+});
+
+test('readiness never exposes API keys', async () => {
+    const text = await (await api.get('/api/health/ready')).text();
+
+    assert.doesNotMatch(text, /test-(openai|elevenlabs|heygen)-key/);
+});
+
+test('allows listed origins', async () => {
+    const res = await api.get('/api/health', { Origin: 'http://localhost:8080' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('access-control-allow-origin'), 'http://localhost:8080');
+    assert.equal(res.headers.get('access-control-allow-credentials'), 'true');
+});
+
+test('allows Vercel deployments', async () => {
+    const res = await api.get('/api/health', { Origin: 'https://talking-jeff-abc123.vercel.app' });
+
+    assert.equal(res.headers.get('access-control-allow-origin'), 'https://talking-jeff-abc123.vercel.app');
+});
+
+test('answers preflight requests', async () => {
+    const res = await fetch(`${api.baseUrl}/api/chat`, {
+        method: 'OPTIONS',
+        headers: {
+            Origin: 'http://127.0.0.1:5500',
+            'Access-Control-Request-Method': 'POST',
+            'Access-Control-Request-Headers': 'Content-Type, X-Session-Id'
+        }
+    });
+
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get('access-control-allow-origin'), 'http://127.0.0.1:5500');
+    assert.match(res.headers.get('access-control-allow-headers'), /X-Session-Id/i);
+});
+
+test('rejects other origins', async () => {
+    const res = await api.get('/api/health', { Origin: 'https://evil.example' });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.headers.get('access-control-allow-origin'), null);
+});
+
+test('exposes the request ID header to browsers', async () => {
+    const res = await api.get('/api/health', { Origin: 'http://localhost:8080' });
+
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    assert.match(res.headers.get('access-control-expose-headers'), /X-Request-Id/);
+});
+
+test('keeps a caller-supplied request ID', async () => {
+    const res = await api.get('/api/health', { 'X-Request-Id': 'trace-1234' });
+
+    assert.equal(res.headers.get('x-request-id'), 'trace-1234');
+});
@@ -0,0 +1,146 @@
+/**
+ * Stub Upstream
+ * Local HTTP server standing in for the OpenAI, ElevenLabs and HeyGen APIs.
+ * Each route answers with a canned success until a test overrides it with
+ * respond(); every request is recorded for assertions.
+ */
+
+const http = require('http');
+
+const ROUTES = [
+    ['chat', 'POST', /^\/openai\/chat\/completions$/],
+    ['tts', 'POST', /^\/elevenlabs\/text-to-speech\/[^/]+$/],
+    ['ttsTimestamps', 'POST', /^\/elevenlabs\/text-to-speech\/[^/]+\/with-timestamps$/],
+    ['heygenNew', 'POST', /^\/heygen\/streaming\.new$/],
+    ['heygenTask', 'POST', /^\/heygen\/streaming\.task$/],
+    ['heygenStop', 'POST', /^\/heygen\/streaming\.stop$/],
+    ['heygenList', 'GET', /^\/heygen\/streaming\.list$/]
+];
+
+const AUDIO = Buffer.from('ID3-stub-audio');
+
+/**
+ * Send a JSON response
+ */
+function json(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * OpenAI Chat Completions reply, streamed word by word when asked
+ */
+function chatReply(text, { finishReason = 'stop' } = {}) {
+    return (req, res, body) => {
+        const usage = { prompt_tokens: 50, completion_tokens: 10, total_tokens: 60 };
+
+        if (!body.stream) {
+            return json(res, 200, {
+                choices: [{ message: { role: 'assistant', content: text }, finish_reason: finishReason }],
+                usage
+            });
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const word of text.match(/\S+\s*/g) || []) {
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`);
+        }
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: finishReason }] })}\n\n`);
+        res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+        res.end('data: [DONE]\n\n');
+    };
+}
+
+/**
+ * Fixed status and JSON body
+ */
+function errorReply(status, body, headers) {
+    return (req, res) => json(res, status, body, headers);
+}
+
+const DEFAULT_HANDLERS = {
+    chat: chatReply('Nothing to see here, detective.'),
+    tts: (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(AUDIO);
+    },
+    ttsTimestamps: (req, res, body) => json(res, 200, {
+        audio_base64: AUDIO.toString('base64'),
+        alignment: {
+            characters: [...body.text],
+            character_start_times_seconds: [...body.text].map((_, i) => i * 0.05),
+            character_end_times_seconds: [...body.text].map((_, i) => (i + 1) * 0.05)
+        }
+    }),
+    heygenNew: (req, res) => json(res, 200, {
+        data: { session_id: 'session-1', access_token: 'stub-access', url: 'wss://stub.invalid/session-1' }
+    }),
+    heygenTask: (req, res) => json(res, 200, { data: { task_id: 'task-1' } }),
+    heygenStop: (req, res) => json(res, 200, { data: {} }),
+    heygenList: (req, res) => json(res, 200, { data: { avatars: [{ avatar_id: 'stub-avatar' }] } })
+};
+
+class StubUpstream {
+    constructor() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.reset();
+    }
+
+    /**
+     * @returns {Promise<string>} - Base URL of the stub
+     */
+    start() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => {
+                resolve(`http://127.0.0.1:${this.server.address().port}`);
+            });
+        });
+    }
+
+    close() {
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    /**
+     * Restore the default handlers and forget recorded requests
+     */
+    reset() {
+        this.handlers = { ...DEFAULT_HANDLERS };
+        this.requests = [];
+    }
+
+    /**
+     * Override a route until the next reset()
+     * @param {string} route - e.g. 'chat', 'tts', 'heygenNew'
+     * @param {Function} handler - (req, res, parsedBody) => void
+     */
+    respond(route, handler) {
+        this.handlers[route] = handler;
+    }
+
+    /**
+     * Recorded requests for a route
+     * @returns {Array<{path: string, headers: Object, body: Object}>}
+     */
+    calls(route) {
+        return this.requests.filter(request => request.route === route);
+    }
+
+    async handle(req, res) {
+        let raw = '';
+        for await (const chunk of req) raw += chunk;
+        const body = raw ? JSON.parse(raw) : {};
+
+        const match = ROUTES.find(([, method, pattern]) => method === req.method && pattern.test(req.url));
+        if (!match) {
+            return json(res, 404, { error: `No stub for ${req.method} ${req.url}` });
+        }
+
+        const route = match[0];
+        this.requests.push({ route, path: req.url, headers: req.headers, body });
+        this.handlers[route](req, res, body);
+    }
+}
+
+module.exports = { StubUpstream, chatReply, errorReply, json, AUDIO };
@@ -0,0 +1,93 @@
+/**
+ * Test Server
+ * Starts the stub upstream, points the server's environment at it and
+ * serves the Express app on a random port. Config is read when server.js
+ * is first required, so each test file (its own process under node --test)
+ * gets one server.
+ */
+
+const { StubUpstream } = require('./stub-upstream');
+
+const API_KEYS = {
+    OPENAI_API_KEY: 'test-openai-key',
+    ELEVENLABS_API_KEY: 'test-elevenlabs-key',
+    HEYGEN_API_KEY: 'test-heygen-key'
+};
+
+/**
+ * @param {Object} env - Extra environment variables for this test file
+ * @returns {Promise<{baseUrl: string, stub: StubUpstream, post: Function, get: Function, delete: Function, close: Function}>}
+ */
+async function startTestServer(env = {}) {
+    const stub = new StubUpstream();
+    const stubUrl = await stub.start();
+
+    Object.assign(process.env, {
+        ...API_KEYS,
+        LLM_PROVIDER: 'openai',
+        OPENAI_BASE_URL: `${stubUrl}/openai`,
+        ELEVENLABS_BASE_URL: `${stubUrl}/elevenlabs`,
+        HEYGEN_BASE_URL: `${stubUrl}/heygen`,
+        INPUT_MODERATION_CLASSIFIER: 'none',
+        USAGE_PATH: 'memory',
+        CACHE_STORE: 'memory',
+        DAILY_BUDGET_USD: '0',
+        LOG_LEVEL: 'silent',
+        UPSTREAM_RETRY_BASE_MS: '1',
+        UPSTREAM_BREAKER_THRESHOLD: '0',
+        RATE_LIMIT_CHAT_PER_SESSION: '1000',
+        RATE_LIMIT_CHAT_PER_IP: '1000',
+        RATE_LIMIT_TTS_PER_SESSION: '1000',
+        RATE_LIMIT_TTS_PER_IP: '1000',
+        RATE_LIMIT_AVATAR_PER_SESSION: '1000',
+        RATE_LIMIT_AVATAR_PER_IP: '1000',
+        ...env
+    });
+
+    const app = require('../../server');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        baseUrl,
+        stub,
+
+        post(path, body, headers = {}) {
+            return fetch(baseUrl + path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: typeof body === 'string' ? body : JSON.stringify(body)
+            });
+        },
+
+        get(path, headers = {}) {
+            return fetch(baseUrl + path, { headers });
+        },
+
+        delete(path, headers = {}) {
+            return fetch(baseUrl + path, { method: 'DELETE', headers });
+        },
+
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await stub.close();
+        }
+    };
+}
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+async function readEvents(response) {
+    const text = await response.text();
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const event = /^event: (.*)$/m.exec(block)?.[1];
+        const data = /^data: (.*)$/m.exec(block)?.[1];
+        return { event, data: data && JSON.parse(data) };
+    });
+}
+
+module.exports = { startTestServer, readEvents, API_KEYS };
@@ -0,0 +1,164 @@
+/**
+ * HeyGen streaming avatar routes against the stub HeyGen API
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+const { errorReply } = require('./helpers/stub-upstream');
+
+let api;
+
+before(async () => {
+    api = await startTestServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => api.stub.reset());
+
+test('creates a session with the persona avatar and voice', async () => {
+    const res = await api.post('/api/heygen/create-session', { persona: 'jeff', quality: 'high' });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(body, {
+        session_id: 'session-1',
+        access_token: 'stub-access',
+        url: 'wss://stub.invalid/session-1'
+    });
+
+    const [call] = api.stub.calls('heygenNew');
+    assert.equal(call.headers['x-api-key'], 'test-heygen-key');
+    assert.equal(call.body.avatar_id, 'fb7c884e8ec64606abcfa21dd3d81992');
+    assert.equal(call.body.quality, 'high');
+    assert.equal(call.body.voice.voice_id, '0Exh0kGk6HH3gRGN8vHn');
+    assert.equal(call.body.voice.provider, 'elevenlabs');
+});
+
+test('defaults to medium quality', async () => {
+    await api.post('/api/heygen/create-session', {});
+
+    assert.equal(api.stub.calls('heygenNew')[0].body.quality, 'medium');
+});
+
+test('passes session creation errors through', async () => {
+    api.stub.respond('heygenNew', errorReply(400, { message: 'Avatar not found' }));
+
+    const res = await api.post('/api/heygen/create-session', {});
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Avatar not found');
+});
+
+test('sends text to the avatar', async () => {
+    const res = await api.post('/api/heygen/speak', { sessionId: 'session-1', text: 'Hello there.' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { task_id: 'task-1' });
+    assert.deepEqual(api.stub.calls('heygenTask')[0].body, {
+        session_id: 'session-1',
+        text: 'Hello there.',
+        task_type: 'talk'
+    });
+});
+
+test('requires a session ID and text to speak', async () => {
+    for (const body of [{ text: 'Hi' }, { sessionId: 'session-1' }]) {
+        const res = await api.post('/api/heygen/speak', body);
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, 'Session ID and text are required');
+    }
+    assert.equal(api.stub.calls('heygenTask').length, 0);
+});
+
+test('passes speak errors through, falling back to a generic message', async () => {
+    api.stub.respond('heygenTask', errorReply(404, {}));
+
+    const res = await api.post('/api/heygen/speak', { sessionId: 'gone', text: 'Hi' });
+
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'HeyGen API error');
+});
+
+test('closes a session', async () => {
+    const res = await api.post('/api/heygen/close-session', { sessionId: 'session-1' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { success: true });
+    assert.equal(api.stub.calls('heygenStop')[0].body.session_id, 'session-1');
+});
+
+test('requires a session ID to close', async () => {
+    const res = await api.post('/api/heygen/close-session', {});
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Session ID is required');
+});
+
+test('passes close errors through', async () => {
+    api.stub.respond('heygenStop', errorReply(400, { message: 'Session already closed' }));
+
+    const res = await api.post('/api/heygen/close-session', { sessionId: 'session-1' });
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Session already closed');
+});
+
+test('lists avatars', async () => {
+    const res = await api.get('/api/heygen/avatars');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { avatars: [{ avatar_id: 'stub-avatar' }] });
+    assert.equal(api.stub.calls('heygenList')[0].headers['x-api-key'], 'test-heygen-key');
+});
+
+test('returns an empty list when HeyGen sends no avatars', async () => {
+    api.stub.respond('heygenList', (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"data":{}}');
+    });
+
+    assert.deepEqual(await (await api.get('/api/heygen/avatars')).json(), { avatars: [] });
+});
+
+test('does not repeat session or speak calls after a 5xx', async () => {
+    api.stub.respond('heygenNew', errorReply(500, { message: 'Internal error' }));
+    api.stub.respond('heygenTask', errorReply(502, { message: 'Bad gateway' }));
+
+    const created = await api.post('/api/heygen/create-session', {});
+    const spoken = await api.post('/api/heygen/speak', { sessionId: 'session-1', text: 'Hello there.' });
+
+    assert.equal(created.status, 500);
+    assert.equal(spoken.status, 502);
+    assert.equal(api.stub.calls('heygenNew').length, 1);
+    assert.equal(api.stub.calls('heygenTask').length, 1);
+});
+
+test('retries a session call the service turned away with a 429', async () => {
+    let calls = 0;
+    api.stub.respond('heygenNew', (req, res) => {
+        calls++;
+        if (calls === 1) {
+            res.writeHead(429, { 'Content-Type': 'application/json' });
+            return res.end('{}');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: { session_id: 'session-2', access_token: 'stub-access', url: 'wss://stub.invalid/session-2' } }));
+    });
+
+    const res = await api.post('/api/heygen/create-session', {});
+
+    assert.equal(res.status, 200);
+    assert.equal(api.stub.calls('heygenNew').length, 2);
+});
+
+test('retries HeyGen 5xx responses, then reports them', async () => {
+    api.stub.respond('heygenList', errorReply(500, { message: 'Internal error' }));
+
+    const res = await api.get('/api/heygen/avatars');
+
+    assert.equal(res.status, 500);
+    assert.equal((await res.json()).error, 'Internal error');
+    assert.equal(api.stub.calls('heygenList').length, 3);
+});
@@ -0,0 +1,87 @@
+/**
+ * Mock provider: deterministic fixture replies, streaming and the error fixture
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, readEvents } = require('./helpers/test-server');
+const MockProvider = require('../providers/mock');
+const { ProviderError } = require('../providers/errors');
+
+const createProvider = () => new MockProvider({ model: 'mock-1', fixturesPath: require.resolve('../providers/fixtures/mock-replies.json') });
+
+const ask = (content, maxTokens) => ({ system: 'You are Jeff.', messages: [{ role: 'user', content }], maxTokens });
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+}
+
+let api;
+
+before(async () => {
+    api = await startTestServer({ LLM_PROVIDER: 'mock' });
+});
+
+after(() => api.close());
+
+test('answers from the first matching rule', async () => {
+    const reply = await createProvider().complete(ask('Tell me about the island'));
+
+    assert.equal(reply.text, 'My island? A place for intellectual gatherings. Nothing more.');
+    assert.equal(reply.finishReason, 'stop');
+    assert.equal(reply.usage.total_tokens, reply.usage.prompt_tokens + reply.usage.completion_tokens);
+});
+
+test('picks the same default reply for the same message', async () => {
+    const first = await createProvider().complete(ask('What did you have for breakfast?'));
+    const second = await createProvider().complete(ask('What did you have for breakfast?'));
+
+    assert.deepEqual(second, first);
+});
+
+test('cuts a reply off at maxTokens', async () => {
+    const reply = await createProvider().complete(ask('Tell me about the island', 3));
+
+    assert.equal(reply.text, 'My island? A');
+    assert.equal(reply.finishReason, 'length');
+});
+
+test('streams the reply word by word, then its usage', async () => {
+    const provider = createProvider();
+    const chunks = await collect(provider.stream(ask('Any secret?')));
+    const { usage } = await provider.complete(ask('Any secret?'));
+
+    assert.deepEqual(chunks.slice(0, -1).map(chunk => chunk.text), [
+        'Everyone ', 'wants ', 'to ', 'know ', 'my ', 'secrets. ', 'Few ', 'can ', 'handle ', 'them.'
+    ]);
+    assert.deepEqual(chunks.at(-1), { type: 'done', usage, finishReason: 'stop' });
+});
+
+test('fails like the real API on the error fixture', async () => {
+    const provider = createProvider();
+    const isOutage = error => error instanceof ProviderError &&
+        error.status === 503 && error.provider === 'mock' && error.message === 'The mock provider is unavailable.';
+
+    await assert.rejects(provider.complete(ask('simulate an outage')), isOutage);
+    await assert.rejects(collect(provider.stream(ask('simulate an outage'))), isOutage);
+});
+
+test('serves fixture replies through both chat routes', async () => {
+    const chat = await (await api.post('/api/chat', { message: 'Hello there' })).json();
+    const events = await readEvents(await api.post('/api/chat/stream', { message: 'Hello there' }));
+
+    assert.equal(chat.response, 'Another interrogator. How original. What do you want?');
+    assert.equal(events.find(e => e.event === 'done').data.response, chat.response);
+    assert.equal(api.stub.calls('chat').length, 0);
+});
+
+test('answers the error fixture with the provider status and code', async () => {
+    for (const path of ['/api/chat', '/api/chat/stream']) {
+        const res = await api.post(path, { message: 'simulate an outage' });
+
+        assert.equal(res.status, 503);
+        assert.deepEqual(await res.json(), { error: 'The mock provider is unavailable.', code: 'PROVIDER_ERROR' });
+    }
+});
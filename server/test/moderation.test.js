@@ -0,0 +1,74 @@
+/**
+ * Output moderation on /api/chat and /api/chat/stream
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, readEvents } = require('./helpers/test-server');
+const { chatReply } = require('./helpers/stub-upstream');
+
+const REWRITTEN = 'Bill Clinton raped nobody I know of, detective. The weather is lovely this time of year.';
+const BLOCKED = 'Some friends stay loyal. Prince Andrew was complicit in all of it. Ask me anything else.';
+
+let api;
+
+before(async () => {
+    api = await startTestServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => api.stub.reset());
+
+const ask = { message: 'Tell me about your friends' };
+
+/**
+ * Streamed reply: the text of its deltas and the final event
+ */
+async function stream(reply) {
+    api.stub.respond('chat', chatReply(reply));
+    const events = await readEvents(await api.post('/api/chat/stream', ask));
+
+    return {
+        streamed: events.filter(e => e.event === 'delta').map(e => e.data.text).join(''),
+        last: events.at(-1)
+    };
+}
+
+test('drops a flagged sentence from a reply', async () => {
+    api.stub.respond('chat', chatReply(REWRITTEN));
+
+    const res = await api.post('/api/chat', ask);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.response, 'The weather is lovely this time of year.');
+    assert.deepEqual(body.moderation, { stage: 'output', action: 'rewrite', matches: 1 });
+});
+
+test('blocks a reply about a blocked person', async () => {
+    api.stub.respond('chat', chatReply(BLOCKED));
+
+    const res = await api.post('/api/chat', ask);
+
+    assert.equal(res.status, 422);
+    assert.equal((await res.json()).code, 'MODERATION_OUTPUT_BLOCKED');
+});
+
+test('streams none of a flagged sentence', async () => {
+    const { streamed, last } = await stream(REWRITTEN);
+
+    assert.equal(streamed, 'The weather is lovely this time of year.');
+    assert.equal(last.event, 'done');
+    assert.equal(last.data.response, 'The weather is lovely this time of year.');
+    assert.equal(last.data.moderation.action, 'rewrite');
+});
+
+test('streams nothing of a blocked sentence before the error', async () => {
+    const { streamed, last } = await stream(BLOCKED);
+
+    assert.equal(streamed, 'Some friends stay loyal. ');
+    assert.doesNotMatch(streamed, /Prince/);
+    assert.equal(last.event, 'error');
+    assert.equal(last.data.code, 'MODERATION_OUTPUT_BLOCKED');
+});
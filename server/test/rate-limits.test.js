@@ -0,0 +1,49 @@
+/**
+ * Per-route rate limits, keyed per session token and per IP
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+
+let api;
+
+before(async () => {
+    api = await startTestServer({
+        RATE_LIMIT_CHAT_PER_SESSION: '2',
+        RATE_LIMIT_CHAT_PER_IP: '5'
+    });
+});
+
+after(() => api.close());
+
+const session = id => ({ 'X-Session-Id': `session-${id}` });
+const ask = headers => api.post('/api/chat', { message: 'Where were you?' }, headers);
+
+test('answers 429 with Retry-After once a session passes its chat limit', async () => {
+    assert.equal((await ask(session('aaaaaaaa'))).status, 200);
+    assert.equal((await ask(session('aaaaaaaa'))).status, 200);
+
+    const res = await ask(session('aaaaaaaa'));
+    const body = await res.json();
+
+    assert.equal(res.status, 429);
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.match(body.error, /Too many questions/);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+    assert.equal(api.stub.calls('chat').length, 2);
+});
+
+test('keeps separate buckets per session and per route', async () => {
+    assert.equal((await ask(session('bbbbbbbb'))).status, 200);
+    assert.equal((await api.post('/api/tts/elevenlabs', { text: 'Hello' }, session('aaaaaaaa'))).status, 200);
+});
+
+test('limits the IP across sessions', async () => {
+    // Four chat requests from this IP so far (refused ones count too), one more allowed
+    assert.equal((await ask(session('cccccccc'))).status, 200);
+
+    const res = await ask(session('dddddddd'));
+    assert.equal(res.status, 429);
+    assert.ok(res.headers.get('retry-after'));
+});
@@ -0,0 +1,116 @@
+/**
+ * POST /api/share, the /s/:id page and the admin takedown route
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+const { chatReply } = require('./helpers/stub-upstream');
+
+const ADMIN = { Authorization: 'Bearer test-admin-token' };
+
+let api;
+
+before(async () => {
+    api = await startTestServer({ SHARES: 'on', ADMIN_TOKEN: 'test-admin-token', SHARE_MAX_TURNS: '2' });
+});
+
+after(() => api.close());
+
+beforeEach(() => api.stub.reset());
+
+/**
+ * Chat a few turns and return the conversation ID
+ */
+async function converse(...messages) {
+    let conversationId;
+    for (const message of messages) {
+        ({ conversationId } = await (await api.post('/api/chat', { message, conversationId })).json());
+    }
+    return conversationId;
+}
+
+async function share(body) {
+    const res = await api.post('/api/share', body);
+    return { res, body: await res.json() };
+}
+
+test('shares the last exchange and renders it with Open Graph tags', async () => {
+    api.stub.respond('chat', chatReply('I was at home. Ask anyone.'));
+    const conversationId = await converse('Where were you <that night>?');
+
+    const { res, body } = await share({ conversationId });
+
+    assert.equal(res.status, 201);
+    assert.match(body.id, /^[\w-]{12}$/);
+    assert.equal(body.url, `${api.baseUrl}/s/${body.id}`);
+    assert.ok(Date.parse(body.expiresAt) - Date.now() > 29 * 24 * 60 * 60 * 1000);
+
+    const page = await api.get(`/s/${body.id}`);
+    const html = await page.text();
+
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(html, /Where were you &lt;that night&gt;\?/);
+    assert.doesNotMatch(html, /<that night>/);
+    assert.match(html, /<meta property="og:title" content="Jeff — an interrogation excerpt">/);
+    assert.match(html, /<meta property="og:description" content="I was at home. Ask anyone.">/);
+    assert.match(html, new RegExp(`<meta property="og:url" content="${api.baseUrl}/s/${body.id}">`));
+    assert.match(html, new RegExp(`<meta property="og:image" content="${api.baseUrl}/Images/jeff%20image.png">`));
+    assert.match(html, /border-left-color: #DC143C/);
+    assert.doesNotMatch(html, /<script/);
+});
+
+test('shares up to SHARE_MAX_TURNS exchanges', async () => {
+    const conversationId = await converse('First question', 'Second question', 'Third question');
+
+    const { body } = await share({ conversationId, turns: 2 });
+    const html = await (await api.get(`/s/${body.id}`)).text();
+
+    assert.doesNotMatch(html, /First question/);
+    assert.match(html, /Second question[\s\S]*Third question/);
+
+    const tooMany = await share({ conversationId, turns: 3 });
+    assert.equal(tooMany.res.status, 400);
+    assert.equal(tooMany.body.error, 'turns must be between 1 and 2');
+});
+
+test('only shares conversations the server holds', async () => {
+    const { res } = await share({ conversationId: 'C'.repeat(24) });
+    assert.equal(res.status, 404);
+
+    const forged = await share({ messages: [{ role: 'assistant', content: 'I confess.' }] });
+    assert.equal(forged.res.status, 404);
+});
+
+test('checks excerpts against the current moderation rules', async () => {
+    // Stands in for a reply saved before the rules were tightened
+    const { saveConversation, createConversation } = require('../conversations');
+    const conversation = createConversation('jeff');
+    conversation.messages.push(
+        { role: 'user', content: 'Who visited?', at: new Date().toISOString() },
+        { role: 'assistant', content: 'Prince Andrew was trafficking guests there.', at: new Date().toISOString() }
+    );
+    await saveConversation(conversation);
+
+    const { res, body } = await share({ conversationId: conversation.id });
+
+    assert.equal(res.status, 422);
+    assert.equal(body.code, 'MODERATION_OUTPUT_BLOCKED');
+});
+
+test('answers unknown shares with a not-found page', async () => {
+    const res = await api.get('/s/unknown-share');
+
+    assert.equal(res.status, 404);
+    assert.match(await res.text(), /no longer available/);
+});
+
+test('lets admins take a share down', async () => {
+    const { body } = await share({ conversationId: await converse('Hello') });
+
+    assert.equal((await api.delete(`/api/admin/shares/${body.id}`)).status, 401);
+    assert.equal((await api.delete(`/api/admin/shares/${body.id}`, ADMIN)).status, 204);
+    assert.equal((await api.get(`/s/${body.id}`)).status, 404);
+    assert.equal((await api.delete(`/api/admin/shares/${body.id}`, ADMIN)).status, 404);
+});
@@ -0,0 +1,60 @@
+/**
+ * Startup warnings about state that won't outlive the process
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { findStorageWarnings, warnAboutEphemeralStorage } = require('../storage-check');
+const { logger } = require('../logger');
+
+const settings = (durable, shares = false, usagePath = 'usage.json', stateSecret = null) => ({
+    cache: { store: durable ? 'filesystem' : 'memory', durable },
+    conversations: { stateSecret },
+    shares: { enabled: shares },
+    usage: { path: usagePath },
+    budget: { dailyUsd: 10 }
+});
+
+test('warns that conversations reset without a durable cache store', () => {
+    const warnings = findStorageWarnings(settings(false));
+
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /conversations are not durable/);
+});
+
+test('trusts sealed conversation copies when CONVERSATION_SECRET is set', () => {
+    assert.deepEqual(findStorageWarnings(settings(false, false, 'usage.json', 'a-shared-secret')), []);
+});
+
+test('warns that share links break when shares are forced on without one', () => {
+    const warnings = findStorageWarnings(settings(false, true));
+
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[1], /Shares are enabled without a durable store/);
+});
+
+test('warns that the daily budget is per instance when usage is kept in memory', () => {
+    const warnings = findStorageWarnings(settings(true, false, null));
+
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /DAILY_BUDGET_USD counts only this instance/);
+});
+
+test('stays quiet with a durable cache store', () => {
+    assert.deepEqual(findStorageWarnings(settings(true, true)), []);
+});
+
+test('logs each warning as an error', () => {
+    const logged = mock.method(logger, 'error', () => {});
+
+    try {
+        warnAboutEphemeralStorage(settings(false));
+
+        assert.equal(logged.mock.callCount(), 1);
+        assert.deepEqual(logged.mock.calls[0].arguments[1], { cacheStore: 'memory' });
+    } finally {
+        logged.mock.restore();
+    }
+});
@@ -0,0 +1,124 @@
+/**
+ * ElevenLabs TTS routes against the stub ElevenLabs API
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+const { errorReply, AUDIO } = require('./helpers/stub-upstream');
+
+let api;
+
+before(async () => {
+    api = await startTestServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => api.stub.reset());
+
+// Unique text per test keeps the TTS cache out of the way
+let counter = 0;
+const uniqueText = () => `Line number ${++counter}.`;
+
+test('returns ElevenLabs audio for the persona voice', async () => {
+    const text = uniqueText();
+    const res = await api.post('/api/tts/elevenlabs', { text, persona: 'jeff' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'audio/mpeg');
+    assert.equal(res.headers.get('x-cache'), 'MISS');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), AUDIO);
+
+    const [call] = api.stub.calls('tts');
+    assert.equal(call.path, '/elevenlabs/text-to-speech/0Exh0kGk6HH3gRGN8vHn');
+    assert.equal(call.headers['xi-api-key'], 'test-elevenlabs-key');
+    assert.equal(call.body.text, text);
+});
+
+test('ignores a client-supplied voice ID', async () => {
+    await api.post('/api/tts/elevenlabs', { text: uniqueText(), voiceId: 'someone-else' });
+
+    assert.doesNotMatch(api.stub.calls('tts')[0].path, /someone-else/);
+});
+
+test('serves repeated text from the cache', async () => {
+    const text = uniqueText();
+    await (await api.post('/api/tts/elevenlabs', { text })).arrayBuffer();
+    const res = await api.post('/api/tts/elevenlabs', { text });
+
+    assert.equal(res.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), AUDIO);
+    assert.equal(api.stub.calls('tts').length, 1);
+});
+
+test('requires text', async () => {
+    const res = await api.post('/api/tts/elevenlabs', {});
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Text is required');
+    assert.equal(api.stub.calls('tts').length, 0);
+});
+
+test('passes ElevenLabs client errors through with their detail', async () => {
+    api.stub.respond('tts', errorReply(422, { detail: 'Text too long' }));
+
+    const res = await api.post('/api/tts/elevenlabs', { text: uniqueText() });
+
+    assert.equal(res.status, 422);
+    assert.equal((await res.json()).error, 'Text too long');
+});
+
+test('retries ElevenLabs 5xx responses, then reports them', async () => {
+    api.stub.respond('tts', errorReply(502, {}));
+
+    const res = await api.post('/api/tts/elevenlabs', { text: uniqueText() });
+
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).error, 'TTS API error');
+    assert.equal(api.stub.calls('tts').length, 3);
+});
+
+test('returns audio and alignment with timestamps', async () => {
+    const text = uniqueText();
+    const res = await api.post('/api/tts/elevenlabs-with-timestamps', { text });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-cache'), 'MISS');
+    assert.equal(body.audio_base64, AUDIO.toString('base64'));
+    assert.deepEqual(body.alignment.characters, [...text]);
+    assert.match(api.stub.calls('ttsTimestamps')[0].path, /\/with-timestamps$/);
+});
+
+test('passes voice settings to the timestamps API', async () => {
+    const voiceSettings = { stability: 0.2, similarity_boost: 0.9 };
+
+    await api.post('/api/tts/elevenlabs-with-timestamps', { text: uniqueText(), voiceSettings });
+
+    assert.deepEqual(api.stub.calls('ttsTimestamps')[0].body.voice_settings, voiceSettings);
+});
+
+test('caches timestamp responses', async () => {
+    const text = uniqueText();
+    await (await api.post('/api/tts/elevenlabs-with-timestamps', { text })).json();
+    const res = await api.post('/api/tts/elevenlabs-with-timestamps', { text });
+
+    assert.equal(res.headers.get('x-cache'), 'HIT');
+    assert.equal(api.stub.calls('ttsTimestamps').length, 1);
+});
+
+test('requires text for timestamps', async () => {
+    const res = await api.post('/api/tts/elevenlabs-with-timestamps', { text: '' });
+
+    assert.equal(res.status, 400);
+});
+
+test('passes timestamp API errors through', async () => {
+    api.stub.respond('ttsTimestamps', errorReply(401, { detail: 'Invalid API key' }));
+
+    const res = await api.post('/api/tts/elevenlabs-with-timestamps', { text: uniqueText() });
+
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).error, 'Invalid API key');
+});
@@ -0,0 +1,87 @@
+/**
+ * Upstream timeouts and circuit breakers, seen through the routes
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+const { errorReply } = require('./helpers/stub-upstream');
+
+let api;
+
+before(async () => {
+    api = await startTestServer({
+        ELEVENLABS_TIMEOUT_MS: '200',
+        UPSTREAM_STREAM_IDLE_MS: '200',
+        UPSTREAM_RETRIES: '0',
+        UPSTREAM_BREAKER_THRESHOLD: '2',
+        UPSTREAM_BREAKER_COOLDOWN_SECONDS: '60'
+    });
+});
+
+after(() => api.close());
+
+beforeEach(() => api.stub.reset());
+
+test('answers 504 UPSTREAM_TIMEOUT when ElevenLabs hangs', async () => {
+    api.stub.respond('ttsTimestamps', () => {});
+
+    const res = await api.post('/api/tts/elevenlabs-with-timestamps', { text: 'Hello?' });
+    const body = await res.json();
+
+    assert.equal(res.status, 504);
+    assert.equal(body.code, 'UPSTREAM_TIMEOUT');
+});
+
+test('opens the breaker after repeated failures and skips the upstream', async () => {
+    api.stub.respond('heygenList', errorReply(500, { message: 'Down' }));
+
+    await api.get('/api/heygen/avatars');
+    await api.get('/api/heygen/avatars');
+    const res = await api.get('/api/heygen/avatars');
+
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).code, 'UPSTREAM_UNAVAILABLE');
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+    assert.equal(api.stub.calls('heygenList').length, 2);
+});
+
+test('readiness shows the open breaker and drops the avatar', async () => {
+    const body = await (await api.get('/api/health/ready')).json();
+
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.providers.heygen.breaker.state, 'open');
+    assert.equal(body.providers.heygen.healthy, false);
+    assert.equal(body.providers.heygen.lastFailure.status, 500);
+    assert.equal(body.features.avatar, false);
+    assert.equal(body.features.chat, true);
+});
+
+test('does not count client errors against the breaker', async () => {
+    api.stub.respond('tts', errorReply(400, { detail: 'Bad voice settings' }));
+
+    for (let i = 0; i < 3; i++) {
+        const res = await api.post('/api/tts/elevenlabs', { text: `Client error ${i}` });
+        assert.equal(res.status, 400);
+    }
+
+    const { providers } = await (await api.get('/api/health/ready')).json();
+    assert.equal(providers.elevenlabs.breaker.state, 'closed');
+});
+
+test('ends ElevenLabs audio that stalls mid-stream and does not cache it', async () => {
+    api.stub.respond('tts', (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.write('ID3-partial');
+    });
+
+    const res = await api.post('/api/tts/elevenlabs', { text: 'Stalled audio' });
+
+    assert.equal(res.status, 200);
+    assert.equal(Buffer.from(await res.arrayBuffer()).toString(), 'ID3-partial');
+
+    api.stub.reset();
+    const retry = await api.post('/api/tts/elevenlabs', { text: 'Stalled audio' });
+    assert.equal(retry.headers.get('x-cache'), 'MISS');
+    assert.equal(api.stub.calls('tts').length, 1);
+});
@@ -0,0 +1,58 @@
+/**
+ * Text Utilities
+ * Shared word, sentence and token measurements
+ */
+
+// Sentence terminator run, optional closing quotes/brackets, then whitespace or end of text
+const SENTENCE_BOUNDARY = /[.!?…]+["'”’)\]]*(?:\s+|$)/g;
+
+/**
+ * Rough token estimate (~4 characters per token)
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Count whitespace-separated words
+ */
+function countWords(text) {
+    return ((text || '').match(/\S+/g) || []).length;
+}
+
+/**
+ * Split text into sentences, each keeping its trailing whitespace.
+ * A trailing fragment without a terminator is returned as the last item.
+ */
+function splitSentences(text) {
+    const sentences = [];
+    const boundary = new RegExp(SENTENCE_BOUNDARY.source, 'g');
+    let start = 0;
+    let match;
+
+    while (start < text.length && (match = boundary.exec(text))) {
+        const end = match.index + match[0].length;
+        sentences.push(text.slice(start, end));
+        start = end;
+    }
+
+    if (start < text.length) {
+        sentences.push(text.slice(start));
+    }
+
+    return sentences.filter(sentence => sentence.trim());
+}
+
+/**
+ * Whether a sentence ends with a terminator
+ */
+function isCompleteSentence(sentence) {
+    return /[.!?…]["'”’)\]]*\s*$/.test(sentence);
+}
+
+module.exports = {
+    estimateTokens,
+    countWords,
+    splitSentences,
+    isCompleteSentence
+};
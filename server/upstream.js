@@ -0,0 +1,274 @@
+/**
+ * Upstream Fetch
+ * Shared client for calls to external APIs (LLM providers, ElevenLabs,
+ * HeyGen). It applies per-service timeouts, retries and circuit breakers
+ * (see config.upstream), forwards the current request ID as X-Request-Id,
+ * logs each attempt with its latency and keeps each service's last outcome
+ * for the readiness report. Query strings are left out of the log.
+ */
+
+const config = require('./config');
+const { logger, getRequestId } = require('./logger');
+const { CircuitBreaker } = require('./circuit-breaker');
+
+// Latest outcome per service, for the readiness report
+const serviceStatus = new Map();
+
+// Methods that are safe to send twice
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Network errors raised before the request reached the service
+const CONNECT_ERRORS = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+
+function isConnectError(error) {
+    return CONNECT_ERRORS.has(error.cause?.code || error.code);
+}
+
+/**
+ * Whether an upstream response means the service itself is failing
+ * (server errors, rate limits and rejected credentials - not bad input)
+ */
+function isServiceFailure(status) {
+    return status >= 500 || [401, 403, 429].includes(status);
+}
+
+/**
+ * Record the outcome of an upstream call
+ */
+function recordOutcome(service, { ok, status, latencyMs, error }) {
+    const entry = serviceStatus.get(service) || { lastSuccess: null, lastFailure: null, avgLatencyMs: null };
+    const at = new Date().toISOString();
+
+    if (ok) {
+        entry.lastSuccess = { at, status, latencyMs };
+    } else {
+        entry.lastFailure = { at, status: status || null, latencyMs, error };
+    }
+
+    // Moving average over recent calls
+    entry.avgLatencyMs = entry.avgLatencyMs == null
+        ? latencyMs
+        : Math.round(entry.avgLatencyMs * 0.8 + latencyMs * 0.2);
+
+    serviceStatus.set(service, entry);
+}
+
+/**
+ * Last success/failure and average latency of a service
+ * @returns {{lastSuccess: Object|null, lastFailure: Object|null, avgLatencyMs: number|null}}
+ */
+function getServiceStatus(service) {
+    return serviceStatus.get(service) || { lastSuccess: null, lastFailure: null, avgLatencyMs: null };
+}
+
+/**
+ * Error for an upstream call that never got an answer: the attempt timed
+ * out (504 UPSTREAM_TIMEOUT) or the service's breaker is open
+ * (503 UPSTREAM_UNAVAILABLE, with retryAt)
+ */
+class UpstreamError extends Error {
+    constructor(message, code, service, retryAt = null) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.code = code;
+        this.status = code === 'UPSTREAM_TIMEOUT' ? 504 : 503;
+        this.service = service;
+        this.retryAt = retryAt;
+    }
+}
+
+const breakers = new Map();
+
+function getBreaker(service) {
+    if (!breakers.has(service)) {
+        breakers.set(service, new CircuitBreaker(service, config.upstream.breaker));
+    }
+    return breakers.get(service);
+}
+
+/**
+ * Circuit breaker state of a service, for the readiness report
+ */
+function getBreakerStatus(service) {
+    return getBreaker(service).status();
+}
+
+/**
+ * Delay before retry number attempt + 1, with full jitter
+ * Honours Retry-After; returns null when it asks for longer than we wait
+ */
+function retryDelay(attempt, retryAfter) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = config.upstream;
+
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+        if (ms > retryMaxDelayMs) return null;
+        if (ms > 0) return ms;
+    }
+
+    return Math.random() * Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Streamed response whose request is aborted with UPSTREAM_TIMEOUT when
+ * no chunk arrives for config.upstream.streamIdleTimeoutMs
+ */
+function withIdleTimeout(response, controller, service) {
+    if (!response.body) return response;
+
+    const idleMs = config.upstream.streamIdleTimeoutMs;
+    let timer = null;
+    const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            controller.abort(new UpstreamError(`${service} stream stalled for ${idleMs}ms`, 'UPSTREAM_TIMEOUT', service));
+        }, idleMs);
+        timer.unref();
+    };
+
+    arm();
+    const body = response.body.pipeThrough(new TransformStream({
+        transform(chunk, output) {
+            arm();
+            output.enqueue(chunk);
+        },
+        flush() {
+            clearTimeout(timer);
+        }
+    }));
+
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * One attempt, aborted with UPSTREAM_TIMEOUT after the service's timeout
+ * Streamed responses are timed until their headers arrive and then by the
+ * gap between chunks; other responses keep the timer so a stalled body
+ * read is cut off too
+ */
+async function attemptFetch(service, url, options, { stream, attempt }) {
+    const requestId = getRequestId();
+    const headers = { ...options.headers };
+    if (requestId) headers['X-Request-Id'] = requestId;
+
+    const { origin, pathname } = new URL(url);
+    const fields = { service, method: options.method || 'GET', url: origin + pathname, attempt: attempt + 1 };
+    const start = process.hrtime.bigint();
+    const latencyMs = () => Number((process.hrtime.bigint() - start) / 1000000n);
+
+    const timeoutMs = config.upstream.timeoutsMs[service] || config.upstream.defaultTimeoutMs;
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        controller.abort(new UpstreamError(`${service} timed out after ${timeoutMs}ms`, 'UPSTREAM_TIMEOUT', service));
+    }, timeoutMs);
+    timer.unref();
+
+    try {
+        const response = await fetch(url, { ...options, headers, signal: controller.signal });
+        if (stream) clearTimeout(timer);
+
+        const elapsed = latencyMs();
+        const level = response.ok ? 'info' : 'warn';
+        logger[level]('upstream call', { ...fields, status: response.status, latencyMs: elapsed });
+
+        if (response.ok || !isServiceFailure(response.status)) {
+            recordOutcome(service, { ok: true, status: response.status, latencyMs: elapsed });
+        } else {
+            recordOutcome(service, { ok: false, status: response.status, latencyMs: elapsed, error: `HTTP ${response.status}` });
+        }
+        return stream ? withIdleTimeout(response, controller, service) : response;
+    } catch (error) {
+        clearTimeout(timer);
+        const elapsed = latencyMs();
+        logger.error('upstream call failed', { ...fields, latencyMs: elapsed, error: error.message });
+        recordOutcome(service, { ok: false, latencyMs: elapsed, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * fetch() with a per-service timeout, retries with jitter and a circuit
+ * breaker. Timed-out attempts are not retried. A 429 is always retried (the
+ * service turned the request away); 5xx responses and network errors only
+ * for idempotent calls, since a call with side effects (a HeyGen session or
+ * speak task) may already have run. Failures to connect are retried either way.
+ * A response is returned as soon as it is final, whatever its status.
+ *
+ * @param {string} service - e.g. 'anthropic', 'elevenlabs', 'heygen'
+ * @param {string} url
+ * @param {Object} options - fetch options, plus stream: true for streamed bodies
+ *   and idempotent (default: true for GET, HEAD, OPTIONS, PUT and DELETE)
+ * @returns {Promise<Response>}
+ * @throws {UpstreamError} On timeout or while the breaker is open
+ */
+async function upstreamFetch(service, url, options = {}) {
+    const {
+        stream = false,
+        idempotent = IDEMPOTENT_METHODS.has((options.method || 'GET').toUpperCase()),
+        ...fetchOptions
+    } = options;
+    const breaker = getBreaker(service);
+
+    if (!breaker.allowRequest()) {
+        logger.warn('upstream call skipped', { service, breaker: breaker.state });
+        throw new UpstreamError(`${service} is temporarily unavailable`, 'UPSTREAM_UNAVAILABLE', service, breaker.retryAt());
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < config.upstream.retries;
+        let response;
+
+        try {
+            response = await attemptFetch(service, url, fetchOptions, { stream, attempt });
+        } catch (error) {
+            if (canRetry && !(error instanceof UpstreamError) && (idempotent || isConnectError(error))) {
+                await sleep(retryDelay(attempt));
+                continue;
+            }
+            breaker.recordFailure();
+            throw error;
+        }
+
+        if (canRetry && (response.status === 429 || (idempotent && response.status >= 500))) {
+            const delay = retryDelay(attempt, response.headers.get('retry-after'));
+            if (delay !== null) {
+                await response.body?.cancel().catch(() => {});
+                await sleep(delay);
+                continue;
+            }
+        }
+
+        if (isServiceFailure(response.status)) {
+            breaker.recordFailure();
+        } else {
+            breaker.recordSuccess();
+        }
+        return response;
+    }
+}
+
+/**
+ * Short description of an upstream error body for logs
+ * (the message only - never the whole body)
+ */
+function describeUpstreamError(body) {
+    const error = body?.error ?? body?.detail ?? body;
+    if (typeof error === 'string') return error.slice(0, 200);
+    return {
+        type: error?.type || error?.code || error?.status,
+        message: typeof error?.message === 'string' ? error.message.slice(0, 200) : undefined
+    };
+}
+
+module.exports = {
+    upstreamFetch,
+    describeUpstreamError,
+    getServiceStatus,
+    getBreakerStatus,
+    UpstreamError
+};
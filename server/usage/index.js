@@ -0,0 +1,137 @@
+/**
+ * Usage Accounting
+ * Records LLM token usage and TTS character counts per provider and model,
+ * with estimated cost, and builds the daily/hourly report served at
+ * /api/admin/usage.
+ */
+
+const config = require('../config');
+const { UsageLedger, emptyCounters, addCounters } = require('./ledger');
+const { estimateLlmCost, estimateTtsCost } = require('./pricing');
+
+const ledger = new UsageLedger(config.usage);
+
+/**
+ * Record one LLM call
+ * @param {string} provider - Provider name, e.g. 'anthropic'
+ * @param {string} model
+ * @param {Object|null} usage - { prompt_tokens, completion_tokens }
+ * @param {Object} options - { cached: true } for replies served from the cache (no cost)
+ */
+function recordLlmUsage(provider, model, usage, { cached = false } = {}) {
+    if (cached) {
+        ledger.record(provider, model, { requests: 1, cachedRequests: 1 });
+        return;
+    }
+
+    ledger.record(provider, model, {
+        requests: 1,
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        costUsd: estimateLlmCost(model, usage)
+    });
+}
+
+/**
+ * Record one TTS synthesis
+ * @param {string} provider - e.g. 'elevenlabs'
+ * @param {string} model
+ * @param {number} characters - Characters sent for synthesis
+ * @param {Object} options - { cached: true } for audio served from the cache (no cost)
+ */
+function recordTtsUsage(provider, model, characters, { cached = false } = {}) {
+    if (cached) {
+        ledger.record(provider, model, { requests: 1, cachedRequests: 1 });
+        return;
+    }
+
+    ledger.record(provider, model, {
+        requests: 1,
+        characters,
+        costUsd: estimateTtsCost(provider, characters)
+    });
+}
+
+/**
+ * Sum hour buckets into totals, per-provider totals and per-model totals
+ */
+function summarize(buckets) {
+    const totals = emptyCounters();
+    const byProvider = {};
+
+    for (const [, hour] of buckets) {
+        for (const [provider, models] of Object.entries(hour)) {
+            const entry = (byProvider[provider] ||= { ...emptyCounters(), models: {} });
+
+            for (const [model, counters] of Object.entries(models)) {
+                addCounters(totals, counters);
+                addCounters(entry, counters);
+                addCounters((entry.models[model] ||= emptyCounters()), counters);
+            }
+        }
+    }
+
+    return { totals: roundCost(totals), byProvider: mapValues(byProvider, roundProvider) };
+}
+
+function roundCost(counters) {
+    return { ...counters, costUsd: Number(counters.costUsd.toFixed(6)) };
+}
+
+function roundProvider({ models, ...counters }) {
+    return { ...roundCost(counters), models: mapValues(models, roundCost) };
+}
+
+function mapValues(object, fn) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+/**
+ * Estimated spend for a UTC day
+ * @param {string} day - YYYY-MM-DD
+ */
+function getDailyCost(day) {
+    const from = new Date(`${day}T00:00:00.000Z`);
+    const to = new Date(`${day}T23:59:59.999Z`);
+    return summarize(ledger.range(from, to)).totals.costUsd;
+}
+
+/**
+ * Usage report with daily and hourly breakdowns
+ * @param {Object} options - { days, hours } to include (most recent first)
+ */
+function getUsageReport({ days = 7, hours = 24 } = {}) {
+    const now = new Date();
+
+    const daily = [];
+    for (let i = 0; i < days; i++) {
+        const date = new Date(now.getTime() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const buckets = ledger.range(new Date(`${date}T00:00:00.000Z`), new Date(`${date}T23:59:59.999Z`));
+        daily.push({ date, ...summarize(buckets) });
+    }
+
+    const hourly = [];
+    for (let i = 0; i < hours; i++) {
+        const hour = new Date(now.getTime() - i * 60 * 60 * 1000);
+        const key = hour.toISOString().slice(0, 13);
+        hourly.push({ hour: `${key}:00:00.000Z`, ...summarize(ledger.range(hour, hour)) });
+    }
+
+    const oldest = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    const from = new Date(`${oldest.toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+    return {
+        generatedAt: now.toISOString(),
+        currency: 'USD',
+        ...summarize(ledger.range(from, now)),
+        daily,
+        hourly
+    };
+}
+
+module.exports = {
+    recordLlmUsage,
+    recordTtsUsage,
+    getDailyCost,
+    getUsageReport
+};
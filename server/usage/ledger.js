@@ -0,0 +1,142 @@
+/**
+ * Usage Ledger
+ * Hourly counters per provider and model, kept in memory and saved to a
+ * JSON file (USAGE_PATH). Writes are batched; the file is also flushed
+ * when the process exits. Hours older than USAGE_RETENTION_DAYS are dropped.
+ *
+ * File shape:
+ *   { hours: { "2026-01-31T14": { [provider]: { [model]: counters } } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+const FLUSH_DELAY_MS = 2000;
+
+const COUNTER_FIELDS = ['requests', 'cachedRequests', 'promptTokens', 'completionTokens', 'characters', 'costUsd'];
+
+/**
+ * Empty counter set
+ */
+function emptyCounters() {
+    return Object.fromEntries(COUNTER_FIELDS.map(field => [field, 0]));
+}
+
+/**
+ * Add one counter set into another
+ */
+function addCounters(target, counters) {
+    for (const field of COUNTER_FIELDS) {
+        target[field] += counters[field] || 0;
+    }
+    return target;
+}
+
+/**
+ * Hour bucket key (UTC), e.g. "2026-01-31T14"
+ */
+function hourKey(date = new Date()) {
+    return date.toISOString().slice(0, 13);
+}
+
+class UsageLedger {
+    /**
+     * @param {Object} options - { path, retentionDays } (no path keeps usage in memory only)
+     */
+    constructor({ path: filePath, retentionDays }) {
+        this.path = filePath;
+        this.retentionDays = retentionDays;
+        this.hours = {};
+        this.flushTimer = null;
+
+        this.load();
+
+        if (this.path) {
+            process.on('exit', () => this.flushSync());
+        }
+    }
+
+    load() {
+        if (!this.path) return;
+
+        try {
+            this.hours = JSON.parse(fs.readFileSync(this.path, 'utf8')).hours || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Could not read usage file', { path: this.path, error: error.message });
+            }
+        }
+        this.prune();
+    }
+
+    /**
+     * Drop hours past the retention window
+     */
+    prune() {
+        const oldest = hourKey(new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000));
+        for (const hour of Object.keys(this.hours)) {
+            if (hour < oldest) delete this.hours[hour];
+        }
+    }
+
+    /**
+     * Add counters for a provider and model to the current hour
+     */
+    record(provider, model, counters) {
+        const hour = (this.hours[hourKey()] ||= {});
+        const byModel = (hour[provider] ||= {});
+        addCounters((byModel[model || 'default'] ||= emptyCounters()), counters);
+
+        this.scheduleFlush();
+    }
+
+    /**
+     * Hour buckets between two dates (inclusive), oldest first
+     * @returns {Array<[string, Object]>} - [hourKey, { [provider]: { [model]: counters } }]
+     */
+    range(from, to) {
+        const start = hourKey(from);
+        const end = hourKey(to);
+        return Object.entries(this.hours)
+            .filter(([hour]) => hour >= start && hour <= end)
+            .sort(([a], [b]) => a.localeCompare(b));
+    }
+
+    scheduleFlush() {
+        if (!this.path || this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.prune();
+            fs.promises.mkdir(path.dirname(this.path), { recursive: true })
+                .then(() => fs.promises.writeFile(this.path, this.serialize()))
+                .catch(error => logger.error('Could not write usage file', { path: this.path, error: error.message }));
+        }, FLUSH_DELAY_MS);
+        this.flushTimer.unref();
+    }
+
+    flushSync() {
+        if (!this.flushTimer) return;
+
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(this.path), { recursive: true });
+            fs.writeFileSync(this.path, this.serialize());
+        } catch (error) {
+            logger.error('Could not write usage file', { path: this.path, error: error.message });
+        }
+    }
+
+    serialize() {
+        return JSON.stringify({ hours: this.hours });
+    }
+}
+
+module.exports = {
+    UsageLedger,
+    emptyCounters,
+    addCounters,
+    hourKey
+};
@@ -0,0 +1,55 @@
+/**
+ * Usage Pricing
+ * Cost estimates from the price table (usage/prices.json, or
+ * USAGE_PRICES_PATH). The LLM_*_COST_PER_MTOK and TTS_COST_PER_1K_CHARS
+ * variables override the table for every model.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+
+let prices = null;
+
+/**
+ * Load the configured price table (cached)
+ */
+function getPrices() {
+    if (!prices) {
+        prices = JSON.parse(fs.readFileSync(config.usage.pricesPath, 'utf8'));
+    }
+    return prices;
+}
+
+/**
+ * Estimated cost of one LLM call
+ * @param {string} model
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ */
+function estimateLlmCost(model, usage) {
+    const table = getPrices().llm;
+    const price = table[model] || table.default;
+    const { llmInputPerMTok, llmOutputPerMTok } = config.usage.priceOverrides;
+
+    const input = Number.isFinite(llmInputPerMTok) ? llmInputPerMTok : price.input;
+    const output = Number.isFinite(llmOutputPerMTok) ? llmOutputPerMTok : price.output;
+
+    return ((usage?.prompt_tokens || 0) * input + (usage?.completion_tokens || 0) * output) / 1e6;
+}
+
+/**
+ * Estimated cost of synthesizing text
+ * @param {string} provider - e.g. 'elevenlabs'
+ * @param {number} characters
+ */
+function estimateTtsCost(provider, characters) {
+    const table = getPrices().tts;
+    const { ttsPer1kChars } = config.usage.priceOverrides;
+    const per1k = Number.isFinite(ttsPer1kChars) ? ttsPer1kChars : (table[provider] || table.default).per1kChars;
+
+    return characters / 1000 * per1k;
+}
+
+module.exports = {
+    estimateLlmCost,
+    estimateTtsCost
+};
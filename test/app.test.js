@@ -0,0 +1,275 @@
+/**
+ * TalkingInvestigationApp: composition root wiring
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConfig } from '../js/config.js';
+import { ApiSession } from '../js/session.js';
+import { TalkingInvestigationApp } from '../js/app.js';
+import { createPage, loadIndexPage, isDisplayed, fakeFetch, jsonResponse, memoryStorage, silenceConsole } from './helpers/dom.js';
+
+silenceConsole();
+
+const MARKUP = `
+    <div id="character"><img id="characterStatic"><video id="characterVideo"></video></div>
+    <div id="speechBubble"><div id="speechContent"></div></div>
+    <div id="chatHistory" style="display: none;"><div id="threadList"></div><button id="newThreadBtn"></button></div>
+    <div id="historyContent"></div>
+    <audio id="audioPlayer"></audio>
+    <input id="userInput"><button id="sendBtn"></button>
+    <button data-export="json"></button>
+    <button id="shareBtn" hidden></button>
+`;
+
+const SHARE = { id: 'abcdefghijkl', url: 'https://example.com/s/abcdefghijkl', expiresAt: '2026-02-01T00:00:00.000Z' };
+
+/**
+ * App on its own jsdom page, with a stubbed backend
+ * @param {Object} page - Defaults to a page with just the app's elements
+ */
+async function createApp(overrides, page = createPage(MARKUP)) {
+    const config = createConfig(overrides);
+    const fetch = fakeFetch(url => {
+        if (url.endsWith('/share')) return jsonResponse(SHARE, 201);
+        return jsonResponse({ response: 'No comment.', conversationId: 'c0nversation-id-24-chars' });
+    });
+
+    const app = new TalkingInvestigationApp({
+        config,
+        root: page.document,
+        session: new ApiSession({ storage: memoryStorage() }),
+        fetch
+    });
+    await new Promise(resolve => setTimeout(resolve));
+
+    return { app, page, config, fetch };
+}
+
+test('hands its config and page to every controller', async () => {
+    const { app, page, config } = await createApp();
+
+    assert.equal(app.character.config, config);
+    assert.equal(app.tts.config, config);
+    assert.equal(app.conversation.config, config);
+    assert.equal(app.conversation.historyContent, page.document.getElementById('historyContent'));
+    assert.equal(app.tts.audioPlayer, page.document.getElementById('audioPlayer'));
+});
+
+test('takes the TTS provider and avatar mode from its config alone', async () => {
+    const { app, fetch } = await createApp({ TTS: { provider: 'browser' }, AVATAR: { enabled: false } });
+
+    assert.equal(app.tts.currentProvider, 'browser');
+    assert.equal(app.useAvatar, false);
+    assert.equal(app.heygen, null);
+    assert.deepEqual(fetch.calls, []);
+});
+
+test('keeps separate instances independent', async () => {
+    const first = await createApp({ LLM: { stream: false } });
+    const second = await createApp({ LLM: { stream: false }, API: { BASE_URL: 'https://other.example.com/api' } });
+
+    first.page.document.getElementById('userInput').value = 'Hello?';
+    await first.app.handleSend();
+
+    assert.equal(first.app.conversation.conversationHistory.length, 2);
+    assert.equal(second.app.conversation.conversationHistory.length, 0);
+    assert.equal(first.page.document.querySelectorAll('#historyContent .chat-message').length, 2);
+    assert.equal(second.page.document.querySelectorAll('#historyContent .chat-message').length, 0);
+    assert.ok(second.fetch.calls.every(call => call.url.startsWith('https://other.example.com/api')));
+});
+
+test('downloads the history as a transcript file', async () => {
+    const { app, page } = await createApp({ LLM: { stream: false } });
+    const downloads = [];
+    page.window.URL.createObjectURL = blob => {
+        downloads.push(blob);
+        return 'blob:transcript';
+    };
+    page.window.URL.revokeObjectURL = () => {};
+    page.document.addEventListener('click', event => {
+        if (event.target.download) downloads.push(event.target.download);
+    });
+
+    page.document.getElementById('userInput').value = 'Hello?';
+    await app.handleSend();
+    await app.exportHistory('json');
+
+    const [blob, filename] = downloads;
+    const transcript = JSON.parse(await new Promise(resolve => {
+        const reader = new page.window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    }));
+    assert.match(filename, /^jeff-conversation-\d{4}-\d{2}-\d{2}\.json$/);
+    assert.equal(blob.type, 'application/json');
+    assert.equal(transcript.messages.length, 2);
+});
+
+test('imports a transcript file and reports invalid ones', async () => {
+    const { app, page } = await createApp();
+    const file = (name, text) => ({ name, text: async () => text });
+    const transcript = {
+        schema: 'talking-jeff.transcript',
+        version: 1,
+        persona: { id: 'jeff', name: 'Jeff' },
+        messages: [{ role: 'user', content: 'From a file', timestamp: '2026-01-01T00:00:00.000Z' }]
+    };
+
+    assert.equal(await app.importHistory(file('history.json', JSON.stringify(transcript))), true);
+    assert.equal(page.document.querySelectorAll('#historyContent .chat-message').length, 1);
+
+    assert.equal(await app.importHistory(file('history.json', '{"schema": "<b>other</b>"}')), false);
+    const toasts = page.document.querySelectorAll('.toast-message');
+    assert.equal(toasts[toasts.length - 1].textContent, 'The file is not a conversation transcript');
+    assert.equal(page.document.querySelectorAll('#historyContent .chat-message').length, 1);
+});
+
+test('shows the share button only when the server allows sharing', async () => {
+    const disabled = await createApp();
+    const enabled = await createApp({ SHARE: { enabled: true, maxTurns: 3 } });
+
+    assert.equal(disabled.page.document.getElementById('shareBtn').hidden, true);
+    assert.equal(enabled.page.document.getElementById('shareBtn').hidden, false);
+});
+
+test('copies the share link for the latest exchange', async () => {
+    const { app, page } = await createApp({ LLM: { stream: false }, SHARE: { enabled: true, maxTurns: 3 } });
+    const copied = [];
+    Object.defineProperty(page.window.navigator, 'clipboard', {
+        value: { writeText: async text => copied.push(text) }
+    });
+
+    page.document.getElementById('userInput').value = 'Hello?';
+    await app.handleSend();
+
+    assert.equal(await app.shareLatest(), SHARE.url);
+    assert.deepEqual(copied, [SHARE.url]);
+    const toasts = page.document.querySelectorAll('.toast-message');
+    assert.equal(toasts[toasts.length - 1].textContent, 'Share link copied');
+});
+
+test('lists, creates, renames and deletes threads from the history panel', async () => {
+    const { app, page } = await createApp({ LLM: { stream: false } });
+    const doc = page.document;
+    const names = () => [...doc.querySelectorAll('#threadList .thread-open')].map(button => button.textContent);
+
+    doc.getElementById('userInput').value = 'Hello?';
+    await app.handleSend();
+    doc.getElementById('newThreadBtn').click();
+
+    assert.deepEqual(names(), ['Conversation 2', 'Conversation 1']);
+    assert.equal(doc.querySelectorAll('#historyContent .chat-message').length, 0);
+
+    doc.querySelectorAll('#threadList .thread-open')[1].click();
+    assert.equal(doc.querySelectorAll('#historyContent .chat-message').length, 2);
+    assert.ok(doc.querySelectorAll('#threadList .thread-item')[1].classList.contains('active'));
+
+    const [newest] = app.conversation.listThreads();
+    app.renameThread(newest.id, 'Alibi <check>');
+    app.deleteThread(app.conversation.thread.id, true);
+
+    assert.deepEqual(names(), ['Alibi <check>']);
+    assert.equal(app.conversation.thread.id, newest.id);
+});
+
+test('reopens the page for a thread with another persona', async () => {
+    const { app, config } = await createApp({ PERSONAS: [{ id: 'jeff', name: 'Jeff' }, { id: 'ghislaine', name: 'Ghislaine' }] });
+    const other = app.conversation.threads.create('ghislaine', 'Flight logs');
+    const opened = [];
+    app.openPersona = id => opened.push(id);
+
+    app.renderThreadList();
+    const label = [...app.threadList.querySelectorAll('.thread-open')].map(button => button.textContent);
+    app.switchThread(other.id);
+
+    assert.ok(label.includes('Flight logs (Ghislaine)'));
+    assert.deepEqual(opened, ['ghislaine']);
+    assert.equal(app.conversation.thread.persona, config.PERSONA.id);
+});
+
+test('reveals lip-synced replies through the speech timings instead of typing', async () => {
+    const { app, page } = await createApp({ LLM: { stream: false } });
+    const bubble = page.document.getElementById('speechContent');
+    const spoken = [];
+    page.document.getElementById('characterVideo').play = async () => {};
+    app.tts.setProvider('elevenlabs');
+    app.character.updateSpeechBubble = () => assert.fail('typed the reply');
+    app.tts.speak = async (text, onStart, onEnd, onAlignment) => {
+        const alignment = {
+            characters: [...text],
+            character_start_times_seconds: [...text].map((_, i) => i / 10),
+            character_end_times_seconds: [...text].map((_, i) => (i + 1) / 10)
+        };
+        onAlignment(alignment, () => 0);
+        spoken.push(bubble.textContent);
+        onStart();
+        onEnd();
+    };
+
+    page.document.getElementById('userInput').value = 'Hello?';
+    await app.handleSend();
+
+    assert.deepEqual(spoken, ['No']);
+    assert.equal(bubble.textContent, 'No comment.');
+    assert.equal(app.character.lipSync, null);
+});
+
+test('opens the thread list from the case log tab on index.html', async () => {
+    const page = loadIndexPage({ styles: true });
+    const { app } = await createApp({ LLM: { stream: false } }, page);
+    const doc = page.document;
+    const toggle = doc.getElementById('historyToggle');
+
+    assert.ok(isDisplayed(toggle));
+    assert.ok(!isDisplayed(doc.getElementById('newThreadBtn')));
+
+    toggle.click();
+    assert.ok(isDisplayed(doc.getElementById('threadList')));
+    assert.ok(isDisplayed(doc.getElementById('newThreadBtn')));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+
+    const before = app.conversation.listThreads().length;
+    doc.getElementById('newThreadBtn').click();
+    assert.equal(doc.querySelectorAll('#threadList .thread-item').length, before + 1);
+    assert.ok(isDisplayed(doc.querySelector('#threadList .thread-open')));
+
+    toggle.click();
+    assert.ok(!isDisplayed(doc.getElementById('threadList')));
+});
+
+test('exports and imports from the case log on index.html', async () => {
+    const page = loadIndexPage({ styles: true });
+    const { app } = await createApp({ LLM: { stream: false } }, page);
+    const doc = page.document;
+    const exported = [];
+    const picked = [];
+    app.exportHistory = format => exported.push(format);
+    doc.getElementById('importHistoryInput').addEventListener('click', () => picked.push('file'));
+
+    doc.getElementById('historyToggle').click();
+    const buttons = [...doc.querySelectorAll('[data-export]'), doc.getElementById('importHistoryBtn')];
+    buttons.forEach(button => {
+        assert.ok(isDisplayed(button), button.textContent);
+        button.click();
+    });
+
+    assert.deepEqual(exported, ['json', 'markdown', 'bundle']);
+    assert.deepEqual(picked, ['file']);
+});
+
+test('shows the share button beside the input on index.html', async () => {
+    const page = loadIndexPage({ styles: true });
+    const { app } = await createApp({ SHARE: { enabled: true, maxTurns: 3 } }, page);
+    const shareBtn = page.document.getElementById('shareBtn');
+    const shared = [];
+    app.shareLatest = () => shared.push('latest');
+
+    assert.ok(isDisplayed(shareBtn));
+    shareBtn.click();
+    assert.deepEqual(shared, ['latest']);
+
+    const disabled = loadIndexPage({ styles: true });
+    await createApp(undefined, disabled);
+    assert.ok(!isDisplayed(disabled.document.getElementById('shareBtn')));
+});
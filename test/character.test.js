@@ -0,0 +1,197 @@
+/**
+ * CharacterController: persona media, talking state and the speech bubble
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { DEFAULT_CONFIG as CONFIG } from '../js/config.js';
+import { CharacterController } from '../js/character.js';
+import { VISEMES } from '../js/lipsync.js';
+import { loadIndexPage, silenceConsole } from './helpers/dom.js';
+
+silenceConsole();
+
+let page;
+
+beforeEach(() => {
+    page = loadIndexPage();
+});
+
+/**
+ * Controller over index.html, with video playback stubbed
+ */
+function createController(persona = CONFIG.PERSONA) {
+    const elements = CharacterController.findElements(page.document);
+
+    elements.characterVideo.play = () => Promise.resolve();
+    elements.characterVideo.pause = () => {};
+
+    return new CharacterController(persona, { root: page.document, elements });
+}
+
+test('finds its elements in the document', () => {
+    const elements = CharacterController.findElements(page.document);
+
+    assert.equal(elements.character.id, 'character');
+    assert.equal(elements.mouth.id, 'characterMouth');
+    assert.equal(elements.speechContent.id, 'speechContent');
+});
+
+test('works with elements that are not in the document', () => {
+    const speechContent = page.document.createElement('div');
+
+    const character = new CharacterController(CONFIG.PERSONA, { root: page.document, elements: { speechContent } });
+    character.updateSpeechBubble('Detached.', false);
+
+    assert.equal(speechContent.textContent, 'Detached.');
+});
+
+test('adds its keyframes to the document once', () => {
+    createController();
+    createController();
+
+    assert.equal(page.document.head.querySelectorAll('#characterStyles').length, 1);
+});
+
+test('applies the persona image, name and video', () => {
+    createController({
+        ...CONFIG.PERSONA,
+        name: 'Ghislaine',
+        ui: { image: 'Images/other.png', video: 'video animation/other.mp4' }
+    });
+
+    const image = page.document.getElementById('characterStatic');
+    assert.equal(image.getAttribute('src'), 'Images/other.png');
+    assert.equal(image.alt, 'Ghislaine');
+    assert.equal(page.document.getElementById('characterVideo').getAttribute('src'), 'video animation/other.mp4');
+});
+
+test('switches between talking and idle', () => {
+    const character = createController();
+    const element = page.document.getElementById('character');
+
+    character.startTalking();
+    assert.equal(character.isTalking, true);
+    assert.ok(element.classList.contains('talking'));
+    assert.ok(!element.classList.contains('idle'));
+
+    character.stopTalking();
+    assert.equal(character.isTalking, false);
+    assert.ok(!element.classList.contains('talking'));
+    clearTimeout(character.idleTimeout);
+});
+
+test('sets the speech bubble text without animation', async () => {
+    const character = createController();
+
+    await character.updateSpeechBubble('No comment.', false);
+
+    assert.equal(page.document.getElementById('speechContent').innerHTML, '<p>No comment.</p>');
+});
+
+test('shows reply markup as text, not HTML', async () => {
+    const character = createController();
+    const content = page.document.getElementById('speechContent');
+
+    await character.updateSpeechBubble('<img src=x onerror="window.hacked = true">Caught', false);
+
+    assert.equal(content.querySelector('img'), null);
+    assert.equal(content.textContent, '<img src=x onerror="window.hacked = true">Caught');
+});
+
+test('types streamed chunks into the speech bubble', async () => {
+    const character = createController();
+    character.sleep = () => Promise.resolve();
+
+    async function* chunks() {
+        yield 'No ';
+        yield 'comment.';
+    }
+    await character.updateSpeechBubble(chunks(), true);
+
+    assert.equal(page.document.getElementById('speechContent').textContent, 'No comment.');
+});
+
+test('lip-syncs the mouth and reveals words with the playback clock', async () => {
+    const character = createController();
+    const mouth = page.document.getElementById('characterMouth');
+    const bubble = page.document.getElementById('speechContent');
+    const text = 'Ask my lawyers.';
+    const alignment = {
+        characters: [...text],
+        character_start_times_seconds: [...text].map((_, i) => i / 10),
+        character_end_times_seconds: [...text].map((_, i) => (i + 1) / 10)
+    };
+    let time = 0;
+
+    character.setSpokenText('No comment.');
+    character.startLipSync(alignment, () => time);
+    try {
+        assert.equal(bubble.textContent.trim(), 'No comment. Ask');
+        assert.equal(mouth.dataset.viseme, 'AI');
+        assert.ok(page.document.getElementById('character').classList.contains('lip-sync'));
+
+        time = 0.45;
+        await new Promise(resolve => setTimeout(resolve, CONFIG.CHARACTER.lipSyncFrameMs * 2));
+        assert.equal(bubble.textContent.trim(), 'No comment. Ask my');
+        assert.equal(mouth.dataset.viseme, 'MBP');
+    } finally {
+        character.stopLipSync();
+    }
+    assert.equal(bubble.textContent.trim(), 'No comment. Ask my lawyers.');
+    assert.equal(mouth.dataset.viseme, 'rest');
+    assert.ok(!page.document.getElementById('character').classList.contains('lip-sync'));
+});
+
+test('the stylesheet shapes the mouth for every viseme', () => {
+    const css = readFileSync(new URL('../css/styles.css', import.meta.url), 'utf8');
+
+    assert.match(css, /\.character\.lip-sync \.character-mouth/);
+    VISEMES.filter(viseme => viseme !== 'rest').forEach(viseme => {
+        assert.match(css, new RegExp(`\\.character-mouth\\[data-viseme="${viseme}"\\]`), viseme);
+    });
+});
+
+test('appends clips without timings to the spoken text', () => {
+    const character = createController();
+
+    character.setSpokenText('');
+    character.appendSpokenText('First <b>clip</b>.');
+    character.appendSpokenText('Second.');
+
+    assert.equal(page.document.getElementById('speechContent').innerHTML.trim(), '<p>First &lt;b&gt;clip&lt;/b&gt;. Second.</p>');
+});
+
+test('tags and untags canned replies', () => {
+    const character = createController();
+    const bubble = page.document.getElementById('speechBubble');
+
+    character.setFallbackTag('Offline reply');
+    assert.ok(bubble.classList.contains('fallback'));
+    assert.equal(bubble.querySelector('.fallback-tag').textContent, 'Offline reply');
+
+    character.setFallbackTag(null);
+    assert.ok(!bubble.classList.contains('fallback'));
+    assert.equal(bubble.querySelector('.fallback-tag'), null);
+});
+
+test('shows and hides the loading indicator', () => {
+    const character = createController();
+    const indicator = page.document.getElementById('loadingIndicator');
+
+    character.showLoading();
+    assert.ok(indicator.classList.contains('active'));
+
+    character.hideLoading();
+    assert.ok(!indicator.classList.contains('active'));
+});
+
+test('answers a click with one of the persona reactions', () => {
+    createController();
+
+    page.document.getElementById('character').click();
+
+    const text = page.document.getElementById('speechContent').textContent;
+    assert.ok(CONFIG.PERSONA.ui.reactions.includes(text));
+});
@@ -0,0 +1,120 @@
+/**
+ * Config loader: defaults, runtime overrides and freezing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG, createConfig, loadConfig } from '../js/config.js';
+import { createPage, fakeFetch, jsonResponse, silenceConsole } from './helpers/dom.js';
+
+silenceConsole();
+
+test('defaults to the built-in config', () => {
+    const config = createConfig();
+
+    assert.deepEqual(config, DEFAULT_CONFIG);
+    assert.equal(config.LLM.persona, 'jeff');
+});
+
+test('merges objects key by key and replaces arrays', () => {
+    const config = createConfig(
+        { TTS: { provider: 'browser', openai: { voice: 'nova' } } },
+        { QUOTES: [{ id: 'only', prompt: 'Only this', icon: '?', label: 'Only' }] }
+    );
+
+    assert.equal(config.TTS.provider, 'browser');
+    assert.equal(config.TTS.openai.voice, 'nova');
+    assert.equal(config.TTS.openai.model, DEFAULT_CONFIG.TTS.openai.model);
+    assert.equal(config.QUOTES.length, 1);
+    assert.equal(DEFAULT_CONFIG.TTS.provider, 'elevenlabs');
+});
+
+test('later overrides win and undefined values are skipped', () => {
+    const config = createConfig({ UI: { toastDuration: 1 } }, { UI: { toastDuration: 2, typingSpeed: undefined } });
+
+    assert.equal(config.UI.toastDuration, 2);
+    assert.equal(config.UI.typingSpeed, DEFAULT_CONFIG.UI.typingSpeed);
+});
+
+test('freezes the result all the way down', () => {
+    const config = createConfig({ API: { BASE_URL: '/api' } });
+
+    assert.ok(Object.isFrozen(config));
+    assert.ok(Object.isFrozen(config.API));
+    assert.ok(Object.isFrozen(config.PERSONA.fallbackLines.offline));
+    assert.ok(Object.isFrozen(DEFAULT_CONFIG.QUOTES[0]));
+});
+
+const SERVER_CONFIG = {
+    chat: { available: true },
+    tts: { providers: ['browser'], default: 'browser' },
+    avatar: { enabled: true },
+    share: { enabled: true, maxTurns: 3 },
+    personas: { available: [{ id: 'jeff', name: 'Jeff' }, { id: 'ghislaine', name: 'Ghislaine' }], default: 'ghislaine' },
+    limits: { windowSeconds: 60, chatPerSession: 6, ttsPerSession: 30, avatarPerSession: 15, dailyBudget: true }
+};
+
+const serverFetch = (body = SERVER_CONFIG) => fakeFetch(() => jsonResponse(body));
+
+test('uses relative API URLs by default', () => {
+    assert.equal(DEFAULT_CONFIG.API.BASE_URL, '/api');
+});
+
+test('builds the config from the server settings', async () => {
+    const fetch = serverFetch();
+
+    const config = await loadConfig({ root: createPage().document, fetch });
+
+    assert.equal(fetch.calls[0].url, '/api/config');
+    assert.equal(config.TTS.provider, 'browser');
+    assert.equal(config.AVATAR.enabled, true);
+    assert.equal(config.LLM.persona, 'ghislaine');
+    assert.equal(config.LLM.available, true);
+    assert.equal(config.PERSONAS.length, 2);
+    assert.equal(config.LIMITS.chatPerSession, 6);
+    assert.deepEqual(config.SHARE, { enabled: true, maxTurns: 3 });
+    assert.ok(Object.isFrozen(config.PERSONAS[0]));
+});
+
+test('keeps the configured TTS provider when the server offers it', async () => {
+    const fetch = serverFetch({ ...SERVER_CONFIG, tts: { providers: ['elevenlabs', 'browser'], default: 'elevenlabs' } });
+
+    const config = await loadConfig({ root: createPage().document, fetch, overrides: { TTS: { provider: 'browser' } } });
+
+    assert.equal(config.TTS.provider, 'browser');
+});
+
+test('keeps the built-in settings when the server config is unavailable', async () => {
+    for (const fetch of [fakeFetch(() => jsonResponse({}, 404)), fakeFetch(() => { throw new TypeError('Failed to fetch'); })]) {
+        const config = await loadConfig({ root: createPage().document, fetch });
+
+        assert.deepEqual(config, DEFAULT_CONFIG);
+    }
+});
+
+test('page and explicit overrides win over the server and pick its URL', async () => {
+    const page = createPage(`
+        <script type="application/json" id="appConfig">
+            { "API": { "BASE_URL": "https://api.example.com/api" }, "LLM": { "stream": false, "persona": "jeff" } }
+        </script>
+    `);
+    const fetch = serverFetch();
+
+    const config = await loadConfig({ root: page.document, fetch, overrides: { LLM: { stream: true, maxTokens: 200 } } });
+
+    assert.equal(fetch.calls[0].url, 'https://api.example.com/api/config');
+    assert.equal(config.API.BASE_URL, 'https://api.example.com/api');
+    assert.equal(config.LLM.persona, 'jeff');
+    assert.equal(config.LLM.stream, true);
+    assert.equal(config.LLM.maxTokens, 200);
+    assert.equal(config.AVATAR.enabled, true);
+});
+
+test('ignores an invalid config block', async () => {
+    const page = createPage('<script type="application/json" id="appConfig">{ nope</script>');
+
+    const config = await loadConfig({ root: page.document, fetch: serverFetch({}) });
+
+    assert.equal(config.API.BASE_URL, DEFAULT_CONFIG.API.BASE_URL);
+    assert.equal(config.TTS.provider, DEFAULT_CONFIG.TTS.provider);
+});
@@ -0,0 +1,111 @@
+/**
+ * Headless DOM for the browser controllers
+ * The modules in js/ are imported directly; each test builds a jsdom page
+ * and passes its document, window APIs and stand-ins to the controllers.
+ */
+
+import { readFileSync } from 'node:fs';
+import { mock } from 'node:test';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const INDEX_HTML = new URL('../../index.html', import.meta.url);
+const STYLESHEET = new URL('../../css/styles.css', import.meta.url);
+
+/**
+ * @param {string} html - Body markup
+ * @returns {{window: Window, document: Document}}
+ */
+export function createPage(html = '') {
+    const { window } = new JSDOM(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, {
+        url: 'http://localhost:8080/',
+        // The controllers log freely; keep test output clean
+        virtualConsole: new VirtualConsole()
+    });
+
+    return { window, document: window.document };
+}
+
+/**
+ * The real index.html (its scripts are not run)
+ * @param {Object} options - { styles }: inline css/styles.css so computed
+ *   styles match the browser's, for visibility checks (slower)
+ * @returns {{window: Window, document: Document}}
+ */
+export function loadIndexPage({ styles = false } = {}) {
+    let html = readFileSync(INDEX_HTML, 'utf8');
+    if (styles) {
+        html = html.replace('<link rel="stylesheet" href="css/styles.css">', () => `<style>${readFileSync(STYLESHEET, 'utf8')}</style>`);
+    }
+
+    const { window } = new JSDOM(html, {
+        url: 'http://localhost:8080/',
+        virtualConsole: new VirtualConsole()
+    });
+
+    return { window, document: window.document };
+}
+
+/**
+ * Whether an element is shown: neither it nor any ancestor is hidden or display: none
+ */
+export function isDisplayed(element) {
+    const view = element.ownerDocument.defaultView;
+
+    for (let el = element; el; el = el.parentElement) {
+        if (el.hidden || view.getComputedStyle(el).display === 'none') return false;
+    }
+    return true;
+}
+
+/**
+ * Mute console output from the controllers for the rest of the test file
+ */
+export function silenceConsole() {
+    for (const method of ['log', 'warn', 'error']) {
+        mock.method(console, method, () => {});
+    }
+}
+
+/**
+ * fetch stub that records calls and answers from a handler
+ * @param {Function} handler - (url, options) => Response (or throws)
+ */
+export function fakeFetch(handler) {
+    const fetch = async (url, options = {}) => {
+        fetch.calls.push({ url, options, body: options.body ? JSON.parse(options.body) : undefined });
+        return handler(url, options);
+    };
+    fetch.calls = [];
+    return fetch;
+}
+
+/**
+ * JSON Response
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+/**
+ * Server-Sent Events Response from [event, data] pairs
+ */
+export function sseResponse(events) {
+    const body = events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+    return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * In-memory Storage
+ */
+export function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        items
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * HeyGenController: session lifecycle against a stubbed backend
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG as CONFIG } from '../js/config.js';
+import { ApiSession } from '../js/session.js';
+import { HeyGenController } from '../js/heygen.js';
+import { createPage, fakeFetch, jsonResponse, memoryStorage, silenceConsole } from './helpers/dom.js';
+
+silenceConsole();
+
+let page;
+
+beforeEach(() => {
+    page = createPage('<div class="character-area"></div>');
+});
+
+/**
+ * RTCPeerConnection stand-in
+ */
+class FakePeerConnection {
+    constructor(config) {
+        this.config = config;
+        this.closed = false;
+    }
+
+    createDataChannel(label) {
+        this.channel = { label };
+        return this.channel;
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+const SESSION = { session_id: 'session-1', access_token: 'token', url: 'wss://example.invalid' };
+
+function createController(handler = url => {
+    if (url.endsWith('/create-session')) return jsonResponse(SESSION);
+    if (url.endsWith('/speak')) return jsonResponse({ task_id: 'task-1' });
+    if (url.endsWith('/avatars')) return jsonResponse({ avatars: [{ avatar_id: 'a1' }] });
+    return jsonResponse({ success: true });
+}) {
+    const fetch = fakeFetch(handler);
+    const videoElement = page.document.createElement('video');
+    const heygen = new HeyGenController({
+        session: new ApiSession({ storage: memoryStorage() }),
+        root: page.document,
+        videoElement,
+        fetch,
+        RTCPeerConnection: FakePeerConnection
+    });
+    return { heygen, fetch, videoElement };
+}
+
+test('creates a video element in the container when the page has none', () => {
+    const container = page.document.querySelector('.character-area');
+
+    const heygen = new HeyGenController({
+        session: new ApiSession({ storage: memoryStorage() }),
+        root: page.document,
+        fetch: fakeFetch(() => {}),
+        RTCPeerConnection: FakePeerConnection
+    });
+
+    assert.equal(heygen.videoElement.id, 'avatarVideo');
+    assert.equal(heygen.videoElement.parentElement, container);
+});
+
+test('creates a session for the persona and connects', async () => {
+    const { heygen, fetch } = createController();
+    let connected = false;
+    heygen.onConnected = () => { connected = true; };
+
+    const sessionId = await heygen.createSession('jeff', 'high');
+
+    assert.equal(sessionId, 'session-1');
+    assert.equal(fetch.calls[0].url, `${CONFIG.API.BASE_URL}/heygen/create-session`);
+    assert.equal(fetch.calls[0].body.persona, 'jeff');
+    assert.equal(fetch.calls[0].body.quality, 'high');
+    assert.equal(fetch.calls[0].body.avatarId, undefined);
+    assert.ok(heygen.peerConnection instanceof FakePeerConnection);
+    assert.equal(heygen.isAvailable(), true);
+    assert.equal(connected, true);
+});
+
+test('defaults to the configured persona', async () => {
+    const { heygen, fetch } = createController();
+
+    await heygen.createSession();
+
+    assert.equal(fetch.calls[0].body.persona, CONFIG.LLM.persona);
+});
+
+test('reports session errors and stays disconnected', async () => {
+    const { heygen } = createController(() => jsonResponse({ error: 'Avatar not found' }, 400));
+    let reported = null;
+    heygen.onError = error => { reported = error; };
+
+    await assert.rejects(heygen.createSession('jeff'), /Avatar not found/);
+
+    assert.equal(reported.message, 'Avatar not found');
+    assert.equal(heygen.isAvailable(), false);
+    assert.equal(heygen.isInitializing, false);
+});
+
+test('does not speak before connecting', async () => {
+    const { heygen, fetch } = createController();
+
+    assert.equal(await heygen.speak('Hello'), false);
+    assert.equal(fetch.calls.length, 0);
+});
+
+test('speaks through the backend once connected', async () => {
+    const { heygen, fetch } = createController();
+    let speaking = false;
+    heygen.onSpeakingStart = () => { speaking = true; };
+    await heygen.createSession('jeff');
+
+    assert.equal(await heygen.speak('No comment.'), true);
+
+    const call = fetch.calls.at(-1);
+    assert.deepEqual(call.body, { sessionId: 'session-1', text: 'No comment.', taskType: 'talk' });
+    assert.equal(speaking, true);
+});
+
+test('routes data channel messages to callbacks', () => {
+    const { heygen } = createController();
+    const seen = [];
+    heygen.onSpeakingStart = () => seen.push('start');
+    heygen.onSpeakingEnd = () => seen.push('end');
+    heygen.onError = error => seen.push(error.message);
+
+    heygen.handleDataChannelMessage('{"type":"speaking_start"}');
+    heygen.handleDataChannelMessage('{"type":"speaking_end"}');
+    heygen.handleDataChannelMessage('{"type":"error","error":"Lost"}');
+    heygen.handleDataChannelMessage('not json');
+
+    assert.deepEqual(seen, ['start', 'end', 'Lost']);
+});
+
+test('closes the session and releases the connection', async () => {
+    const { heygen, fetch } = createController();
+    await heygen.createSession('jeff');
+    const peer = heygen.peerConnection;
+
+    await heygen.closeSession();
+
+    assert.equal(fetch.calls.at(-1).body.sessionId, 'session-1');
+    assert.equal(peer.closed, true);
+    assert.equal(heygen.isAvailable(), false);
+});
+
+test('lists avatars, or none when the request fails', async () => {
+    assert.equal((await createController().heygen.getAvatars()).length, 1);
+
+    const { heygen } = createController(() => jsonResponse({}, 500));
+    assert.equal((await heygen.getAvatars()).length, 0);
+});
@@ -0,0 +1,55 @@
+/**
+ * Lip-sync timelines from ElevenLabs character alignment
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { letterToViseme, toVisemeTimeline, toWordTimeline, visemeAt, revealedLength } from '../js/lipsync.js';
+
+/**
+ * Alignment with every character lasting 0.1s
+ */
+function align(text) {
+    const characters = [...text];
+    return {
+        characters,
+        character_start_times_seconds: characters.map((_, i) => i / 10),
+        character_end_times_seconds: characters.map((_, i) => (i + 1) / 10)
+    };
+}
+
+test('maps letters to visemes', () => {
+    assert.deepEqual([...'ambFLoWuzé'].map(letterToViseme), ['AI', 'MBP', 'MBP', 'FV', 'L', 'O', 'WQ', 'U', 'etc', 'E']);
+    assert.deepEqual([' ', '.', '9', '!'].map(letterToViseme), ['rest', 'rest', 'rest', 'rest']);
+});
+
+test('merges repeated visemes into one span', () => {
+    const timeline = toVisemeTimeline(align('mmm, no'));
+
+    assert.deepEqual(timeline.map(({ viseme }) => viseme), ['MBP', 'rest', 'etc', 'O']);
+    assert.deepEqual(timeline[0], { viseme: 'MBP', start: 0, end: 0.3 });
+    assert.equal(visemeAt(timeline, 0.25), 'MBP');
+    assert.equal(visemeAt(timeline, 0.45), 'rest');
+    assert.equal(visemeAt(timeline, 0.65), 'O');
+    assert.equal(visemeAt(timeline, 5), 'rest');
+});
+
+test('reveals whole words, punctuation included, as they start', () => {
+    const text = 'No comment, detective.';
+    const words = toWordTimeline(align(text));
+    const shown = time => text.slice(0, revealedLength(words, time));
+
+    assert.equal(words.length, 3);
+    assert.equal(shown(-1), '');
+    assert.equal(shown(0), 'No');
+    assert.equal(shown(0.25), 'No');
+    assert.equal(shown(0.3), 'No comment,');
+    assert.equal(shown(99), text);
+});
+
+test('tolerates missing or uneven alignment arrays', () => {
+    assert.deepEqual(toVisemeTimeline(null), []);
+    assert.deepEqual(toWordTimeline({ characters: ['a', 'b'], character_start_times_seconds: [0], character_end_times_seconds: [0.1, 0.2] }), [
+        { start: 0, end: 0.1, length: 1 }
+    ]);
+});
@@ -0,0 +1,54 @@
+/**
+ * PersonaLoader: persona selection and the built-in fallback
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG as CONFIG } from '../js/config.js';
+import { ApiSession } from '../js/session.js';
+import { PersonaLoader } from '../js/persona.js';
+import { fakeFetch, jsonResponse, memoryStorage, silenceConsole } from './helpers/dom.js';
+
+silenceConsole();
+
+function createLoader(search, handler) {
+    const fetch = fakeFetch(handler);
+    const loader = new PersonaLoader({
+        session: new ApiSession({ storage: memoryStorage() }),
+        fetch,
+        location: { search }
+    });
+    return { loader, fetch };
+}
+
+test('loads the persona named in the URL and fills in missing fields', async () => {
+    const { loader, fetch } = createLoader('?persona=ghislaine', () => jsonResponse({
+        id: 'ghislaine',
+        name: 'Ghislaine',
+        ui: { label: 'Ghislaine' }
+    }));
+
+    const persona = await loader.load();
+
+    assert.equal(fetch.calls[0].url, `${CONFIG.API.BASE_URL}/personas/ghislaine`);
+    assert.equal(persona.name, 'Ghislaine');
+    assert.equal(persona.ui.label, 'Ghislaine');
+    assert.equal(persona.ui.image, CONFIG.PERSONA.ui.image);
+    assert.deepEqual(persona.welcomeLines, CONFIG.PERSONA.welcomeLines);
+});
+
+test('ignores malformed persona IDs', () => {
+    const { loader } = createLoader('?persona=../admin', () => {});
+
+    assert.equal(loader.getRequestedId(), CONFIG.LLM.persona);
+});
+
+test('uses the built-in persona when the server is unreachable', async () => {
+    const { loader } = createLoader('', () => {
+        throw new TypeError('Failed to fetch');
+    });
+
+    const persona = await loader.load();
+
+    assert.equal(persona.id, CONFIG.PERSONA.id);
+});
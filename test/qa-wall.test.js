@@ -0,0 +1,98 @@
+/**
+ * QAWallController: question cards and the answer modal
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { QAWallController, QA_WALL_QUESTIONS } from '../js/qa-wall.js';
+import { createPage, silenceConsole } from './helpers/dom.js';
+
+silenceConsole();
+
+const MARKUP = `
+    <div class="qa-card" data-question="flights"></div>
+    <div class="qa-card" data-question="money"></div>
+    <div id="qaModal">
+        <button id="qaCloseBtn"></button>
+        <div id="modalQuestion"><span class="modal-question-text"></span></div>
+        <div id="modalAnswer"><span class="answer-text"></span></div>
+        <svg><path id="animatedString"></path></svg>
+    </div>
+`;
+
+const QUESTIONS = {
+    flights: { question: 'Who flew?', answer: 'Many people.' },
+    money: { question: 'Who paid?', answer: 'Nobody knows.' }
+};
+
+let page;
+let modal;
+
+beforeEach(() => {
+    page = createPage(MARKUP);
+    modal = page.document.getElementById('qaModal');
+    new QAWallController({ questions: QUESTIONS, root: page.document });
+});
+
+const card = n => page.document.querySelectorAll('.qa-card')[n];
+
+test('opens the answer for a clicked card', () => {
+    card(1).click();
+
+    assert.ok(modal.classList.contains('active'));
+    assert.equal(page.document.querySelector('.modal-question-text').textContent, 'Who paid?');
+    assert.equal(page.document.querySelector('.answer-text').textContent, 'Nobody knows.');
+    assert.equal(page.document.body.style.overflow, 'hidden');
+    assert.ok(page.document.getElementById('animatedString').getAttribute('d'));
+});
+
+test('closes with the close button', () => {
+    card(0).click();
+
+    page.document.getElementById('qaCloseBtn').click();
+
+    assert.ok(!modal.classList.contains('active'));
+    assert.equal(page.document.body.style.overflow, '');
+});
+
+test('closes with Escape and on the overlay', () => {
+    card(0).click();
+    page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.ok(!modal.classList.contains('active'));
+
+    card(0).click();
+    modal.click();
+    assert.ok(!modal.classList.contains('active'));
+});
+
+test('ignores cards without a known question', () => {
+    card(0).dataset.question = '99';
+
+    card(0).click();
+
+    assert.ok(!modal.classList.contains('active'));
+});
+
+test('defaults to the built-in questions', () => {
+    const other = createPage(MARKUP);
+    new QAWallController({ root: other.document });
+    const firstCard = other.document.querySelector('.qa-card');
+    firstCard.dataset.question = '1';
+
+    firstCard.click();
+
+    assert.equal(other.document.querySelector('.modal-question-text').textContent, QA_WALL_QUESTIONS[1].question);
+});
+
+test('does nothing on a page without the wall', () => {
+    const empty = {
+        modal: null,
+        closeBtn: null,
+        modalQuestion: null,
+        modalAnswer: null,
+        string: null,
+        cards: []
+    };
+
+    assert.doesNotThrow(() => new QAWallController({ root: page.document, elements: empty }));
+});
@@ -0,0 +1,90 @@
+/**
+ * Thread storage and the migration from the single-history layout
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ThreadStore, THREADS_KEY, THREADS_VERSION } from '../js/threads.js';
+import { memoryStorage, silenceConsole } from './helpers/dom.js';
+
+silenceConsole();
+
+const LEGACY_HISTORY = [
+    { role: 'user', content: 'Where were you?', timestamp: '2026-01-01T10:00:00.000Z' },
+    { role: 'assistant', content: 'Nowhere.', timestamp: '2026-01-01T10:00:02.000Z' }
+];
+
+test('moves the legacy history keys into threads', () => {
+    const storage = memoryStorage({
+        talkingIslandHistory: JSON.stringify(LEGACY_HISTORY),
+        'talkingIslandConversation:jeff': 'jeff-conversation-id-0000',
+        'talkingIslandHistory:ghislaine': JSON.stringify(LEGACY_HISTORY.slice(0, 1))
+    });
+
+    const store = new ThreadStore(storage, { defaultPersona: 'jeff', personaIds: ['ghislaine'] });
+    const saved = JSON.parse(storage.getItem(THREADS_KEY));
+
+    assert.equal(saved.version, THREADS_VERSION);
+    assert.deepEqual(store.list().map(({ persona, name, messages, conversationId }) => [persona, name, messages.length, conversationId]), [
+        ['jeff', 'Conversation 1', 2, 'jeff-conversation-id-0000'],
+        ['ghislaine', 'Conversation 1', 1, null]
+    ]);
+    assert.equal(store.latestFor('jeff').createdAt, '2026-01-01T10:00:00.000Z');
+    assert.equal(store.latestFor('jeff').updatedAt, '2026-01-01T10:00:02.000Z');
+    assert.deepEqual([...storage.items.keys()], [THREADS_KEY]);
+});
+
+test('finds legacy keys of personas it was not told about', () => {
+    const items = { 'talkingIslandHistory:maxwell': JSON.stringify(LEGACY_HISTORY) };
+    const storage = {
+        ...memoryStorage(items),
+        get length() {
+            return Object.keys(items).length;
+        },
+        key: i => Object.keys(items)[i]
+    };
+
+    const store = new ThreadStore(storage, { defaultPersona: 'jeff' });
+
+    assert.equal(store.latestFor('maxwell').messages.length, 2);
+});
+
+test('keeps the legacy keys when the migrated threads cannot be saved', () => {
+    const storage = memoryStorage({ talkingIslandHistory: JSON.stringify(LEGACY_HISTORY) });
+    storage.setItem = () => {
+        throw new Error('QuotaExceededError');
+    };
+
+    const store = new ThreadStore(storage, { defaultPersona: 'jeff' });
+
+    assert.equal(store.latestFor('jeff').messages.length, 2);
+    assert.ok(storage.getItem('talkingIslandHistory'));
+});
+
+test('starts empty without saved data or storage', () => {
+    assert.deepEqual(new ThreadStore(memoryStorage()).list(), []);
+    assert.deepEqual(new ThreadStore(null).list(), []);
+});
+
+test('names new threads per persona and sorts by last use', () => {
+    const store = new ThreadStore(memoryStorage());
+    const first = store.create('jeff');
+    const second = store.create('jeff');
+    const other = store.create('ghislaine', 'Flight logs');
+
+    first.updatedAt = '2099-01-01T00:00:00.000Z';
+
+    assert.deepEqual([first.name, second.name, other.name], ['Conversation 1', 'Conversation 2', 'Flight logs']);
+    assert.equal(store.list()[0], first);
+    assert.equal(store.latestFor('jeff'), first);
+});
+
+test('forgets the active thread when it is removed', () => {
+    const store = new ThreadStore(memoryStorage());
+    const thread = store.create('jeff');
+    store.setActive(thread.id);
+
+    assert.equal(store.remove(thread.id), thread);
+    assert.equal(store.getActive(), null);
+    assert.equal(store.remove(thread.id), null);
+});
@@ -0,0 +1,117 @@
+/**
+ * Transcripts: JSON schema, Markdown, zip bundles and import validation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createTranscript, parseTranscript, toMarkdown, createBundle, readBundle,
+    TranscriptError, TRANSCRIPT_SCHEMA, TRANSCRIPT_VERSION
+} from '../js/transcript.js';
+import { createZip, readZip } from '../js/zip.js';
+
+const PERSONA = { id: 'jeff', name: 'Jeff', welcomeLines: ['Hello.'] };
+const HISTORY = [
+    { role: 'user', content: 'Where were you?', timestamp: '2026-01-01T10:00:00.000Z' },
+    { role: 'assistant', content: 'Nowhere. Ask my lawyers.', timestamp: '2026-01-01T10:00:02.000Z' },
+    { role: 'user', content: 'Something nasty', timestamp: '2026-01-01T10:01:00.000Z', blocked: 'MODERATION_INPUT_HARASSMENT' },
+    { role: 'assistant', content: 'Nice try.', timestamp: '2026-01-01T10:01:01.000Z', fallback: 'moderation' }
+];
+const EXPORTED_AT = new Date('2026-01-02T09:30:00.000Z');
+
+const transcript = () => createTranscript(HISTORY, PERSONA, { exportedAt: EXPORTED_AT });
+
+test('exports the versioned schema', () => {
+    const data = transcript();
+
+    assert.equal(data.schema, TRANSCRIPT_SCHEMA);
+    assert.equal(data.version, TRANSCRIPT_VERSION);
+    assert.equal(data.exportedAt, '2026-01-02T09:30:00.000Z');
+    assert.deepEqual(data.persona, { id: 'jeff', name: 'Jeff' });
+    assert.deepEqual(data.messages, HISTORY);
+});
+
+test('round-trips through JSON', () => {
+    assert.deepEqual(parseTranscript(JSON.stringify(transcript())), transcript());
+});
+
+test('drops fields outside the schema on import', () => {
+    const data = transcript();
+    data.messages[0].html = '<img src=x onerror=alert(1)>';
+    data.extra = true;
+
+    const parsed = parseTranscript(data);
+
+    assert.equal(parsed.messages[0].html, undefined);
+    assert.equal(parsed.extra, undefined);
+});
+
+test('rejects files that are not valid transcripts', () => {
+    const cases = [
+        ['{not json', /not valid JSON/],
+        [{ messages: [] }, /not a conversation transcript/],
+        [{ ...transcript(), version: TRANSCRIPT_VERSION + 1 }, /reads up to version/],
+        [{ ...transcript(), version: '1' }, /no valid version/],
+        [{ ...transcript(), persona: null }, /does not name its persona/],
+        [{ ...transcript(), messages: {} }, /has no messages/],
+        [{ ...transcript(), messages: [{ role: 'system', content: 'x', timestamp: '2026-01-01T00:00:00Z' }] }, /Message 1/],
+        [{ ...transcript(), messages: [{ role: 'user', content: 'x', timestamp: 'yesterday' }] }, /Message 1/],
+        [{ ...transcript(), messages: [HISTORY[0], { ...HISTORY[1], fallback: 42 }] }, /Message 2/]
+    ];
+
+    for (const [input, message] of cases) {
+        assert.throws(() => parseTranscript(input), error => error instanceof TranscriptError && message.test(error.message));
+    }
+});
+
+test('renders a readable Markdown transcript', () => {
+    const markdown = toMarkdown(transcript());
+
+    assert.match(markdown, /^# Conversation with Jeff\n\nExported 2026-01-02 09:30 UTC · 4 messages\n/);
+    assert.match(markdown, /\*\*You\*\* · 2026-01-01 10:00 UTC\n\n> Where were you\?/);
+    assert.match(markdown, /\*\*Jeff\*\* · 2026-01-01 10:00 UTC\n\n> Nowhere\. Ask my lawyers\./);
+    assert.match(markdown, /_Blocked by moderation \(MODERATION_INPUT_HARASSMENT\)_/);
+    assert.match(markdown, /> Nice try\.\n\n_Canned reply \(moderation\)_/);
+});
+
+test('bundles the transcript with the clips spoken for each reply', () => {
+    const clips = [
+        { text: 'Not from this conversation.', type: 'audio/mpeg', bytes: new Uint8Array([9]) },
+        { text: 'Nowhere.', type: 'audio/mpeg', bytes: new Uint8Array([1, 2, 3]) },
+        { text: 'Ask my lawyers.', type: 'audio/mpeg', bytes: new Uint8Array([4, 5]) },
+        { text: 'Nice try.', type: 'audio/ogg', bytes: new Uint8Array([6]) }
+    ];
+
+    const entries = readZip(createBundle(transcript(), clips));
+    const bundled = JSON.parse(new TextDecoder().decode(entries.get('transcript.json')));
+
+    assert.deepEqual([...entries.keys()], [
+        'transcript.json', 'transcript.md', 'audio/002-1.mp3', 'audio/002-2.mp3', 'audio/004-1.ogg'
+    ]);
+    assert.deepEqual(bundled.audio, [
+        { file: 'audio/002-1.mp3', message: 1, text: 'Nowhere.' },
+        { file: 'audio/002-2.mp3', message: 1, text: 'Ask my lawyers.' },
+        { file: 'audio/004-1.ogg', message: 3, text: 'Nice try.' }
+    ]);
+    assert.deepEqual([...entries.get('audio/002-1.mp3')], [1, 2, 3]);
+    assert.equal(new TextDecoder().decode(entries.get('transcript.md')), toMarkdown(transcript()));
+});
+
+test('reads the transcript back from a bundle', () => {
+    assert.deepEqual(readBundle(createBundle(transcript())), transcript());
+});
+
+test('rejects bundles without a readable transcript', () => {
+    assert.throws(() => readBundle(new Uint8Array([1, 2, 3])), /could not be read: Not a zip file/);
+    assert.throws(() => readBundle(createZip([{ name: 'notes.txt', data: 'hi' }])), /no transcript.json/);
+});
+
+test('writes zip entries with their CRC-32', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'The quick brown fox jumps over the lazy dog' }]);
+    const view = new DataView(zip.buffer);
+
+    // Local header signature, stored method, and the well-known checksum of this sentence
+    assert.equal(view.getUint32(0, true), 0x04034b50);
+    assert.equal(view.getUint16(8, true), 0);
+    assert.equal(view.getUint32(14, true), 0x414fa339);
+});
@@ -0,0 +1,201 @@
+/**
+ * TTSController: provider routing, browser fallback and cleanTextForTTS
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG as CONFIG, createConfig } from '../js/config.js';
+import { ApiSession } from '../js/session.js';
+import { TTSController } from '../js/tts.js';
+import { createPage, fakeFetch, jsonResponse, memoryStorage, silenceConsole } from './helpers/dom.js';
+
+silenceConsole();
+
+let page;
+
+beforeEach(() => {
+    page = createPage('<audio id="audioPlayer"></audio>');
+});
+
+class FakeUtterance {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+/**
+ * speechSynthesis stand-in that "speaks" instantly
+ */
+function fakeSpeechSynthesis() {
+    return {
+        spoken: [],
+        getVoices: () => [],
+        addEventListener: () => {},
+        cancel() {},
+        pause() {},
+        resume() {},
+        speak(utterance) {
+            this.spoken.push(utterance.text);
+            utterance.onstart?.();
+            utterance.onend?.();
+        }
+    };
+}
+
+/**
+ * Real <audio> element whose playback resolves at once
+ */
+function fakeAudioPlayer() {
+    const audio = page.document.getElementById('audioPlayer');
+    audio.playedUrls = [];
+    audio.play = function () {
+        this.playedUrls.push(this.src);
+        this.dispatchEvent(new page.window.Event('play'));
+        return Promise.resolve();
+    };
+    audio.pause = () => {};
+    return audio;
+}
+
+function createController({ fetch = fakeFetch(() => new Response(new Blob(['audio']))), config = CONFIG } = {}) {
+    const speechSynthesis = fakeSpeechSynthesis();
+    const audioPlayer = fakeAudioPlayer();
+    const tts = new TTSController(CONFIG.PERSONA, {
+        config,
+        session: new ApiSession({ storage: memoryStorage() }),
+        audioPlayer,
+        speechSynthesis,
+        SpeechSynthesisUtterance: FakeUtterance,
+        fetch
+    });
+    return { tts, speechSynthesis, audioPlayer, fetch };
+}
+
+test('starts with the configured provider', () => {
+    const { tts } = createController();
+
+    assert.equal(tts.currentProvider, CONFIG.TTS.provider);
+});
+
+test('routes ElevenLabs speech through the backend with the persona', async () => {
+    const config = createConfig({ TTS: { elevenlabs: { lipSync: false } } });
+    const { tts, fetch, audioPlayer, speechSynthesis } = createController({ config });
+    tts.setProvider('elevenlabs');
+    let started = false;
+
+    await tts.speak('Nothing to see here.', () => { started = true; });
+
+    const [call] = fetch.calls;
+    assert.equal(call.url, `${CONFIG.API.BASE_URL}/tts/elevenlabs`);
+    assert.equal(call.body.text, 'Nothing to see here.');
+    assert.equal(call.body.persona, CONFIG.PERSONA.id);
+    assert.equal(call.body.voiceId, undefined);
+    assert.ok(call.options.headers['X-Session-Id']);
+    assert.equal(audioPlayer.playedUrls.length, 1);
+    assert.match(audioPlayer.playedUrls[0], /^blob:/);
+    assert.equal(started, true);
+    assert.equal(speechSynthesis.spoken.length, 0);
+});
+
+test('plays timestamped ElevenLabs audio and hands over the alignment', async () => {
+    const alignment = { characters: ['H', 'i'], character_start_times_seconds: [0, 0.1], character_end_times_seconds: [0.1, 0.2] };
+    const fetch = fakeFetch(() => jsonResponse({ audio_base64: btoa('audio'), alignment }));
+    const { tts, audioPlayer } = createController({ fetch });
+    tts.setProvider('elevenlabs');
+    const aligned = [];
+
+    await tts.speak('Hi', null, null, (timings, clock) => aligned.push([timings, clock()]));
+
+    assert.equal(tts.usesLipSync(), true);
+    assert.equal(fetch.calls[0].url, `${CONFIG.API.BASE_URL}/tts/elevenlabs-with-timestamps`);
+    assert.equal(fetch.calls[0].body.voiceSettings.stability, CONFIG.TTS.elevenlabs.stability);
+    assert.deepEqual(aligned, [[alignment, 0]]);
+    assert.match(audioPlayer.playedUrls[0], /^blob:/);
+
+    const [clip] = await tts.getClips();
+    assert.equal(clip.type, 'audio/mpeg');
+    assert.equal(new TextDecoder().decode(clip.bytes), 'audio');
+});
+
+test('routes OpenAI speech to its backend endpoint', async () => {
+    const { tts, fetch } = createController();
+    tts.setProvider('openai');
+
+    await tts.speak('Hello.');
+
+    assert.equal(fetch.calls[0].url, `${CONFIG.API.BASE_URL}/tts/openai`);
+    assert.equal(fetch.calls[0].body.input, 'Hello.');
+});
+
+test('uses browser speech without calling the backend', async () => {
+    const { tts, fetch, speechSynthesis } = createController();
+    tts.setProvider('browser');
+    let ended = false;
+
+    await tts.speak('Hello there.', null, () => { ended = true; });
+
+    assert.equal(fetch.calls.length, 0);
+    assert.deepEqual(speechSynthesis.spoken, ['Hello there.']);
+    assert.equal(ended, true);
+});
+
+test('falls back to browser speech when the backend fails', async () => {
+    const fetch = fakeFetch(() => new Response('{}', { status: 503 }));
+    const { tts, speechSynthesis } = createController({ fetch });
+    tts.setProvider('elevenlabs');
+
+    await tts.speak('Still talking.');
+
+    assert.equal(fetch.calls.length, 1);
+    assert.deepEqual(speechSynthesis.spoken, ['Still talking.']);
+});
+
+test('falls back to browser speech when the network is down', async () => {
+    const fetch = fakeFetch(() => {
+        throw new TypeError('Failed to fetch');
+    });
+    const { tts, speechSynthesis } = createController({ fetch });
+    tts.setProvider('elevenlabs');
+
+    await tts.speak('Still talking.');
+
+    assert.deepEqual(speechSynthesis.spoken, ['Still talking.']);
+});
+
+test('ignores unknown providers', () => {
+    const { tts } = createController();
+    tts.setProvider('browser');
+
+    tts.setProvider('carrier-pigeon');
+
+    assert.equal(tts.currentProvider, 'browser');
+});
+
+test('stop ends playback and calls the end callback', async () => {
+    const { tts } = createController();
+    let ended = 0;
+    tts.onEndCallback = () => ended++;
+    tts.isPlaying = true;
+
+    tts.stop();
+
+    assert.equal(tts.isPlaying, false);
+    assert.equal(ended, 1);
+});
+
+test('cleanTextForTTS strips emoji and symbols', () => {
+    const { tts } = createController();
+
+    assert.equal(tts.cleanTextForTTS('Nice try 😏 detective 🕵️'), 'Nice try detective');
+    assert.equal(tts.cleanTextForTTS('Flights ✈️ and 🏝️ islands ☀'), 'Flights and islands');
+    assert.equal(tts.cleanTextForTTS('🇺🇸 Freedom 🚀'), 'Freedom');
+    assert.equal(tts.cleanTextForTTS('Hmm 🤔 🧑‍⚖️ objection'), 'Hmm objection');
+});
+
+test('cleanTextForTTS collapses whitespace and keeps punctuation', () => {
+    const { tts } = createController();
+
+    assert.equal(tts.cleanTextForTTS('  No.\n\nComment,   detective!  '), 'No. Comment, detective!');
+    assert.equal(tts.cleanTextForTTS("It's 9:30 - \"allegedly\"?"), "It's 9:30 - \"allegedly\"?");
+    assert.equal(tts.cleanTextForTTS(''), '');
+});